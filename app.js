@@ -11,12 +11,54 @@ class SAPMigrationApp {
             dashboard: window.dashboardController,
             tasks: window.tasksController,
             objects: window.objectsController,
-			changes: window.changesController,
+            dependencies: window.dependenciesController,
+            changes: window.requestsController,
             settings: window.settingsController
         };
         
         this.toastTimeout = null;
         this.confirmCallback = null;
+
+        // Undo/redo command stacks: { label, undo(), redo() }
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxUndoSteps = 50;
+        this.undoToastCommand = null;
+
+        // Command palette state: entities loaded when it opens, current hits and highlighted row
+        this.paletteEntries = [];
+        this.paletteResults = [];
+        this.paletteIndex = 0;
+
+        // Hash routes: #/<view>[/<entity id>][?filters]
+        this.viewNames = ['dashboard', 'tasks', 'objects', 'dependencies', 'changes', 'settings'];
+        this.applyingRoute = false;
+
+        // Filter inputs restored from the route query, keyed by query parameter
+        this.routeFilters = {
+            tasks: { consulta: 'taskSearch', status: 'statusFilter', prioridade: 'priorityFilter', categoria: 'categoryFilter' },
+            objects: { consulta: 'objectSearch', tipo: 'typeFilter', status: 'objectStatusFilter', item: 'simplificationFilter' },
+            changes: { consulta: 'requestSearch', status: 'requestStatusFilter', tipo: 'requestTypeFilter', sistema: 'requestSystemFilter' }
+        };
+
+        // Entity modals a route can open
+        this.routeEntities = {
+            tasks: {
+                modalId: 'taskModal',
+                getOpenId: () => this.controllers.tasks.currentEditingTask?.id,
+                open: (id) => this.controllers.tasks.showTaskModal(id)
+            },
+            objects: {
+                modalId: 'objectModal',
+                getOpenId: () => this.controllers.objects.currentEditingObject?.id,
+                open: (id) => this.controllers.objects.showObjectModal(id)
+            },
+            changes: {
+                modalId: 'requestModal',
+                getOpenId: () => this.controllers.changes.currentEditingRequest?.id,
+                open: (id) => this.controllers.changes.showRequestModal(id)
+            }
+        };
         
         this.init();
     }
@@ -45,9 +87,9 @@ class SAPMigrationApp {
         try {
             console.log('Initializing SAP Migration Control Center...');
             
-            // Initialize storage manager first
+            // Wait for storage to open and migrate the stored data
             if (window.storageManager) {
-                await window.storageManager.initializeDB();
+                await window.storageManager.ready;
             }
             
             // Initialize theme
@@ -62,8 +104,8 @@ class SAPMigrationApp {
             // Initialize modals
             this.initializeModals();
             
-            // Show initial view
-            await this.showView('dashboard');
+            // Show the view, filters and entity of the current URL
+            await this.applyRoute();
             
             // Set initialized flag
             this.isInitialized = true;
@@ -94,7 +136,24 @@ class SAPMigrationApp {
         if (themeToggle) {
             themeToggle.addEventListener('click', (e) => {
                 e.preventDefault();
-                this.controllers.settings.toggleTheme();
+                this.runGlobalAction('toggle-theme');
+            });
+        }
+
+        // Command palette
+        const paletteInput = document.getElementById('commandPaletteInput');
+        if (paletteInput) {
+            paletteInput.addEventListener('input', () => this.updateCommandPalette());
+        }
+
+        const paletteResults = document.getElementById('commandPaletteResults');
+        if (paletteResults) {
+            paletteResults.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-palette-index]');
+                if (item) {
+                    e.preventDefault();
+                    this.runPaletteItem(parseInt(item.dataset.paletteIndex));
+                }
             });
         }
         
@@ -105,6 +164,19 @@ class SAPMigrationApp {
             }
         });
         
+        // Browser back/forward and edited or pasted links
+        window.addEventListener('hashchange', () => this.applyRoute());
+
+        // Keep the route query in step with the filters of the current view
+        ['input', 'change'].forEach(eventName => {
+            document.addEventListener(eventName, (e) => {
+                const inputs = this.routeFilters[this.currentView];
+                if (inputs && Object.values(inputs).includes(e.target.id)) {
+                    this.syncRoute('replace');
+                }
+            });
+        });
+
         // Data refresh events
         document.addEventListener('dataRefreshNeeded', () => {
             this.refreshCurrentView();
@@ -190,6 +262,27 @@ class SAPMigrationApp {
             });
         }
 
+        // Request modal specific events
+        const requestCancelBtn = document.getElementById('requestCancelBtn');
+        const requestSaveBtn = document.getElementById('requestSaveBtn');
+        
+        if (requestCancelBtn) {
+            requestCancelBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.closeModal('requestModal');
+            });
+        }
+        
+        if (requestSaveBtn) {
+            requestSaveBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                const form = document.getElementById('requestForm');
+                if (form) {
+                    form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+                }
+            });
+        }
+
         // Confirm modal events
         const confirmCancelBtn = document.getElementById('confirmCancelBtn');
         const confirmOkBtn = document.getElementById('confirmOkBtn');
@@ -216,30 +309,67 @@ class SAPMigrationApp {
         const target = e.target.closest('[data-action]');
         if (!target) return;
 
-        const action = target.dataset.action;
-        
-        // Global actions
+        if (this.runGlobalAction(target.dataset.action)) {
+            e.preventDefault();
+        }
+    }
+
+    /**
+     * Run an application-wide action; returns false when the action belongs to a view controller
+     */
+    runGlobalAction(action) {
         switch (action) {
             case 'export-data':
-                e.preventDefault();
                 this.controllers.settings.exportData();
-                break;
+                return true;
             case 'import-data':
-                e.preventDefault();
                 this.controllers.settings.showImportDialog();
-                break;
+                return true;
+            case 'toggle-theme':
+                this.controllers.settings.toggleTheme();
+                return true;
+            case 'open-command-palette':
+                this.openCommandPalette();
+                return true;
         }
+        return false;
     }
 
     /**
      * Handle keyboard shortcuts
      */
     handleKeydown(e) {
+        // Ctrl+K toggles the command palette, even from text fields
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+            if (this.isCommandPaletteOpen()) {
+                this.closeCommandPalette();
+            } else {
+                this.openCommandPalette();
+            }
+            return;
+        }
+
+        if (this.isCommandPaletteOpen()) {
+            this.handlePaletteKeydown(e);
+            return;
+        }
+
         // Escape key closes modals
         if (e.key === 'Escape') {
             this.closeActiveModal();
         }
         
+        // Ctrl+Z / Ctrl+Shift+Z undo and redo data changes, leaving text fields their own undo
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' && !this.isEditableTarget(e.target)) {
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        }
+
         // Ctrl+S saves current form (prevent default save)
         if (e.ctrlKey && e.key === 's') {
             e.preventDefault();
@@ -255,10 +385,9 @@ class SAPMigrationApp {
         // Keyboard navigation (Alt + number)
         if (e.altKey && e.key >= '1' && e.key <= '6') {
             e.preventDefault();
-            const views = ['dashboard', 'tasks', 'objects', 'dependencies', 'changes', 'settings'];
             const viewIndex = parseInt(e.key) - 1;
-            if (views[viewIndex]) {
-                this.showView(views[viewIndex]);
+            if (this.viewNames[viewIndex]) {
+                this.showView(this.viewNames[viewIndex]);
             }
         }
     }
@@ -269,8 +398,7 @@ class SAPMigrationApp {
     async showView(viewName) {
         try {
             // Validate view name
-            const validViews = ['dashboard', 'tasks', 'objects', 'dependencies', 'changes', 'settings'];
-            if (!validViews.includes(viewName)) {
+            if (!this.viewNames.includes(viewName)) {
                 console.error('Invalid view name:', viewName);
                 return;
             }
@@ -303,6 +431,8 @@ class SAPMigrationApp {
             
             // Update document title
             this.updateDocumentTitle(viewName);
+
+            this.syncRoute();
             
             console.log('View changed to:', viewName);
             
@@ -312,6 +442,134 @@ class SAPMigrationApp {
         }
     }
 
+    /**
+     * Split a hash like #/tasks/TSK042?status=aguardando into view, entity ID and filter parameters
+     */
+    parseRoute(hash) {
+        const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+        const [view, entityId] = path.split('/').filter(Boolean).map(part => decodeURIComponent(part));
+
+        return {
+            view: view || 'dashboard',
+            entityId: entityId || null,
+            params: Object.fromEntries(new URLSearchParams(query))
+        };
+    }
+
+    buildRoute(view, entityId = null, params = {}) {
+        const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value)).toString();
+        return `#/${view}${entityId ? '/' + encodeURIComponent(entityId) : ''}${query ? '?' + query : ''}`;
+    }
+
+    /**
+     * Current filter values of a view, keyed by route parameter
+     */
+    getRouteParams(view) {
+        const params = {};
+        Object.entries(this.routeFilters[view] || {}).forEach(([param, inputId]) => {
+            const value = (document.getElementById(inputId)?.value || '').trim();
+            if (value) params[param] = value;
+        });
+        return params;
+    }
+
+    /**
+     * ID of the entity whose modal is open in a view, if any
+     */
+    getRouteEntityId(view) {
+        const entity = this.routeEntities[view];
+        const modal = entity && document.getElementById(entity.modalId);
+        return modal && modal.classList.contains('active') ? entity.getOpenId() || null : null;
+    }
+
+    /**
+     * Write the current view, open entity and filters to the URL
+     * Views and entities add a history entry; filter edits replace the current one
+     */
+    syncRoute(mode = 'push') {
+        if (this.applyingRoute) return;
+
+        const hash = this.buildRoute(this.currentView, this.getRouteEntityId(this.currentView), this.getRouteParams(this.currentView));
+        if (hash === window.location.hash) return;
+
+        if (mode === 'replace') {
+            history.replaceState(null, '', hash);
+        } else {
+            history.pushState(null, '', hash);
+        }
+    }
+
+    /**
+     * Go to a route, adding it to the browser history
+     */
+    async navigate(hash) {
+        history.pushState(null, '', hash);
+        await this.applyRoute();
+    }
+
+    /**
+     * Restore the view, filters and entity modal described by the URL
+     */
+    async applyRoute() {
+        let route = this.parseRoute(window.location.hash);
+        if (!this.viewNames.includes(route.view)) {
+            route = { view: 'dashboard', entityId: null, params: {} };
+        }
+
+        this.applyingRoute = true;
+        try {
+            if (route.view !== this.currentView || !this.isInitialized) {
+                await this.showView(route.view);
+            }
+            await this.applyRouteFilters(route.view, route.params);
+            await this.applyRouteEntity(route.view, route.entityId);
+        } finally {
+            this.applyingRoute = false;
+        }
+
+        // Drop whatever the route asked for but could not be restored, such as a deleted entity
+        this.syncRoute('replace');
+    }
+
+    /**
+     * Put the route parameters into the filter inputs and refilter when they changed
+     */
+    async applyRouteFilters(view, params) {
+        const inputs = this.routeFilters[view];
+        if (!inputs) return;
+
+        const changed = Object.entries(inputs).some(([param, inputId]) => {
+            const input = document.getElementById(inputId);
+            return input && input.value !== (params[param] || '');
+        });
+        if (!changed) return;
+
+        Object.entries(inputs).forEach(([param, inputId]) => {
+            const input = document.getElementById(inputId);
+            if (input) input.value = params[param] || '';
+        });
+
+        await this.controllers[view].applyFilters();
+        if (window.savedFiltersController && window.savedFiltersController.scopes[view]) {
+            window.savedFiltersController.renderChips(view);
+        }
+    }
+
+    /**
+     * Open the routed entity modal and close entity modals the route no longer names
+     */
+    async applyRouteEntity(view, entityId) {
+        Object.entries(this.routeEntities).forEach(([entityView, entity]) => {
+            if (this.getRouteEntityId(entityView) && (entityView !== view || this.getRouteEntityId(entityView) !== entityId)) {
+                this.closeModal(entity.modalId);
+            }
+        });
+
+        if (entityId && this.routeEntities[view] && this.getRouteEntityId(view) !== entityId) {
+            await this.routeEntities[view].open(entityId);
+        }
+    }
+
     /**
      * Update navigation active state
      */
@@ -383,6 +641,7 @@ class SAPMigrationApp {
         if (modal) {
             modal.classList.remove('active');
             document.body.style.overflow = '';
+            this.syncRoute();
         }
     }
 
@@ -394,9 +653,453 @@ class SAPMigrationApp {
         if (activeModal) {
             activeModal.classList.remove('active');
             document.body.style.overflow = '';
+            this.syncRoute();
+        }
+    }
+
+    isCommandPaletteOpen() {
+        const palette = document.getElementById('commandPalette');
+        return Boolean(palette && palette.classList.contains('active'));
+    }
+
+    /**
+     * Open the command palette and load the entities it searches
+     */
+    async openCommandPalette() {
+        const input = document.getElementById('commandPaletteInput');
+        if (!input) return;
+
+        input.value = '';
+        this.showModal('commandPalette');
+        input.focus();
+        this.updateCommandPalette();
+
+        try {
+            await this.loadPaletteEntries();
+            this.updateCommandPalette();
+        } catch (error) {
+            console.error('Failed to load command palette entries:', error);
+        }
+    }
+
+    /**
+     * Close the palette, keeping any modal it was opened over
+     */
+    closeCommandPalette() {
+        const palette = document.getElementById('commandPalette');
+        if (palette) {
+            palette.classList.remove('active');
+        }
+        if (!document.querySelector('.modal.active')) {
+            document.body.style.overflow = '';
+        }
+    }
+
+    /**
+     * Arrow keys move the highlight, Enter runs it and Escape closes the palette
+     */
+    handlePaletteKeydown(e) {
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.movePaletteSelection(1);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.movePaletteSelection(-1);
+                break;
+            case 'Enter':
+                e.preventDefault();
+                this.runPaletteItem(this.paletteIndex);
+                break;
+            case 'Escape':
+                e.preventDefault();
+                this.closeCommandPalette();
+                break;
         }
     }
 
+    /**
+     * Load tasks, objects and requests as palette entries with the text each one is searched by
+     */
+    async loadPaletteEntries() {
+        const storage = window.storageManager;
+        const [tasks, objects, requests] = await Promise.all([
+            storage.getTasks(),
+            storage.getObjects(),
+            storage.getRequests()
+        ]);
+        const { tasks: tasksController, objects: objectsController, changes: requestsController } = this.controllers;
+
+        this.paletteEntries = [
+            ...tasks.map(task => ({
+                kind: 'task',
+                id: task.id,
+                title: task.titulo || '',
+                meta: tasksController.getStatusLabel(task.status),
+                texts: [
+                    { label: 'Descrição', value: task.descricao },
+                    { label: 'Nota', value: task.notas }
+                ],
+                open: () => this.navigate(this.buildRoute('tasks', task.id, this.getRouteParams('tasks')))
+            })),
+            ...objects.map(object => ({
+                kind: 'object',
+                id: object.id,
+                title: [object.tipo ? object.tipo.toUpperCase() : '', object.s4hana_equivalente].filter(Boolean).join(' → '),
+                meta: objectsController.getStatusLabel(object.status),
+                texts: [
+                    { label: 'Nota', value: object.notas }
+                ],
+                open: () => this.navigate(this.buildRoute('objects', object.id, this.getRouteParams('objects')))
+            })),
+            ...requests.map(request => ({
+                kind: 'request',
+                id: request.id,
+                title: request.descricao || '',
+                meta: requestsController.getStatusLabel(request.status),
+                texts: [
+                    { label: 'Objetos', value: (request.objetos || []).join(', ') },
+                    { label: 'Nota', value: request.notas }
+                ],
+                open: () => this.navigate(this.buildRoute('changes', request.id, this.getRouteParams('changes')))
+            }))
+        ];
+    }
+
+    /**
+     * Commands the palette runs; data actions go through runGlobalAction like their buttons
+     */
+    getPaletteCommands() {
+        const viewCommands = [
+            ['dashboard', 'Ir para Painel'],
+            ['tasks', 'Ir para Tarefas'],
+            ['objects', 'Ir para Objetos'],
+            ['dependencies', 'Ir para Dependências'],
+            ['changes', 'Ir para Requests'],
+            ['settings', 'Ir para Configurações']
+        ].map(([view, title], index) => ({
+            title,
+            meta: `Alt+${index + 1}`,
+            run: () => this.showView(view)
+        }));
+
+        return [
+            {
+                title: 'Nova tarefa',
+                run: async () => {
+                    await this.showView('tasks');
+                    await this.controllers.tasks.showTaskModal();
+                }
+            },
+            {
+                title: 'Novo objeto',
+                run: async () => {
+                    await this.showView('objects');
+                    await this.controllers.objects.showObjectModal();
+                }
+            },
+            {
+                title: 'Nova request',
+                run: async () => {
+                    await this.showView('changes');
+                    await this.controllers.changes.showRequestModal();
+                }
+            },
+            ...viewCommands,
+            { title: 'Exportar backup', run: () => this.runGlobalAction('export-data') },
+            { title: 'Importar backup', run: () => this.runGlobalAction('import-data') },
+            { title: 'Alternar tema', run: () => this.runGlobalAction('toggle-theme') }
+        ].map(command => ({ kind: 'command', id: '', texts: [], ...command }));
+    }
+
+    /**
+     * Rank commands and entities against the palette query
+     */
+    searchPalette(query) {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        const commands = this.getPaletteCommands();
+
+        if (terms.length === 0) {
+            return commands.map(entry => ({ entry, match: null }));
+        }
+
+        const kindOrder = { command: 0, task: 1, object: 2, request: 3 };
+
+        return [...commands, ...this.paletteEntries]
+            .map(entry => ({ entry, ...this.scorePaletteEntry(entry, terms) }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score
+                || kindOrder[a.entry.kind] - kindOrder[b.entry.kind]
+                || a.entry.id.localeCompare(b.entry.id))
+            .slice(0, 30);
+    }
+
+    /**
+     * Score an entry: every term must match; ID matches weigh most, then the title, then notes and descriptions
+     */
+    scorePaletteEntry(entry, terms) {
+        const id = entry.id.toLowerCase();
+        const title = entry.title.toLowerCase();
+        let score = 0;
+        let match = null;
+
+        for (const term of terms) {
+            let termScore = 0;
+
+            if (id === term) termScore = 100;
+            else if (id.startsWith(term)) termScore = 70;
+            else if (title.startsWith(term) || title.includes(' ' + term)) termScore = 50;
+            else if (title.includes(term)) termScore = 35;
+            else if (id.includes(term)) termScore = 30;
+            else {
+                const text = entry.texts.find(t => t.value && t.value.toLowerCase().includes(term));
+                if (text) {
+                    termScore = 10;
+                    match = match || { label: text.label, value: text.value, term };
+                }
+            }
+
+            if (termScore === 0) return { score: 0, match: null };
+            score += termScore;
+        }
+
+        return { score, match };
+    }
+
+    /**
+     * Re-run the search for the current query and render the hits
+     */
+    updateCommandPalette() {
+        const input = document.getElementById('commandPaletteInput');
+        this.paletteResults = this.searchPalette(input ? input.value : '');
+        this.paletteIndex = 0;
+        this.renderCommandPalette();
+    }
+
+    renderCommandPalette() {
+        const container = document.getElementById('commandPaletteResults');
+        if (!container) return;
+
+        if (this.paletteResults.length === 0) {
+            container.innerHTML = '<div class="palette-empty">Nenhum resultado encontrado</div>';
+            return;
+        }
+
+        const kindLabels = { command: 'Comando', task: 'Tarefa', object: 'Objeto', request: 'Request' };
+
+        container.innerHTML = this.paletteResults.map(({ entry, match }, index) => `
+            <div class="palette-item ${index === this.paletteIndex ? 'active' : ''}" data-palette-index="${index}">
+                <span class="palette-kind palette-kind-${entry.kind}">${kindLabels[entry.kind]}</span>
+                <div class="palette-text">
+                    <div class="palette-title">
+                        ${entry.id ? `<strong>${this.escapeHtml(entry.id)}</strong>` : ''}
+                        ${this.escapeHtml(entry.title)}
+                    </div>
+                    ${match ? `
+                        <div class="palette-snippet">${this.escapeHtml(match.label)}: ${this.escapeHtml(this.getPaletteSnippet(match.value, match.term))}</div>
+                    ` : ''}
+                </div>
+                ${entry.meta ? `<span class="palette-meta">${this.escapeHtml(entry.meta)}</span>` : ''}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Excerpt of a longer text around the matched term
+     */
+    getPaletteSnippet(text, term) {
+        const position = text.toLowerCase().indexOf(term);
+        const start = Math.max(0, position - 30);
+        const end = Math.min(text.length, position + term.length + 50);
+        return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ')}${end < text.length ? '…' : ''}`;
+    }
+
+    movePaletteSelection(delta) {
+        if (this.paletteResults.length === 0) return;
+
+        this.paletteIndex = (this.paletteIndex + delta + this.paletteResults.length) % this.paletteResults.length;
+        this.renderCommandPalette();
+
+        const active = document.querySelector('#commandPaletteResults .palette-item.active');
+        if (active && active.scrollIntoView) {
+            active.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    /**
+     * Close the palette and any modal below it, then open the entity or run the command
+     */
+    async runPaletteItem(index) {
+        const result = this.paletteResults[index];
+        if (!result) return;
+
+        this.closeCommandPalette();
+        this.closeActiveModal();
+
+        try {
+            await (result.entry.open || result.entry.run)();
+        } catch (error) {
+            console.error('Command palette action failed:', error);
+            this.showToast('Erro ao executar comando', 'error');
+        }
+    }
+
+    /**
+     * Escape HTML
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Run a data operation so its keyed writes can be undone
+     */
+    async runUndoable(label, operation) {
+        const storage = window.storageManager;
+
+        // Nested operations join the change set already open
+        if (storage.activeChangeSet) {
+            return operation();
+        }
+
+        storage.beginChangeSet();
+        let result;
+        try {
+            result = await operation();
+        } finally {
+            const changeSet = storage.endChangeSet();
+            if (changeSet.length > 0) {
+                this.pushCommand({
+                    label,
+                    undo: () => storage.applyChangeSet(changeSet, 'before'),
+                    redo: () => storage.applyChangeSet(changeSet, 'after')
+                });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Run an operation that replaces whole stores (imports, clearing) so it can be undone
+     * Operations reporting { success: false } are not recorded
+     */
+    async runUndoableReplace(label, operation) {
+        const storage = window.storageManager;
+        const before = await storage.captureSnapshot();
+        const result = await operation();
+        if (result && result.success === false) {
+            return result;
+        }
+        const after = await storage.captureSnapshot();
+
+        this.pushCommand({
+            label,
+            undo: () => storage.restoreSnapshot(before),
+            redo: () => storage.restoreSnapshot(after)
+        });
+
+        return result;
+    }
+
+    /**
+     * Add a command to the undo stack; a new change drops the redo history
+     */
+    pushCommand(command) {
+        this.dismissUndoToast();
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.maxUndoSteps) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * Undo the last data change
+     */
+    async undo() {
+        const command = this.undoStack.pop();
+        if (!command) {
+            this.showToast('Nada para desfazer', 'info', 2000);
+            return;
+        }
+
+        try {
+            await command.undo();
+            this.redoStack.push(command);
+            this.showToast(`Desfeito: ${command.label}`, 'info', 3000);
+        } catch (error) {
+            console.error('Undo failed:', error);
+            this.showToast('Erro ao desfazer a ação', 'error');
+        }
+    }
+
+    /**
+     * Redo the last undone data change
+     */
+    async redo() {
+        const command = this.redoStack.pop();
+        if (!command) {
+            this.showToast('Nada para refazer', 'info', 2000);
+            return;
+        }
+
+        try {
+            await command.redo();
+            this.undoStack.push(command);
+            this.showToast(`Refeito: ${command.label}`, 'info', 3000);
+        } catch (error) {
+            console.error('Redo failed:', error);
+            this.showToast('Erro ao refazer a ação', 'error');
+        }
+    }
+
+    /**
+     * Success toast with a "Desfazer" button, shown after deletes
+     */
+    showUndoToast(message) {
+        // Bound to the command just recorded, not to whatever is on top of the stack when clicked
+        const command = this.undoStack[this.undoStack.length - 1];
+        this.undoToastCommand = command;
+
+        this.showToast(message, 'success', 6000, {
+            label: 'Desfazer',
+            callback: () => {
+                this.undoToastCommand = null;
+                if (command && this.undoStack[this.undoStack.length - 1] === command) {
+                    this.undo();
+                } else {
+                    this.showToast('Esta ação já foi desfeita ou não é mais a última alteração', 'info', 3000);
+                }
+            }
+        });
+    }
+
+    /**
+     * Hide a visible "Desfazer" toast once another change is recorded
+     */
+    dismissUndoToast() {
+        if (!this.undoToastCommand) return;
+        this.undoToastCommand = null;
+
+        const toast = document.getElementById('toast');
+        if (toast && toast.querySelector('.toast-action')) {
+            clearTimeout(this.toastTimeout);
+            toast.classList.remove('show');
+        }
+    }
+
+    /**
+     * Whether a key event target handles its own text undo
+     */
+    isEditableTarget(target) {
+        return Boolean(target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)));
+    }
+
     /**
      * Show confirmation modal
      */
@@ -432,7 +1135,7 @@ class SAPMigrationApp {
     /**
      * Show toast notification
      */
-    showToast(message, type = 'info', duration = 4000) {
+    showToast(message, type = 'info', duration = 4000, action = null) {
         const toast = document.getElementById('toast');
         if (!toast) return;
 
@@ -445,6 +1148,19 @@ class SAPMigrationApp {
         toast.textContent = message;
         toast.className = `toast ${type}`;
 
+        // Optional inline action, e.g. { label: 'Desfazer', callback }
+        if (action) {
+            const button = document.createElement('button');
+            button.className = 'toast-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                clearTimeout(this.toastTimeout);
+                toast.classList.remove('show');
+                action.callback();
+            });
+            toast.appendChild(button);
+        }
+
         // Show toast
         toast.classList.add('show');
 
@@ -0,0 +1,178 @@
+/**
+ * SAP Migration Control Center - ID Autocomplete
+ * Suggests existing task/object IDs while typing comma separated ID lists
+ */
+
+class IdAutocomplete {
+    /**
+     * @param {HTMLInputElement|HTMLTextAreaElement} input - Field holding a comma separated ID list
+     * @param {Function} getSuggestions - Async function returning [{ id, label }]
+     */
+    constructor(input, getSuggestions) {
+        this.input = input;
+        this.getSuggestions = getSuggestions;
+        this.maxItems = 8;
+        this.items = [];
+        this.activeIndex = -1;
+
+        this.list = document.createElement('div');
+        this.list.className = 'autocomplete-list hidden';
+        this.input.parentElement.classList.add('autocomplete-host');
+        this.input.parentElement.appendChild(this.list);
+        this.input.setAttribute('autocomplete', 'off');
+
+        this.bindEvents();
+    }
+
+    /**
+     * Bind input events
+     */
+    bindEvents() {
+        this.input.addEventListener('input', () => this.update());
+        this.input.addEventListener('focus', () => this.update());
+        this.input.addEventListener('blur', () => {
+            // Let a click on a suggestion land before hiding the list
+            setTimeout(() => this.close(), 150);
+        });
+        this.input.addEventListener('keydown', this.handleKeydown.bind(this));
+
+        this.list.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('[data-index]');
+            if (!option) return;
+            e.preventDefault();
+            this.select(parseInt(option.dataset.index));
+        });
+    }
+
+    /**
+     * Handle keyboard navigation inside the suggestion list
+     */
+    handleKeydown(e) {
+        if (this.list.classList.contains('hidden')) return;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.setActive(Math.min(this.activeIndex + 1, this.items.length - 1));
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.setActive(Math.max(this.activeIndex - 1, 0));
+                break;
+            case 'Enter':
+            case 'Tab':
+                if (this.activeIndex >= 0) {
+                    e.preventDefault();
+                    this.select(this.activeIndex);
+                }
+                break;
+            case 'Escape':
+                // Close the list without closing the surrounding modal
+                e.stopPropagation();
+                this.close();
+                break;
+        }
+    }
+
+    /**
+     * Refresh suggestions for the token being typed
+     */
+    async update() {
+        const { current, used } = this.getTokens();
+        const query = current.toUpperCase();
+
+        try {
+            const suggestions = await this.getSuggestions();
+            this.items = suggestions
+                .filter(item => !used.includes(item.id.toUpperCase()))
+                .filter(item => !query || item.id.toUpperCase().includes(query) || (item.label || '').toUpperCase().includes(query))
+                .sort((a, b) => {
+                    // IDs starting with the typed text come first
+                    const aStarts = a.id.toUpperCase().startsWith(query) ? 0 : 1;
+                    const bStarts = b.id.toUpperCase().startsWith(query) ? 0 : 1;
+                    return aStarts - bStarts || a.id.localeCompare(b.id);
+                })
+                .slice(0, this.maxItems);
+        } catch (error) {
+            console.error('Failed to load autocomplete suggestions:', error);
+            this.items = [];
+        }
+
+        this.render();
+    }
+
+    /**
+     * Split the field into the token being typed and the ones already entered
+     */
+    getTokens() {
+        const parts = this.input.value.split(',');
+        const current = parts.pop().trim();
+        const used = parts.map(part => part.trim().toUpperCase()).filter(Boolean);
+        return { current, used };
+    }
+
+    /**
+     * Render the suggestion list
+     */
+    render() {
+        if (this.items.length === 0 || document.activeElement !== this.input) {
+            this.close();
+            return;
+        }
+
+        this.activeIndex = 0;
+        this.list.innerHTML = this.items.map((item, index) => `
+            <div class="autocomplete-item${index === 0 ? ' active' : ''}" data-index="${index}">
+                <span class="autocomplete-id">${this.escapeHtml(item.id)}</span>
+                ${item.label ? `<span class="autocomplete-label">${this.escapeHtml(item.label)}</span>` : ''}
+            </div>
+        `).join('');
+        this.list.classList.remove('hidden');
+    }
+
+    /**
+     * Move the keyboard highlight
+     */
+    setActive(index) {
+        this.activeIndex = index;
+        this.list.querySelectorAll('.autocomplete-item').forEach((element, i) => {
+            element.classList.toggle('active', i === index);
+        });
+    }
+
+    /**
+     * Replace the token being typed with the chosen ID
+     */
+    select(index) {
+        const item = this.items[index];
+        if (!item) return;
+
+        const parts = this.input.value.split(',').map(part => part.trim());
+        parts.pop();
+        parts.push(item.id);
+        this.input.value = parts.filter(Boolean).join(', ') + ', ';
+        this.close();
+        this.input.focus();
+    }
+
+    /**
+     * Hide the suggestion list
+     */
+    close() {
+        this.list.classList.add('hidden');
+        this.activeIndex = -1;
+    }
+
+    /**
+     * Escape HTML
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Expose helper globally for the controllers
+window.IdAutocomplete = IdAutocomplete;
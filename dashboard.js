@@ -8,7 +8,7 @@ class DashboardController {
         this.storage = window.storageManager;
 		this.tasks = window.tasksController;
 		this.objetcts = window.objectsController;
-		this.changes = window.changesController;
+		this.changes = window.requestsController;
         this.isInitialized = false;
         this.chartColors = {
             primary: '#8b5cf6',
@@ -17,6 +17,44 @@ class DashboardController {
             warning: '#f59e0b',
             danger: '#ef4444'
         };
+
+        // Days shown by the productivity chart (7, 30 or 90)
+        this.productivityRange = 7;
+
+        // Donut charts: where each distribution comes from and which filter a segment opens.
+        // Colors are CSS variables so the charts follow the light/dark theme
+        this.distributionCharts = [
+            {
+                containerId: 'statusChart',
+                data: analytics => analytics.statusDistribution,
+                label: status => window.tasksController.getStatusLabel(status),
+                colors: { 'planejado': '--primary-violet', 'em-andamento': '--primary-blue', 'aguardando': '--primary-orange', 'concluido': '--primary-green' },
+                view: 'tasks',
+                param: 'status',
+                unit: ['tarefa', 'tarefas'],
+                emptyMessage: 'Gráfico será gerado com suas tarefas'
+            },
+            {
+                containerId: 'priorityChart',
+                data: analytics => analytics.priorityDistribution,
+                label: priority => window.tasksController.getPriorityLabel(priority),
+                colors: { 'baixa': '--text-tertiary', 'media': '--primary-blue', 'alta': '--primary-orange', 'critica': '--primary-red' },
+                view: 'tasks',
+                param: 'prioridade',
+                unit: ['tarefa', 'tarefas'],
+                emptyMessage: 'Gráfico será gerado com suas tarefas'
+            },
+            {
+                containerId: 'objectStatusChart',
+                data: analytics => analytics.objectStatusDistribution,
+                label: status => window.objectsController.getStatusLabel(status),
+                colors: { 'nao-analisado': '--text-tertiary', 'em-analise': '--primary-orange', 'requer-conversao': '--primary-red', 'em-conversao': '--primary-blue', 'convertido': '--primary-green' },
+                view: 'objects',
+                param: 'status',
+                unit: ['objeto', 'objetos'],
+                emptyMessage: 'Gráfico será gerado com seus objetos'
+            }
+        ];
         
         this.bindEvents();
     }
@@ -31,13 +69,14 @@ class DashboardController {
         document.addEventListener('requestsUpdated', () => this.updateDashboard());
         document.addEventListener('profileUpdated', () => this.updateProfile());
         document.addEventListener('dataImported', () => this.updateDashboard());
+        document.addEventListener('simplificationItemsUpdated', () => this.updateSimplificationChart());
         
         // Quick action buttons
         document.addEventListener('click', (e) => {
-            const action = e.target.closest('[data-action]')?.dataset.action;
-            if (action) {
+            const target = e.target.closest('[data-action]');
+            if (target) {
                 e.preventDefault();
-                this.handleQuickAction(action);
+                this.handleQuickAction(target.dataset.action, target);
             }
         });
     }
@@ -143,7 +182,9 @@ class DashboardController {
 
         // Total Requests
         const totalRequestsEl = document.getElementById('totalRequests');
+        const pendingPrdRequestsEl = document.getElementById('pendingPrdRequests');
         if (totalRequestsEl) totalRequestsEl.textContent = summary.totalRequests;
+        if (pendingPrdRequestsEl) pendingPrdRequestsEl.textContent = `${summary.pendingPrdRequests} pendentes p/ PRD`;
     }
 
     /**
@@ -202,7 +243,9 @@ class DashboardController {
      */
     async updateCharts() {
         await this.updateProductivityChart();
-        await this.updateStatusChart();
+        await this.updateDistributionCharts();
+        await this.updateSimplificationChart();
+        await this.updateCycleTimeChart();
     }
 
     /**
@@ -212,6 +255,10 @@ class DashboardController {
         const chartContainer = document.getElementById('productivityChart');
         if (!chartContainer) return;
 
+        document.querySelectorAll('[data-action="set-productivity-range"]').forEach(button => {
+            button.classList.toggle('active', parseInt(button.dataset.range, 10) === this.productivityRange);
+        });
+
         try {
             const tasks = await this.storage.getTasks();
             
@@ -220,9 +267,14 @@ class DashboardController {
                 return;
             }
 
-            // Generate weekly productivity data
-            const weeklyData = this.generateWeeklyProductivityData(tasks);
-            this.renderProductivityChart(chartContainer, weeklyData);
+            const data = await this.generateProductivityData(this.productivityRange);
+
+            if (data.every(item => item.hours === 0 && item.completed === 0)) {
+                this.showEmptyChart(chartContainer, `Nenhuma hora registrada ou tarefa concluída nos últimos ${this.productivityRange} dias`);
+                return;
+            }
+
+            this.renderProductivityChart(chartContainer, data);
             
         } catch (error) {
             console.error('Failed to update productivity chart:', error);
@@ -231,165 +283,334 @@ class DashboardController {
     }
 
     /**
-     * Generate weekly productivity data from tasks
+     * Switch the productivity chart between 7, 30 and 90 days
      */
-    generateWeeklyProductivityData(tasks) {
-        const today = new Date();
-        const weekData = [];
-        
-        for (let i = 6; i >= 0; i--) {
-            const date = new Date(today);
-            date.setDate(today.getDate() - i);
-            
-            const dayTasks = tasks.filter(task => {
-                // Simplified: assume tasks worked on based on creation/update patterns
-                // In real implementation, you'd track daily work logs
-                return task.horasGastas > 0;
-            });
-            
-            weekData.push({
-                day: date.toLocaleDateString('pt-BR', { weekday: 'short' }),
-                date: date.toISOString().split('T')[0],
-                tasks: Math.floor(Math.random() * 3), // Simplified for demo
-                hours: Math.floor(Math.random() * 8) + 1 // Simplified for demo
-            });
-        }
-        
-        return weekData;
+    async setProductivityRange(days) {
+        if (![7, 30, 90].includes(days) || days === this.productivityRange) return;
+        this.productivityRange = days;
+        await this.updateProductivityChart();
+    }
+
+    /**
+     * Hours logged and tasks completed per day, from the worklogs and the status history
+     */
+    async generateProductivityData(days) {
+        const dailyData = await this.storage.getDailyActivity(days);
+
+        return dailyData.map(item => {
+            const date = new Date(`${item.date}T00:00:00`);
+            return {
+                date: item.date,
+                day: days <= 7
+                    ? date.toLocaleDateString('pt-BR', { weekday: 'short' })
+                    : date.toLocaleDateString('pt-BR', { day: '2-digit', month: '2-digit' }),
+                fullDate: date.toLocaleDateString('pt-BR', { weekday: 'long', day: '2-digit', month: '2-digit' }),
+                tasks: item.tasks,
+                hours: item.hours,
+                completed: item.completed
+            };
+        });
     }
 
     /**
-     * Render productivity chart
+     * Round an axis maximum up to 1, 2 or 5 times a power of ten per tick
+     */
+    getAxisScale(maxValue, ticks = 4, integer = false) {
+        const rawStep = Math.max(maxValue, integer ? ticks : 1) / ticks;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+        const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rawStep);
+        const roundedStep = integer ? Math.max(1, Math.ceil(step)) : step;
+        return { max: roundedStep * ticks, step: roundedStep };
+    }
+
+    /**
+     * Render productivity chart as SVG: hours as bars on the left axis,
+     * completed tasks as a line on the right axis
      */
     renderProductivityChart(container, data) {
-        // Simple chart rendering - in production, you'd use a proper chart library
+        const width = 640;
+        const height = 220;
+        const margin = { top: 12, right: 36, bottom: 28, left: 40 };
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+        const ticks = 4;
+
+        const hoursScale = this.getAxisScale(Math.max(...data.map(item => item.hours)), ticks);
+        const completedScale = this.getAxisScale(Math.max(...data.map(item => item.completed)), ticks, true);
+
+        const slot = plotWidth / data.length;
+        const barWidth = Math.max(1, slot * 0.6);
+        const centerX = (index) => margin.left + slot * index + slot / 2;
+        const hoursY = (value) => margin.top + plotHeight - (value / hoursScale.max) * plotHeight;
+        const completedY = (value) => margin.top + plotHeight - (value / completedScale.max) * plotHeight;
+        const round = (value) => Math.round(value * 10) / 10;
+
+        // Label every day of a week, then thin out so the labels never overlap; today is always labeled
+        const labelStep = data.length <= 7 ? 1 : data.length <= 30 ? 5 : 15;
+
+        const grid = Array.from({ length: ticks + 1 }, (_, i) => {
+            const y = round(margin.top + plotHeight - (plotHeight / ticks) * i);
+            return `
+                <line class="chart-grid" x1="${margin.left}" x2="${width - margin.right}" y1="${y}" y2="${y}"/>
+                <text class="chart-axis-label" x="${margin.left - 6}" y="${y}" text-anchor="end" dominant-baseline="middle">${round(hoursScale.step * i)}h</text>
+                <text class="chart-axis-label" x="${width - margin.right + 6}" y="${y}" text-anchor="start" dominant-baseline="middle">${completedScale.step * i}</text>
+            `;
+        }).join('');
+
+        const bars = data.map((item, index) => item.hours > 0 ? `
+            <rect class="chart-bar-hours" x="${round(centerX(index) - barWidth / 2)}" y="${round(hoursY(item.hours))}"
+                width="${round(barWidth)}" height="${round(margin.top + plotHeight - hoursY(item.hours))}" rx="2"/>
+        ` : '').join('');
+
+        const points = data.map((item, index) => `${round(centerX(index))},${round(completedY(item.completed))}`).join(' ');
+        const dots = data.length <= 30 ? data.map((item, index) => `
+            <circle class="chart-dot-completed" cx="${round(centerX(index))}" cy="${round(completedY(item.completed))}" r="3"/>
+        `).join('') : '';
+
+        const labels = data.map((item, index) => (data.length - 1 - index) % labelStep === 0 ? `
+            <text class="chart-axis-label" x="${round(centerX(index))}" y="${height - 8}" text-anchor="middle">${item.day}</text>
+        ` : '').join('');
+
+        const hitAreas = data.map((item, index) => `
+            <rect class="chart-hit" data-chart-index="${index}" x="${round(margin.left + slot * index)}" y="${margin.top}"
+                width="${round(slot)}" height="${plotHeight}"/>
+        `).join('');
+
         container.innerHTML = `
-            <div class="simple-chart">
+            <div class="productivity-chart">
                 <div class="chart-legend">
                     <div class="legend-item">
-                        <div class="legend-color" style="background: ${this.chartColors.primary}"></div>
-                        <span>Tarefas</span>
+                        <span class="legend-color hours"></span>
+                        <span>Horas registradas</span>
                     </div>
                     <div class="legend-item">
-                        <div class="legend-color" style="background: ${this.chartColors.secondary}"></div>
-                        <span>Horas</span>
+                        <span class="legend-color completed"></span>
+                        <span>Tarefas concluídas</span>
                     </div>
                 </div>
-                <div class="chart-bars">
-                    ${data.map(item => `
-                        <div class="bar-group">
-                            <div class="bar tasks-bar" style="height: ${item.tasks * 20}px; background: ${this.chartColors.primary}"></div>
-                            <div class="bar hours-bar" style="height: ${item.hours * 10}px; background: ${this.chartColors.secondary}"></div>
-                            <div class="bar-label">${item.day}</div>
-                        </div>
+                <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Horas registradas e tarefas concluídas nos últimos ${data.length} dias">
+                    ${grid}
+                    <line class="chart-axis" x1="${margin.left}" x2="${width - margin.right}" y1="${margin.top + plotHeight}" y2="${margin.top + plotHeight}"/>
+                    ${bars}
+                    <polyline class="chart-line-completed" points="${points}"/>
+                    ${dots}
+                    ${labels}
+                    ${hitAreas}
+                </svg>
+                <div class="chart-tooltip" hidden></div>
+            </div>
+        `;
+
+        this.bindProductivityTooltip(container, data, width);
+    }
+
+    /**
+     * Show the figures of the hovered day next to it
+     */
+    bindProductivityTooltip(container, data, width) {
+        const svg = container.querySelector('svg');
+        const tooltip = container.querySelector('.chart-tooltip');
+
+        const hide = () => {
+            tooltip.hidden = true;
+            svg.querySelectorAll('.chart-hit.active').forEach(hit => hit.classList.remove('active'));
+        };
+
+        svg.addEventListener('mouseover', (e) => {
+            const hit = e.target.closest('[data-chart-index]');
+            if (!hit) return;
+
+            const item = data[parseInt(hit.dataset.chartIndex, 10)];
+            hide();
+            hit.classList.add('active');
+
+            tooltip.innerHTML = `
+                <strong>${item.fullDate}</strong>
+                <span>${item.hours}h registradas</span>
+                <span>${item.completed} ${item.completed === 1 ? 'tarefa concluída' : 'tarefas concluídas'}</span>
+                <span>${item.tasks} ${item.tasks === 1 ? 'tarefa trabalhada' : 'tarefas trabalhadas'}</span>
+            `;
+            const center = parseFloat(hit.getAttribute('x')) + parseFloat(hit.getAttribute('width')) / 2;
+            const percent = (center / width) * 100;
+            tooltip.style.left = `${percent}%`;
+            tooltip.classList.toggle('align-start', percent < 30);
+            tooltip.classList.toggle('align-end', percent > 70);
+            tooltip.hidden = false;
+        });
+
+        svg.addEventListener('mouseleave', hide);
+    }
+
+    /**
+     * Update the task status, task priority and object status donuts
+     */
+    async updateDistributionCharts() {
+        const containers = this.distributionCharts.map(chart => document.getElementById(chart.containerId));
+        if (containers.every(container => !container)) return;
+
+        try {
+            const analytics = await this.storage.getAnalyticsData();
+
+            this.distributionCharts.forEach((chart, index) => {
+                const container = containers[index];
+                if (!container) return;
+
+                const segments = Object.entries(chart.data(analytics))
+                    .filter(([, count]) => count > 0)
+                    .map(([value, count]) => ({ value, count, label: chart.label(value), color: chart.colors[value] || '--text-tertiary' }));
+
+                if (segments.length === 0) {
+                    this.showEmptyChart(container, chart.emptyMessage);
+                    return;
+                }
+
+                this.renderDonutChart(container, chart, segments);
+            });
+
+        } catch (error) {
+            console.error('Failed to update distribution charts:', error);
+            containers.filter(Boolean).forEach(container => this.showEmptyChart(container, 'Erro ao carregar dados'));
+        }
+    }
+
+    /**
+     * Render an SVG donut with one arc per value; the arcs and the legend open the filtered view
+     */
+    renderDonutChart(container, chart, segments) {
+        const total = segments.reduce((sum, segment) => sum + segment.count, 0);
+        const radius = 45;
+        const circumference = 2 * Math.PI * radius;
+        const round = (value) => Math.round(value * 100) / 100;
+        const unit = (count) => count === 1 ? chart.unit[0] : chart.unit[1];
+        const drillDown = (segment) => `data-action="drill-down-chart" data-route-view="${chart.view}" data-route-param="${chart.param}" data-route-value="${segment.value}"`;
+
+        // Each arc is a dashed circle: the dash covers its share, the offset skips the arcs before it
+        let offset = 0;
+        const arcs = segments.map(segment => {
+            const length = (segment.count / total) * circumference;
+            const arc = `
+                <circle class="donut-segment" ${drillDown(segment)} style="--segment-color: var(${segment.color})"
+                    cx="60" cy="60" r="${radius}" stroke-dasharray="${round(length)} ${round(circumference - length)}" stroke-dashoffset="${round(-offset)}">
+                    <title>${segment.label}: ${segment.count} ${unit(segment.count)} (${Math.round((segment.count / total) * 100)}%)</title>
+                </circle>
+            `;
+            offset += length;
+            return arc;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="donut-chart">
+                <svg viewBox="0 0 120 120" role="img" aria-label="${total} ${unit(total)}">
+                    <g transform="rotate(-90 60 60)">${arcs}</g>
+                    <text class="donut-total" x="60" y="58" text-anchor="middle">${total}</text>
+                    <text class="donut-total-label" x="60" y="74" text-anchor="middle">${unit(total)}</text>
+                </svg>
+                <div class="donut-legend">
+                    ${segments.map(segment => `
+                        <button class="donut-legend-item" ${drillDown(segment)} title="Ver ${chart.unit[1]} com ${segment.label}">
+                            <span class="donut-legend-color" style="--segment-color: var(${segment.color})"></span>
+                            <span class="donut-legend-name">${segment.label}</span>
+                            <span class="donut-legend-count">${segment.count} (${Math.round((segment.count / total) * 100)}%)</span>
+                        </button>
                     `).join('')}
                 </div>
             </div>
-            <style>
-                .simple-chart { padding: 1rem; }
-                .chart-legend { display: flex; gap: 1rem; margin-bottom: 1rem; font-size: 0.875rem; }
-                .legend-item { display: flex; align-items: center; gap: 0.5rem; }
-                .legend-color { width: 12px; height: 12px; border-radius: 2px; }
-                .chart-bars { display: flex; justify-content: space-between; align-items: end; height: 120px; }
-                .bar-group { display: flex; flex-direction: column; align-items: center; flex: 1; }
-                .bar { width: 20px; margin: 1px; border-radius: 2px 2px 0 0; min-height: 2px; }
-                .bar-label { font-size: 0.75rem; margin-top: 0.5rem; color: var(--text-secondary); }
-            </style>
         `;
     }
 
     /**
-     * Update status chart
+     * Update the objects per Simplification Item chart
      */
-    async updateStatusChart() {
-        const chartContainer = document.getElementById('statusChart');
+    async updateSimplificationChart() {
+        const chartContainer = document.getElementById('simplificationChart');
         if (!chartContainer) return;
 
         try {
-            const analytics = await this.storage.getAnalyticsData();
-            const statusData = analytics.statusDistribution;
-            
-            const hasData = Object.values(statusData).some(value => value > 0);
-            
-            if (!hasData) {
-                this.showEmptyChart(chartContainer, 'Gráfico será gerado com suas tarefas');
+            const usage = await this.storage.getSimplificationItemUsage();
+
+            if (usage.length === 0) {
+                this.showEmptyChart(chartContainer, 'Importe o catálogo de Simplification Items em Configurações');
                 return;
             }
 
-            this.renderStatusChart(chartContainer, statusData);
-            
+            const affected = usage.filter(entry => entry.count > 0);
+            if (affected.length === 0) {
+                this.showEmptyChart(chartContainer, 'Vincule objetos aos Simplification Items para ver o impacto');
+                return;
+            }
+
+            this.renderSimplificationChart(chartContainer, affected.slice(0, 10));
+
         } catch (error) {
-            console.error('Failed to update status chart:', error);
+            console.error('Failed to update simplification chart:', error);
             this.showEmptyChart(chartContainer, 'Erro ao carregar dados');
         }
     }
 
     /**
-     * Render status chart as simple donut chart
+     * Render one bar per Simplification Item; clicking opens the filtered objects
      */
-    renderStatusChart(container, data) {
-        const total = Object.values(data).reduce((sum, value) => sum + value, 0);
-        
-        if (total === 0) {
-            this.showEmptyChart(container, 'Nenhuma tarefa cadastrada');
-            return;
-        }
+    renderSimplificationChart(container, usage) {
+        const maxCount = Math.max(...usage.map(entry => entry.count));
 
-        const statusColors = {
-            'planejado': '#6b7280',
-            'em-andamento': '#3b82f6',
-            'aguardando': '#f59e0b',
-            'concluido': '#10b981'
-        };
+        container.innerHTML = `
+            <div class="simplification-bars">
+                ${usage.map(({ item, count }) => `
+                    <button class="simplification-bar-row" data-action="filter-simplification-item" data-item-id="${this.escapeHtml(item.id)}" title="${this.escapeHtml(item.titulo)}">
+                        <span class="simplification-bar-label">${this.escapeHtml(item.id)}</span>
+                        <span class="simplification-bar-track">
+                            <span class="simplification-bar-fill" style="width: ${Math.round((count / maxCount) * 100)}%"></span>
+                        </span>
+                        <span class="simplification-bar-count">${count}</span>
+                    </button>
+                `).join('')}
+            </div>
+        `;
+    }
 
-        const statusLabels = {
-            'planejado': 'Planejado',
-            'em-andamento': 'Em Andamento',
-            'aguardando': 'Aguardando',
-            'concluido': 'Concluído'
-        };
+    /**
+     * Update the average time objects stay in each status
+     */
+    async updateCycleTimeChart() {
+        const chartContainer = document.getElementById('cycleTimeChart');
+        if (!chartContainer) return;
+
+        try {
+            const cycleTimes = this.storage.getStatusCycleTimes(await this.storage.getObjects());
+
+            if (cycleTimes.length === 0) {
+                this.showEmptyChart(chartContainer, 'Os tempos aparecerão conforme os objetos mudarem de status');
+                return;
+            }
+
+            this.renderCycleTimeChart(chartContainer, cycleTimes);
+
+        } catch (error) {
+            console.error('Failed to update cycle time chart:', error);
+            this.showEmptyChart(chartContainer, 'Erro ao carregar dados');
+        }
+    }
+
+    /**
+     * Render one bar per status in lifecycle order
+     */
+    renderCycleTimeChart(container, cycleTimes) {
+        const order = Object.keys(window.objectsController.statusColors);
+        const sorted = [...cycleTimes].sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status));
+        const maxDays = Math.max(...sorted.map(entry => entry.days), 1);
 
         container.innerHTML = `
-            <div class="status-chart">
-                <div class="chart-center">
-                    <div class="total-tasks">${total}</div>
-                    <div class="total-label">Total</div>
-                </div>
-                <div class="status-legend">
-                    ${Object.entries(data).map(([status, count]) => {
-                        if (count === 0) return '';
-                        const percentage = Math.round((count / total) * 100);
-                        return `
-                            <div class="status-item">
-                                <div class="status-color" style="background: ${statusColors[status]}"></div>
-                                <div class="status-details">
-                                    <div class="status-name">${statusLabels[status]}</div>
-                                    <div class="status-count">${count} (${percentage}%)</div>
-                                </div>
-                            </div>
-                        `;
-                    }).join('')}
-                </div>
+            <div class="simplification-bars">
+                ${sorted.map(({ status, days, count }) => `
+                    <div class="simplification-bar-row cycle-time-row" title="${count} ${count === 1 ? 'passagem' : 'passagens'} concluídas">
+                        <span class="simplification-bar-label">${window.objectsController.getStatusLabel(status)}</span>
+                        <span class="simplification-bar-track">
+                            <span class="simplification-bar-fill" style="width: ${Math.round((days / maxDays) * 100)}%"></span>
+                        </span>
+                        <span class="simplification-bar-count">${days}d</span>
+                    </div>
+                `).join('')}
             </div>
-            <style>
-                .status-chart { position: relative; height: 200px; display: flex; flex-direction: column; }
-                .chart-center { 
-                    position: absolute; 
-                    top: 50%; 
-                    left: 50%; 
-                    transform: translate(-50%, -50%);
-                    text-align: center;
-                    z-index: 1;
-                }
-                .total-tasks { font-size: 1.5rem; font-weight: 700; color: var(--text-primary); }
-                .total-label { font-size: 0.75rem; color: var(--text-secondary); }
-                .status-legend { margin-top: auto; display: flex; flex-direction: column; gap: 0.5rem; }
-                .status-item { display: flex; align-items: center; gap: 0.5rem; font-size: 0.875rem; }
-                .status-color { width: 8px; height: 8px; border-radius: 50%; }
-                .status-details { display: flex; justify-content: space-between; flex: 1; }
-                .status-name { color: var(--text-primary); }
-                .status-count { color: var(--text-secondary); }
-            </style>
         `;
     }
 
@@ -458,7 +679,7 @@ class DashboardController {
     /**
      * Handle quick action buttons
      */
-    handleQuickAction(action) {
+    handleQuickAction(action, target) {
         switch (action) {
             case 'new-task':
                 document.dispatchEvent(new CustomEvent('showTaskModal'));
@@ -472,8 +693,16 @@ class DashboardController {
             case 'export-data':
                 document.dispatchEvent(new CustomEvent('exportData'));
                 break;
-            default:
-                console.log('Unknown quick action:', action);
+            case 'filter-simplification-item':
+                window.objectsController.showBySimplificationItem(target.dataset.itemId);
+                break;
+            case 'drill-down-chart':
+                window.app.navigate(window.app.buildRoute(target.dataset.routeView, null, { [target.dataset.routeParam]: target.dataset.routeValue }));
+                break;
+            case 'set-productivity-range':
+                this.setProductivityRange(parseInt(target.dataset.range, 10));
+                break;
+            // Every other action is handled by the controller that owns it
         }
     }
 
@@ -489,6 +718,16 @@ class DashboardController {
         }
     }
 
+    /**
+     * Escape HTML
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     /**
      * Show error message
      */
@@ -0,0 +1,940 @@
+/**
+ * SAP Migration Control Center - Dependencies Controller
+ * Draws the task/object dependency map and handles pan, zoom and node interactions
+ */
+
+class DependenciesController {
+    constructor() {
+        this.storage = window.storageManager;
+        this.svgNS = 'http://www.w3.org/2000/svg';
+        this.graph = { nodes: new Map(), edges: [] };
+        this.transform = { x: 0, y: 0, k: 1 };
+        this.panState = null;
+        this.showIsolated = false;
+        this.highlightQuery = '';
+        this.impactRoot = null;
+        this.objects = [];
+        this.tasks = [];
+
+        this.nodeSize = {
+            task: { width: 84, height: 30 },
+            object: { radius: 16 }
+        };
+
+        this.bindEvents();
+    }
+
+    /**
+     * Bind dependency view events
+     */
+    bindEvents() {
+        document.addEventListener('click', this.handleClick.bind(this));
+
+        // Data change events
+        ['tasksUpdated', 'objectsUpdated'].forEach(eventName => {
+            document.addEventListener(eventName, () => {
+                if (this.isViewActive()) {
+                    this.loadGraph();
+                }
+            });
+        });
+
+        const isolatedToggle = document.getElementById('dependencyShowIsolated');
+        if (isolatedToggle) {
+            isolatedToggle.addEventListener('change', () => {
+                this.showIsolated = isolatedToggle.checked;
+                this.loadGraph();
+            });
+        }
+
+        const dependencySearch = document.getElementById('dependencySearch');
+        if (dependencySearch) {
+            dependencySearch.addEventListener('input', this.debounce(() => {
+                this.highlightQuery = dependencySearch.value.trim().toUpperCase();
+                this.applyHighlight();
+            }, 200));
+        }
+
+        this.bindCanvasEvents();
+    }
+
+    /**
+     * Bind pan and zoom events on the SVG canvas
+     */
+    bindCanvasEvents() {
+        const svg = document.getElementById('dependencyGraph');
+        if (!svg) return;
+
+        svg.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const rect = svg.getBoundingClientRect();
+            const factor = e.deltaY < 0 ? 1.15 : 1 / 1.15;
+            this.zoomAt(e.clientX - rect.left, e.clientY - rect.top, factor);
+        }, { passive: false });
+
+        svg.addEventListener('mousedown', (e) => {
+            if (e.button !== 0) return;
+            this.panState = {
+                startX: e.clientX,
+                startY: e.clientY,
+                originX: this.transform.x,
+                originY: this.transform.y,
+                moved: false
+            };
+            svg.classList.add('panning');
+        });
+
+        window.addEventListener('mousemove', (e) => {
+            if (!this.panState) return;
+            const dx = e.clientX - this.panState.startX;
+            const dy = e.clientY - this.panState.startY;
+            if (Math.abs(dx) + Math.abs(dy) > 3) {
+                this.panState.moved = true;
+            }
+            this.transform.x = this.panState.originX + dx;
+            this.transform.y = this.panState.originY + dy;
+            this.applyTransform();
+        });
+
+        window.addEventListener('mouseup', (e) => {
+            if (!this.panState) return;
+            const wasPanning = this.panState.moved;
+            this.panState = null;
+            svg.classList.remove('panning');
+
+            if (!wasPanning) {
+                const node = e.target.closest && e.target.closest('.dep-node');
+                if (node) {
+                    this.openNode(node.dataset.nodeId);
+                }
+            }
+        });
+
+        svg.addEventListener('mouseover', (e) => {
+            const node = e.target.closest('.dep-node');
+            this.setHoveredNode(node ? node.dataset.nodeId : null);
+        });
+
+        svg.addEventListener('mouseleave', () => this.setHoveredNode(null));
+    }
+
+    /**
+     * Handle click events
+     */
+    handleClick(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target) return;
+
+        switch (target.dataset.action) {
+            case 'dependency-zoom-in':
+                e.preventDefault();
+                this.zoomAtCenter(1.25);
+                break;
+            case 'dependency-zoom-out':
+                e.preventDefault();
+                this.zoomAtCenter(1 / 1.25);
+                break;
+            case 'dependency-fit':
+                e.preventDefault();
+                this.fitToView();
+                break;
+            case 'dependency-impact':
+                e.preventDefault();
+                this.analyzeImpact(document.getElementById('impactObject')?.value.trim().toUpperCase());
+                break;
+            case 'dependency-impact-clear':
+                e.preventDefault();
+                this.clearImpact();
+                break;
+        }
+    }
+
+    /**
+     * Initialize dependencies view
+     */
+    async initialize() {
+        try {
+            await this.loadGraph();
+        } catch (error) {
+            console.error('Dependencies initialization failed:', error);
+            this.showError('Erro ao carregar mapa de dependências');
+        }
+    }
+
+    /**
+     * Load tasks and objects and redraw the graph
+     */
+    async loadGraph() {
+        try {
+            this.tasks = await this.storage.getTasks();
+            this.objects = await this.storage.getObjects();
+
+            this.graph = this.buildGraph(this.tasks, this.objects);
+            this.layoutGraph(this.graph);
+            this.renderGraph();
+            this.fitToView();
+            this.populateImpactOptions();
+            this.renderCyclePanel();
+
+            if (this.impactRoot) {
+                this.analyzeImpact(this.impactRoot);
+            }
+        } catch (error) {
+            console.error('Failed to load dependency graph:', error);
+            this.graph = { nodes: new Map(), edges: [] };
+            this.renderGraph();
+        }
+    }
+
+    /**
+     * Build nodes and edges from task.objetos, object.tarefas and object.dependencias
+     */
+    buildGraph(tasks, objects) {
+        const nodes = new Map();
+        const edges = new Map();
+        const tasksController = window.tasksController;
+        const objectsController = window.objectsController;
+        const index = this.buildObjectDependencyIndex(objects);
+        const cyclic = new Set(this.findCycles(index).flat());
+
+        tasks.forEach(task => {
+            nodes.set(this.nodeKey('task', task.id), {
+                key: this.nodeKey('task', task.id),
+                id: task.id,
+                kind: 'task',
+                label: task.id,
+                title: task.titulo,
+                status: task.status,
+                statusLabel: tasksController ? tasksController.getStatusLabel(task.status) : task.status,
+                colorClass: (tasksController && tasksController.statusColors[task.status]) || 'gradient-purple'
+            });
+        });
+
+        objects.forEach(object => {
+            nodes.set(this.nodeKey('object', object.id), {
+                key: this.nodeKey('object', object.id),
+                id: object.id,
+                kind: 'object',
+                label: object.id,
+                title: object.tipo,
+                status: object.status,
+                statusLabel: objectsController ? objectsController.getStatusLabel(object.status) : object.status,
+                colorClass: (objectsController && objectsController.statusColors[object.status]) || 'gradient-gray',
+                upstream: index.upstream.get(object.id).size,
+                downstream: index.downstream.get(object.id).size,
+                cyclic: cyclic.has(object.id)
+            });
+        });
+
+        const addEdge = (sourceKind, sourceId, targetKind, targetId, kind) => {
+            const source = this.nodeKey(sourceKind, sourceId);
+            const target = this.nodeKey(targetKind, targetId);
+            const edgeKey = `${source}->${target}`;
+            if (edges.has(edgeKey)) return;
+
+            // Links pointing at IDs that were never registered still show up, flagged as missing
+            [[source, sourceKind, sourceId], [target, targetKind, targetId]].forEach(([key, kind, id]) => {
+                if (!nodes.has(key)) {
+                    nodes.set(key, {
+                        key,
+                        id,
+                        kind,
+                        label: id,
+                        title: kind === 'task' ? 'Tarefa não cadastrada' : 'Objeto não cadastrado',
+                        missing: true
+                    });
+                }
+            });
+
+            edges.set(edgeKey, {
+                source,
+                target,
+                kind,
+                cyclic: kind === 'object-object' && cyclic.has(sourceId) && cyclic.has(targetId)
+            });
+        };
+
+        tasks.forEach(task => (task.objetos || []).forEach(objectId => addEdge('task', task.id, 'object', objectId, 'task-object')));
+        objects.forEach(object => (object.tarefas || []).forEach(taskId => addEdge('task', taskId, 'object', object.id, 'task-object')));
+        objects.forEach(object => (object.dependencias || []).forEach(dependencyId => {
+            addEdge('object', object.id, 'object', dependencyId, 'object-object');
+        }));
+
+        const edgeList = [...edges.values()];
+
+        if (!this.showIsolated) {
+            const connected = new Set();
+            edgeList.forEach(edge => {
+                connected.add(edge.source);
+                connected.add(edge.target);
+            });
+            [...nodes.keys()].forEach(key => {
+                if (!connected.has(key)) nodes.delete(key);
+            });
+        }
+
+        return { nodes, edges: edgeList };
+    }
+
+    /**
+     * Position nodes with a deterministic force-directed layout
+     */
+    layoutGraph(graph) {
+        const nodes = [...graph.nodes.values()];
+        const count = nodes.length;
+        if (count === 0) return;
+
+        // Start on a circle so the result is stable between renders
+        const radius = Math.max(150, count * 12);
+        nodes.forEach((node, index) => {
+            const angle = (2 * Math.PI * index) / count;
+            node.x = Math.cos(angle) * radius;
+            node.y = Math.sin(angle) * radius;
+        });
+
+        const area = Math.pow(radius * 2, 2);
+        const k = Math.sqrt(area / count) * 0.6;
+        const iterations = Math.max(20, Math.min(200, Math.floor(2000000 / (count * count))));
+        let temperature = radius / 4;
+
+        for (let i = 0; i < iterations; i++) {
+            nodes.forEach(node => {
+                node.dx = 0;
+                node.dy = 0;
+            });
+
+            // Repulsion between every pair of nodes
+            for (let a = 0; a < count; a++) {
+                for (let b = a + 1; b < count; b++) {
+                    const nodeA = nodes[a];
+                    const nodeB = nodes[b];
+                    const dx = nodeA.x - nodeB.x;
+                    const dy = nodeA.y - nodeB.y;
+                    const distance = Math.max(Math.sqrt(dx * dx + dy * dy), 0.01);
+                    const force = (k * k) / distance;
+                    nodeA.dx += (dx / distance) * force;
+                    nodeA.dy += (dy / distance) * force;
+                    nodeB.dx -= (dx / distance) * force;
+                    nodeB.dy -= (dy / distance) * force;
+                }
+            }
+
+            // Attraction along edges
+            graph.edges.forEach(edge => {
+                const source = graph.nodes.get(edge.source);
+                const target = graph.nodes.get(edge.target);
+                if (!source || !target) return;
+                const dx = source.x - target.x;
+                const dy = source.y - target.y;
+                const distance = Math.max(Math.sqrt(dx * dx + dy * dy), 0.01);
+                const force = (distance * distance) / k;
+                source.dx -= (dx / distance) * force;
+                source.dy -= (dy / distance) * force;
+                target.dx += (dx / distance) * force;
+                target.dy += (dy / distance) * force;
+            });
+
+            nodes.forEach(node => {
+                const displacement = Math.max(Math.sqrt(node.dx * node.dx + node.dy * node.dy), 0.01);
+                const limited = Math.min(displacement, temperature);
+                node.x += (node.dx / displacement) * limited;
+                node.y += (node.dy / displacement) * limited;
+            });
+
+            temperature *= 0.95;
+        }
+    }
+
+    /**
+     * Render the graph into the SVG canvas
+     */
+    renderGraph() {
+        const svg = document.getElementById('dependencyGraph');
+        const emptyState = document.getElementById('dependencyEmpty');
+        if (!svg) return;
+
+        const hasNodes = this.graph.nodes.size > 0;
+        svg.classList.toggle('hidden', !hasNodes);
+        if (emptyState) {
+            emptyState.classList.toggle('hidden', hasNodes);
+        }
+
+        svg.innerHTML = '';
+        svg.appendChild(this.createArrowMarkers());
+        const viewport = this.createSvgElement('g', { class: 'dep-viewport', id: 'dependencyViewport' });
+        const edgeLayer = this.createSvgElement('g', { class: 'dep-edges' });
+        const nodeLayer = this.createSvgElement('g', { class: 'dep-nodes' });
+
+        this.graph.edges.forEach(edge => {
+            const source = this.graph.nodes.get(edge.source);
+            const target = this.graph.nodes.get(edge.target);
+            if (!source || !target) return;
+
+            const attributes = {
+                class: `dep-edge dep-edge-${edge.kind}${edge.cyclic ? ' dep-edge-cycle' : ''}`,
+                x1: source.x,
+                y1: source.y,
+                x2: target.x,
+                y2: target.y,
+                'data-source': edge.source,
+                'data-target': edge.target
+            };
+
+            // Object dependencies are directed: stop the line at the target border so the arrow shows
+            if (edge.kind === 'object-object') {
+                const dx = target.x - source.x;
+                const dy = target.y - source.y;
+                const distance = Math.max(Math.sqrt(dx * dx + dy * dy), 0.01);
+                const inset = this.nodeSize.object.radius + 2;
+                attributes.x2 = target.x - (dx / distance) * inset;
+                attributes.y2 = target.y - (dy / distance) * inset;
+                attributes['marker-end'] = edge.cyclic ? 'url(#depArrowCycle)' : 'url(#depArrow)';
+            }
+
+            edgeLayer.appendChild(this.createSvgElement('line', attributes));
+        });
+
+        this.graph.nodes.forEach(node => {
+            nodeLayer.appendChild(this.renderNode(node));
+        });
+
+        viewport.appendChild(edgeLayer);
+        viewport.appendChild(nodeLayer);
+        svg.appendChild(viewport);
+
+        this.applyTransform();
+        this.applyHighlight();
+        this.updateSummary();
+    }
+
+    /**
+     * Render a single node
+     */
+    renderNode(node) {
+        const group = this.createSvgElement('g', {
+            class: ['dep-node', `dep-${node.kind}`, node.colorClass, node.missing ? 'dep-missing' : '', node.cyclic ? 'dep-cyclic' : ''].filter(Boolean).join(' '),
+            transform: `translate(${node.x}, ${node.y})`,
+            'data-node-id': node.key
+        });
+
+        if (node.kind === 'task') {
+            const { width, height } = this.nodeSize.task;
+            group.appendChild(this.createSvgElement('rect', {
+                class: 'dep-shape',
+                x: -width / 2,
+                y: -height / 2,
+                width,
+                height,
+                rx: 8
+            }));
+            const label = this.createSvgElement('text', { class: 'dep-label dep-label-inside', 'text-anchor': 'middle', dy: '0.35em' });
+            label.textContent = node.label;
+            group.appendChild(label);
+        } else {
+            const { radius } = this.nodeSize.object;
+            group.appendChild(this.createSvgElement('circle', { class: 'dep-shape', r: radius }));
+            const label = this.createSvgElement('text', { class: 'dep-label', 'text-anchor': 'middle', y: radius + 14 });
+            label.textContent = node.label;
+            group.appendChild(label);
+        }
+
+        const tooltip = this.createSvgElement('title');
+        tooltip.textContent = [
+            node.id,
+            node.title,
+            node.statusLabel,
+            node.kind === 'object' && !node.missing ? `depende de ${node.upstream} • usado por ${node.downstream}` : '',
+            node.cyclic ? 'dependência circular' : ''
+        ].filter(Boolean).join(' • ');
+        group.appendChild(tooltip);
+
+        return group;
+    }
+
+    /**
+     * Create arrow markers for directed object dependencies
+     */
+    createArrowMarkers() {
+        const defs = this.createSvgElement('defs');
+
+        [['depArrow', 'dep-arrow'], ['depArrowCycle', 'dep-arrow dep-arrow-cycle']].forEach(([id, className]) => {
+            const marker = this.createSvgElement('marker', {
+                id,
+                viewBox: '0 0 10 10',
+                refX: 9,
+                refY: 5,
+                markerWidth: 7,
+                markerHeight: 7,
+                orient: 'auto-start-reverse'
+            });
+            marker.appendChild(this.createSvgElement('path', { d: 'M 0 0 L 10 5 L 0 10 z', class: className }));
+            defs.appendChild(marker);
+        });
+
+        return defs;
+    }
+
+    /**
+     * Update the node/edge counters next to the toolbar
+     */
+    updateSummary() {
+        const summary = document.getElementById('dependencySummary');
+        if (!summary) return;
+
+        const nodes = [...this.graph.nodes.values()];
+        const tasks = nodes.filter(n => n.kind === 'task' && !n.missing).length;
+        const objects = nodes.filter(n => n.kind === 'object' && !n.missing).length;
+        const missing = nodes.filter(n => n.missing).length;
+
+        summary.textContent = `${tasks} tarefas • ${objects} objetos • ${this.graph.edges.length} vínculos` +
+            (missing > 0 ? ` • ${missing} IDs não cadastrados` : '');
+    }
+
+    /**
+     * Index direct object-to-object dependencies in both directions
+     */
+    buildObjectDependencyIndex(objects) {
+        const upstream = new Map();   // object -> objects it depends on
+        const downstream = new Map(); // object -> objects that depend on it
+        const ensure = (map, id) => {
+            if (!map.has(id)) map.set(id, new Set());
+            return map.get(id);
+        };
+
+        objects.forEach(object => {
+            ensure(upstream, object.id);
+            ensure(downstream, object.id);
+
+            (object.dependencias || []).forEach(dependencyId => {
+                ensure(upstream, object.id).add(dependencyId);
+                ensure(downstream, dependencyId).add(object.id);
+                ensure(upstream, dependencyId);
+            });
+        });
+
+        return { upstream, downstream };
+    }
+
+    /**
+     * Find dependency cycles (strongly connected components) with Tarjan's algorithm
+     */
+    findCycles(index) {
+        const { upstream } = index;
+        const indices = new Map();
+        const lowLinks = new Map();
+        const onStack = new Set();
+        const stack = [];
+        const cycles = [];
+        let counter = 0;
+
+        const visit = (id) => {
+            indices.set(id, counter);
+            lowLinks.set(id, counter);
+            counter++;
+            stack.push(id);
+            onStack.add(id);
+
+            (upstream.get(id) || []).forEach(next => {
+                if (!indices.has(next)) {
+                    visit(next);
+                    lowLinks.set(id, Math.min(lowLinks.get(id), lowLinks.get(next)));
+                } else if (onStack.has(next)) {
+                    lowLinks.set(id, Math.min(lowLinks.get(id), indices.get(next)));
+                }
+            });
+
+            if (lowLinks.get(id) === indices.get(id)) {
+                const component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.push(member);
+                } while (member !== id);
+
+                const selfLoop = component.length === 1 && (upstream.get(id) || new Set()).has(id);
+                if (component.length > 1 || selfLoop) {
+                    cycles.push(component.reverse());
+                }
+            }
+        };
+
+        upstream.forEach((_, id) => {
+            if (!indices.has(id)) visit(id);
+        });
+
+        return cycles;
+    }
+
+    /**
+     * Find a dependency path that leads from an object back to itself
+     */
+    findCyclePath(objectId, objects) {
+        const { upstream } = this.buildObjectDependencyIndex(objects);
+        const previous = new Map();
+        const queue = [...(upstream.get(objectId) || [])];
+        queue.forEach(id => previous.set(id, objectId));
+
+        while (queue.length > 0) {
+            const current = queue.shift();
+            if (current === objectId) {
+                const path = [objectId];
+                let step = previous.get(objectId);
+                while (step !== objectId) {
+                    path.unshift(step);
+                    step = previous.get(step);
+                }
+                path.unshift(objectId);
+                return path;
+            }
+
+            (upstream.get(current) || []).forEach(next => {
+                if (!previous.has(next)) {
+                    previous.set(next, current);
+                    queue.push(next);
+                }
+            });
+        }
+
+        return null;
+    }
+
+    /**
+     * Collect every object and task affected, transitively, by changing an object
+     */
+    getImpact(objectId, objects, tasks) {
+        const { downstream } = this.buildObjectDependencyIndex(objects);
+        const affectedObjects = new Set();
+        const queue = [objectId];
+
+        while (queue.length > 0) {
+            const current = queue.shift();
+            (downstream.get(current) || []).forEach(dependentId => {
+                if (dependentId !== objectId && !affectedObjects.has(dependentId)) {
+                    affectedObjects.add(dependentId);
+                    queue.push(dependentId);
+                }
+            });
+        }
+
+        const scope = new Set([objectId, ...affectedObjects]);
+        const affectedTasks = new Set();
+
+        tasks.forEach(task => {
+            if ((task.objetos || []).some(id => scope.has(id))) {
+                affectedTasks.add(task.id);
+            }
+        });
+        objects.forEach(object => {
+            if (scope.has(object.id)) {
+                (object.tarefas || []).forEach(taskId => affectedTasks.add(taskId));
+            }
+        });
+
+        return {
+            objectId,
+            objects: [...affectedObjects].sort(),
+            tasks: [...affectedTasks].sort()
+        };
+    }
+
+    /**
+     * Run the impact analysis for an object and highlight the result
+     */
+    analyzeImpact(objectId) {
+        if (!objectId) {
+            this.showError('Informe o objeto para a análise de impacto');
+            return;
+        }
+
+        if (!this.objects.some(o => o.id === objectId)) {
+            this.showError(`${objectId} não está cadastrado`);
+            return;
+        }
+
+        const impact = this.getImpact(objectId, this.objects, this.tasks);
+        this.impactRoot = objectId;
+
+        const input = document.getElementById('impactObject');
+        if (input) input.value = objectId;
+
+        const svg = document.getElementById('dependencyGraph');
+        if (svg) {
+            const affectedKeys = new Set([
+                ...impact.objects.map(id => this.nodeKey('object', id)),
+                ...impact.tasks.map(id => this.nodeKey('task', id))
+            ]);
+            svg.classList.add('dep-impact');
+            svg.querySelectorAll('.dep-node').forEach(group => {
+                group.classList.toggle('impact-root', group.dataset.nodeId === this.nodeKey('object', objectId));
+                group.classList.toggle('impacted', affectedKeys.has(group.dataset.nodeId));
+            });
+        }
+
+        this.renderImpactPanel(impact);
+    }
+
+    /**
+     * Clear the impact highlight
+     */
+    clearImpact() {
+        this.impactRoot = null;
+
+        const input = document.getElementById('impactObject');
+        if (input) input.value = '';
+
+        const svg = document.getElementById('dependencyGraph');
+        if (svg) {
+            svg.classList.remove('dep-impact');
+            svg.querySelectorAll('.impact-root, .impacted').forEach(group => {
+                group.classList.remove('impact-root', 'impacted');
+            });
+        }
+
+        document.getElementById('impactPanel')?.classList.add('hidden');
+    }
+
+    /**
+     * Render the impact analysis result list
+     */
+    renderImpactPanel(impact) {
+        const panel = document.getElementById('impactPanel');
+        if (!panel) return;
+
+        const renderTags = (ids, action, dataName) => ids.length > 0
+            ? ids.map(id => `<span class="${dataName === 'task' ? 'task-tag' : 'object-tag'}" data-action="${action}" data-${dataName}-id="${this.escapeHtml(id)}">${this.escapeHtml(id)}</span>`).join('')
+            : '<span class="impact-none">Nenhum</span>';
+
+        panel.innerHTML = `
+            <div class="impact-header">
+                <h3>Impacto de alterar ${this.escapeHtml(impact.objectId)}</h3>
+                <button class="task-edit-btn" data-action="dependency-impact-clear">Limpar</button>
+            </div>
+            <div class="impact-group">
+                <div class="objects-label">Objetos afetados (${impact.objects.length})</div>
+                <div class="objects-list">${renderTags(impact.objects, 'edit-object', 'object')}</div>
+            </div>
+            <div class="impact-group">
+                <div class="objects-label">Tarefas afetadas (${impact.tasks.length})</div>
+                <div class="objects-list">${renderTags(impact.tasks, 'edit-task', 'task')}</div>
+            </div>
+        `;
+        panel.classList.remove('hidden');
+    }
+
+    /**
+     * List detected dependency cycles
+     */
+    renderCyclePanel() {
+        const panel = document.getElementById('cyclePanel');
+        if (!panel) return;
+
+        const cycles = this.findCycles(this.buildObjectDependencyIndex(this.objects));
+        panel.classList.toggle('hidden', cycles.length === 0);
+        if (cycles.length === 0) return;
+
+        panel.innerHTML = `
+            <h3>${cycles.length === 1 ? '1 dependência circular detectada' : `${cycles.length} dependências circulares detectadas`}</h3>
+            ${cycles.map(cycle => {
+                const path = this.findCyclePath(cycle[0], this.objects) || [...cycle, cycle[0]];
+                return `<div class="cycle-path">${path.map(id => this.escapeHtml(id)).join(' → ')}</div>`;
+            }).join('')}
+        `;
+    }
+
+    /**
+     * Offer registered objects in the impact analysis input
+     */
+    populateImpactOptions() {
+        const datalist = document.getElementById('impactObjectOptions');
+        if (!datalist) return;
+
+        datalist.innerHTML = this.objects
+            .map(object => `<option value="${this.escapeHtml(object.id)}">`)
+            .join('');
+    }
+
+    /**
+     * Open the edit modal for a clicked node
+     */
+    openNode(nodeKey) {
+        const node = this.graph.nodes.get(nodeKey);
+        if (!node) return;
+
+        if (node.missing) {
+            this.showError(`${node.id} não está cadastrado`);
+            return;
+        }
+
+        if (node.kind === 'task' && window.tasksController) {
+            window.tasksController.showTaskModal(node.id);
+        } else if (node.kind === 'object' && window.objectsController) {
+            window.objectsController.showObjectModal(node.id);
+        }
+    }
+
+    /**
+     * Highlight a node and its direct neighbours
+     */
+    setHoveredNode(nodeKey) {
+        const svg = document.getElementById('dependencyGraph');
+        if (!svg) return;
+
+        svg.classList.toggle('dep-hovering', !!nodeKey);
+        const neighbours = new Set(nodeKey ? [nodeKey] : []);
+
+        svg.querySelectorAll('.dep-edge').forEach(line => {
+            const active = !!nodeKey && (line.dataset.source === nodeKey || line.dataset.target === nodeKey);
+            line.classList.toggle('active', active);
+            if (active) {
+                neighbours.add(line.dataset.source);
+                neighbours.add(line.dataset.target);
+            }
+        });
+
+        svg.querySelectorAll('.dep-node').forEach(group => {
+            group.classList.toggle('active', neighbours.has(group.dataset.nodeId));
+        });
+    }
+
+    /**
+     * Mark nodes matching the search box
+     */
+    applyHighlight() {
+        const svg = document.getElementById('dependencyGraph');
+        if (!svg) return;
+
+        const query = this.highlightQuery;
+        svg.classList.toggle('dep-searching', !!query);
+
+        svg.querySelectorAll('.dep-node').forEach(group => {
+            const node = this.graph.nodes.get(group.dataset.nodeId);
+            const matches = !!query && !!node && node.id.toUpperCase().includes(query);
+            group.classList.toggle('match', matches);
+        });
+    }
+
+    /**
+     * Zoom keeping the given canvas point fixed
+     */
+    zoomAt(pointX, pointY, factor) {
+        const k = Math.min(4, Math.max(0.1, this.transform.k * factor));
+        const ratio = k / this.transform.k;
+
+        this.transform.x = pointX - (pointX - this.transform.x) * ratio;
+        this.transform.y = pointY - (pointY - this.transform.y) * ratio;
+        this.transform.k = k;
+        this.applyTransform();
+    }
+
+    /**
+     * Zoom around the canvas center
+     */
+    zoomAtCenter(factor) {
+        const svg = document.getElementById('dependencyGraph');
+        if (!svg) return;
+        this.zoomAt(svg.clientWidth / 2, svg.clientHeight / 2, factor);
+    }
+
+    /**
+     * Scale and center the graph inside the canvas
+     */
+    fitToView() {
+        const svg = document.getElementById('dependencyGraph');
+        const nodes = [...this.graph.nodes.values()];
+        if (!svg || nodes.length === 0) return;
+
+        const padding = 60;
+        const minX = Math.min(...nodes.map(n => n.x)) - padding;
+        const maxX = Math.max(...nodes.map(n => n.x)) + padding;
+        const minY = Math.min(...nodes.map(n => n.y)) - padding;
+        const maxY = Math.max(...nodes.map(n => n.y)) + padding;
+
+        const width = svg.clientWidth || 800;
+        const height = svg.clientHeight || 500;
+        const k = Math.min(2, width / (maxX - minX), height / (maxY - minY));
+
+        this.transform = {
+            k,
+            x: width / 2 - ((minX + maxX) / 2) * k,
+            y: height / 2 - ((minY + maxY) / 2) * k
+        };
+        this.applyTransform();
+    }
+
+    /**
+     * Apply the current pan/zoom transform
+     */
+    applyTransform() {
+        const viewport = document.getElementById('dependencyViewport');
+        if (!viewport) return;
+        const { x, y, k } = this.transform;
+        viewport.setAttribute('transform', `translate(${x}, ${y}) scale(${k})`);
+    }
+
+    // Utility methods
+
+    /**
+     * Build a unique node key (tasks and objects may share IDs)
+     */
+    nodeKey(kind, id) {
+        return `${kind}:${id}`;
+    }
+
+    /**
+     * Create an SVG element with attributes
+     */
+    createSvgElement(tagName, attributes = {}) {
+        const element = document.createElementNS(this.svgNS, tagName);
+        Object.entries(attributes).forEach(([name, value]) => {
+            element.setAttribute(name, value);
+        });
+        return element;
+    }
+
+    /**
+     * Escape HTML
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Check whether the dependencies view is visible
+     */
+    isViewActive() {
+        return document.getElementById('dependenciesView')?.classList.contains('active');
+    }
+
+    /**
+     * Debounce function
+     */
+    debounce(func, wait) {
+        let timeout;
+        return function executedFunction(...args) {
+            const later = () => {
+                clearTimeout(timeout);
+                func(...args);
+            };
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+        };
+    }
+
+    /**
+     * Show error message
+     */
+    showError(message) {
+        if (window.app && window.app.showToast) {
+            window.app.showToast(message, 'error');
+        } else {
+            console.error(message);
+        }
+    }
+}
+
+// Create global dependencies controller instance
+window.dependenciesController = new DependenciesController();
@@ -0,0 +1,263 @@
+/**
+ * SAP Migration Control Center - Saved Filters Controller
+ * Keeps named filter combinations of the tasks and objects views as chips above their filters
+ */
+
+class SavedFiltersController {
+    constructor() {
+        this.storage = window.storageManager;
+        this.filters = [];
+        this.namingScope = null;
+
+        // Filter inputs of each view, keyed by the name stored in the saved filter
+        this.scopes = {
+            tasks: {
+                containerId: 'taskSavedFilters',
+                inputs: { consulta: 'taskSearch', status: 'statusFilter', prioridade: 'priorityFilter', categoria: 'categoryFilter' },
+                apply: () => window.tasksController.applyFilters()
+            },
+            objects: {
+                containerId: 'objectSavedFilters',
+                inputs: { consulta: 'objectSearch', tipo: 'typeFilter', status: 'objectStatusFilter', item: 'simplificationFilter' },
+                apply: () => window.objectsController.applyFilters()
+            }
+        };
+
+        this.bindEvents();
+    }
+
+    /**
+     * Bind saved filter events
+     */
+    bindEvents() {
+        document.addEventListener('click', this.handleClick.bind(this));
+        document.addEventListener('keydown', this.handleKeydown.bind(this));
+
+        document.addEventListener('settingsUpdated', (e) => {
+            this.filters = (e.detail && e.detail.filtrosSalvos) || [];
+            Object.keys(this.scopes).forEach(scope => this.renderChips(scope));
+        });
+
+        // Highlight the chip matching the filters as they change
+        Object.entries(this.scopes).forEach(([scope, config]) => {
+            Object.values(config.inputs).forEach(inputId => {
+                const input = document.getElementById(inputId);
+                if (input) {
+                    input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => this.renderChips(scope));
+                }
+            });
+        });
+    }
+
+    /**
+     * Handle click events
+     */
+    handleClick(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target) return;
+
+        switch (target.dataset.action) {
+            case 'apply-saved-filter':
+                e.preventDefault();
+                this.applyFilter(target.dataset.filterId);
+                break;
+            case 'delete-saved-filter':
+                e.preventDefault();
+                this.deleteFilter(target.dataset.filterId);
+                break;
+            case 'save-current-filter':
+                e.preventDefault();
+                this.startNaming(target.dataset.filterScope);
+                break;
+        }
+    }
+
+    /**
+     * Save the filter on Enter and cancel on Escape while naming it
+     */
+    handleKeydown(e) {
+        const input = e.target.closest && e.target.closest('[data-saved-filter-name]');
+        if (!input) return;
+
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            this.saveCurrentFilter(input.dataset.savedFilterName, input.value.trim());
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            this.namingScope = null;
+            this.renderChips(input.dataset.savedFilterName);
+        }
+    }
+
+    /**
+     * Load the saved filters and render the chips of a view
+     */
+    async render(scope) {
+        try {
+            this.filters = await this.storage.getSavedFilters();
+        } catch (error) {
+            console.error('Failed to load saved filters:', error);
+            this.filters = [];
+        }
+        this.renderChips(scope);
+    }
+
+    /**
+     * Render the chips of a view; the chip matching the current filters is marked active
+     */
+    renderChips(scope) {
+        const config = this.scopes[scope];
+        const container = config && document.getElementById(config.containerId);
+        if (!container) return;
+
+        const current = this.readCurrentValues(scope);
+        const hasValues = Object.values(current).some(Boolean);
+        const filters = this.filters.filter(filter => filter.escopo === scope);
+
+        container.innerHTML = `
+            ${filters.map(filter => `
+                <span class="saved-filter-chip ${this.isSameFilter(filter.valores, current) ? 'active' : ''}">
+                    <button data-action="apply-saved-filter" data-filter-id="${filter.id}" title="${this.escapeHtml(this.describeFilter(filter.valores))}">
+                        ${this.escapeHtml(filter.nome)}
+                    </button>
+                    <button class="saved-filter-remove" data-action="delete-saved-filter" data-filter-id="${filter.id}" title="Remover filtro">×</button>
+                </span>
+            `).join('')}
+            ${this.namingScope === scope ? `
+                <input type="text" class="saved-filter-name" data-saved-filter-name="${scope}" placeholder="Nome do filtro e Enter">
+            ` : `
+                <button class="saved-filter-add" data-action="save-current-filter" data-filter-scope="${scope}" ${hasValues ? '' : 'disabled'} title="${hasValues ? 'Salvar os filtros atuais' : 'Defina algum filtro para salvá-lo'}">
+                    + Salvar filtro
+                </button>
+            `}
+        `;
+
+        const nameInput = container.querySelector('[data-saved-filter-name]');
+        if (nameInput) nameInput.focus();
+    }
+
+    /**
+     * Read the current value of every filter input of a view
+     */
+    readCurrentValues(scope) {
+        const values = {};
+        Object.entries(this.scopes[scope].inputs).forEach(([key, inputId]) => {
+            values[key] = (document.getElementById(inputId)?.value || '').trim();
+        });
+        return values;
+    }
+
+    isSameFilter(saved, current) {
+        return Object.keys(current).every(key => (saved[key] || '') === current[key]);
+    }
+
+    /**
+     * Summarize a saved filter for the chip tooltip
+     */
+    describeFilter(values) {
+        return Object.entries(values)
+            .filter(([, value]) => value)
+            .map(([key, value]) => key === 'consulta' ? value : `${key}: ${value}`)
+            .join(' • ');
+    }
+
+    /**
+     * Put the saved values back into the filter inputs and refresh the view
+     */
+    async applyFilter(filterId) {
+        const filter = this.filters.find(f => f.id === filterId);
+        const config = filter && this.scopes[filter.escopo];
+        if (!config) return;
+
+        Object.entries(config.inputs).forEach(([key, inputId]) => {
+            const input = document.getElementById(inputId);
+            if (input) input.value = filter.valores[key] || '';
+        });
+
+        await config.apply();
+        this.renderChips(filter.escopo);
+        if (window.app) window.app.syncRoute('replace');
+    }
+
+    startNaming(scope) {
+        this.namingScope = scope;
+        this.renderChips(scope);
+    }
+
+    /**
+     * Save the current filters under a name; an existing filter with that name is replaced
+     */
+    async saveCurrentFilter(scope, name) {
+        this.namingScope = null;
+        if (!name) {
+            this.renderChips(scope);
+            return;
+        }
+
+        const existing = this.filters.find(filter => filter.escopo === scope && filter.nome.toLowerCase() === name.toLowerCase());
+        const filter = {
+            id: existing ? existing.id : this.storage.generateId('FLT'),
+            nome: name,
+            escopo: scope,
+            valores: this.readCurrentValues(scope)
+        };
+
+        try {
+            await this.storage.saveSavedFilters([
+                ...this.filters.filter(f => f.id !== filter.id),
+                filter
+            ]);
+            this.showSuccess(existing ? `Filtro "${name}" atualizado` : `Filtro "${name}" salvo`);
+        } catch (error) {
+            console.error('Failed to save filter:', error);
+            this.showError('Erro ao salvar filtro');
+        }
+    }
+
+    async deleteFilter(filterId) {
+        const filter = this.filters.find(f => f.id === filterId);
+        if (!filter) return;
+
+        try {
+            await this.storage.saveSavedFilters(this.filters.filter(f => f.id !== filterId));
+            this.showSuccess(`Filtro "${filter.nome}" removido`);
+        } catch (error) {
+            console.error('Failed to delete filter:', error);
+            this.showError('Erro ao remover filtro');
+        }
+    }
+
+    /**
+     * Escape HTML
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Show success message
+     */
+    showSuccess(message) {
+        if (window.app && window.app.showToast) {
+            window.app.showToast(message, 'success');
+        }
+    }
+
+    /**
+     * Show error message
+     */
+    showError(message) {
+        if (window.app && window.app.showToast) {
+            window.app.showToast(message, 'error');
+        } else {
+            console.error(message);
+        }
+    }
+}
+
+// Create global saved filters controller instance
+window.savedFiltersController = new SavedFiltersController();
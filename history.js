@@ -0,0 +1,301 @@
+/**
+ * SAP Migration Control Center - History Controller
+ * Renders the audit trail of tasks, objects and requests and exports it
+ */
+
+class HistoryController {
+    constructor() {
+        this.storage = window.storageManager;
+
+        this.entityLabels = {
+            'task': 'Tarefa',
+            'object': 'Objeto',
+            'request': 'Request'
+        };
+
+        this.actionLabels = {
+            'create': 'Criação',
+            'update': 'Alteração',
+            'delete': 'Exclusão'
+        };
+
+        this.fieldLabels = {
+            'id': 'ID',
+            'titulo': 'Título',
+            'descricao': 'Descrição',
+            'inicio': 'Início',
+            'prazo': 'Prazo',
+            'status': 'Status',
+            'prioridade': 'Prioridade',
+            'categoria': 'Categoria',
+            'progresso': 'Progresso',
+            'estimativa': 'Estimativa',
+            'horasGastas': 'Horas Gastas',
+            'worklog': 'Apontamentos',
+            'ordem': 'Ordem no Quadro',
+            'objetos': 'Objetos',
+            'bloqueadaPor': 'Bloqueada por',
+            'notas': 'Notas',
+            'nome': 'Nome',
+            'tipo': 'Tipo',
+            'complexidade': 'Complexidade',
+            'impacto': 'Impacto',
+            'esforco_estimado': 'Esforço Estimado',
+            's4hana_equivalente': 'Equivalente S/4HANA',
+            'pacote': 'Pacote',
+            'autor': 'Autor',
+            'achados': 'Achados ATC',
+            'transicoes': 'Transições de Status',
+            'itensSimplificacao': 'Simplification Items',
+            'tarefas': 'Tarefas',
+            'dependencias': 'Dependências',
+            'responsavel': 'Responsável',
+            'sistemaDestino': 'Sistema Destino',
+            'importacoes': 'Importações',
+            'liberadaEm': 'Liberada em',
+            'tarefasTransporte': 'Tarefas SE09'
+        };
+
+        this.bindEvents();
+    }
+
+    /**
+     * Bind history-related events
+     */
+    bindEvents() {
+        document.addEventListener('click', this.handleClick.bind(this));
+    }
+
+    /**
+     * Handle click events
+     */
+    handleClick(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target) return;
+
+        switch (target.dataset.action) {
+            case 'switch-modal-tab':
+                e.preventDefault();
+                this.switchTab(target);
+                break;
+            case 'export-history':
+                e.preventDefault();
+                this.exportHistory();
+                break;
+        }
+    }
+
+    /**
+     * Reset the tabs of a modal and load the history of the record being edited
+     * The history tab is hidden while creating a new record
+     */
+    async prepareModal(modalId, entity, entityId) {
+        const modal = document.getElementById(modalId);
+        if (!modal) return;
+
+        const tabs = modal.querySelectorAll('[data-action="switch-modal-tab"]');
+        if (tabs.length === 0) return;
+
+        this.switchTab(tabs[0]);
+
+        const historyTab = modal.querySelector('[data-history-tab]');
+        if (!historyTab) return;
+
+        historyTab.classList.toggle('hidden', !entityId);
+        if (entityId) {
+            const panel = document.getElementById(historyTab.dataset.tab);
+            const events = await this.storage.getHistory(entity, entityId);
+            this.renderTimeline(panel, events);
+        }
+    }
+
+    /**
+     * Show the panel of the clicked tab
+     */
+    switchTab(tab) {
+        const modal = tab.closest('.modal');
+        if (!modal) return;
+
+        modal.querySelectorAll('[data-action="switch-modal-tab"]').forEach(button => {
+            const isActive = button === tab;
+            button.classList.toggle('active', isActive);
+            const panel = document.getElementById(button.dataset.tab);
+            if (panel) panel.classList.toggle('hidden', !isActive);
+        });
+    }
+
+    /**
+     * Render history events as a timeline
+     */
+    renderTimeline(container, events) {
+        if (!container) return;
+
+        if (events.length === 0) {
+            container.innerHTML = '<p class="history-empty">Nenhuma alteração registrada</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <ol class="history-timeline">
+                ${events.map(event => `
+                    <li class="history-event history-${event.action}">
+                        <div class="history-event-header">
+                            <span class="history-action">${this.actionLabels[event.action] || event.action}</span>
+                            <span class="history-meta">
+                                ${this.formatTimestamp(event.timestamp)}${event.user ? ` • ${this.escapeHtml(event.user)}` : ''}
+                            </span>
+                        </div>
+                        ${event.action === 'update' ? `
+                            <ul class="history-changes">
+                                ${event.changes.map(change => `
+                                    <li>
+                                        <strong>${this.getFieldLabel(change.field)}:</strong>
+                                        <span class="history-before">${this.escapeHtml(this.formatValue(change.before))}</span>
+                                        →
+                                        <span class="history-after">${this.escapeHtml(this.formatValue(change.after))}</span>
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        ` : ''}
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+    }
+
+    /**
+     * Export the whole history as CSV, one line per changed field
+     */
+    async exportHistory() {
+        try {
+            const events = await this.storage.getHistory();
+
+            if (events.length === 0) {
+                this.showError('Nenhuma alteração registrada para exportar');
+                return;
+            }
+
+            const header = ['Data', 'Usuário', 'Entidade', 'ID', 'Ação', 'Campo', 'Antes', 'Depois'];
+            const rows = [];
+
+            events.slice().reverse().forEach(event => {
+                const base = [
+                    event.timestamp,
+                    event.user,
+                    this.entityLabels[event.entity] || event.entity,
+                    event.entityId,
+                    this.actionLabels[event.action] || event.action
+                ];
+                event.changes.forEach(change => {
+                    rows.push([
+                        ...base,
+                        this.getFieldLabel(change.field),
+                        this.formatValue(change.before),
+                        this.formatValue(change.after)
+                    ]);
+                });
+            });
+
+            const csv = [header, ...rows].map(row => row.map(value => this.toCsvValue(value)).join(';')).join('\r\n');
+
+            // BOM so spreadsheet tools detect UTF-8 accents
+            const blob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' });
+            const url = URL.createObjectURL(blob);
+
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `sap-migration-historico-${new Date().toISOString().split('T')[0]}.csv`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+
+            URL.revokeObjectURL(url);
+
+            this.showSuccess('Histórico exportado com sucesso!');
+
+        } catch (error) {
+            console.error('Failed to export history:', error);
+            this.showError('Erro ao exportar histórico');
+        }
+    }
+
+    /**
+     * Get field label
+     */
+    getFieldLabel(field) {
+        return this.fieldLabels[field] || field;
+    }
+
+    /**
+     * Format a stored value for display
+     */
+    formatValue(value) {
+        if (value === null || value === undefined || value === '') return '—';
+
+        if (Array.isArray(value)) {
+            if (value.length === 0) return '—';
+            // Nested records such as worklog entries are summarized
+            return value.every(item => typeof item !== 'object')
+                ? value.join(', ')
+                : `${value.length} registro(s)`;
+        }
+
+        if (typeof value === 'object') return JSON.stringify(value);
+
+        return String(value);
+    }
+
+    /**
+     * Format timestamp
+     */
+    formatTimestamp(timestamp) {
+        const date = new Date(timestamp);
+        return date.toLocaleDateString('pt-BR') + ' às ' + date.toLocaleTimeString('pt-BR', {
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    /**
+     * Quote a value for CSV
+     */
+    toCsvValue(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Escape HTML
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Show success message
+     */
+    showSuccess(message) {
+        if (window.app && window.app.showToast) {
+            window.app.showToast(message, 'success');
+        } else {
+            console.log(message);
+        }
+    }
+
+    /**
+     * Show error message
+     */
+    showError(message) {
+        if (window.app && window.app.showToast) {
+            window.app.showToast(message, 'error');
+        } else {
+            console.error(message);
+        }
+    }
+}
+
+// Create global history controller instance
+window.historyController = new HistoryController();
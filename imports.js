@@ -0,0 +1,936 @@
+/**
+ * SAP Migration Control Center - Import Controller
+ * Reads CSV/TSV exports from SAP, previews them and saves the result in one batch
+ */
+
+class ImportController {
+    constructor() {
+        this.storage = window.storageManager;
+        this.kind = null;
+        this.rows = [];
+        this.preview = [];
+        this.previewLimit = 200;
+
+        this.importers = {
+            'tadir': {
+                title: 'Importar Objetos (TADIR / SE80)',
+                description: 'Selecione uma exportação CSV/TSV da TADIR com as colunas PGMID, OBJECT, OBJ_NAME, DEVCLASS e AUTHOR.',
+                columns: {
+                    pgmid: ['PGMID', 'PROGRAM ID'],
+                    type: ['OBJECT', 'OBJECT TYPE', 'OBJ_TYPE', 'TIPO'],
+                    name: ['OBJ_NAME', 'OBJECT NAME', 'NOME'],
+                    devclass: ['DEVCLASS', 'PACKAGE', 'PACOTE'],
+                    author: ['AUTHOR', 'PERSON RESPONSIBLE', 'AUTOR', 'RESPONSÁVEL']
+                },
+                required: ['type', 'name'],
+                preview: [
+                    { label: 'Linha', value: item => item.line },
+                    { label: 'Objeto', value: item => item.id },
+                    { label: 'R3TR', value: item => item.type },
+                    { label: 'Tipo', value: item => item.tipo || '—' },
+                    { label: 'Pacote', value: item => item.pacote },
+                    { label: 'Autor', value: item => item.autor }
+                ]
+            },
+            'atc': {
+                title: 'Importar Achados ATC',
+                description: 'Selecione uma exportação CSV/TSV ou XML do ATC (variante S4HANA_READINESS) com objeto, verificação, mensagem, prioridade, nota SAP e item de simplificação.',
+                columns: {
+                    type: ['OBJ_TYPE', 'OBJECT TYPE', 'TYPE', 'TIPO'],
+                    name: ['OBJ_NAME', 'OBJECT NAME', 'OBJECT', 'NAME', 'OBJETO'],
+                    check: ['CHECK TITLE', 'CHECK', 'SOURCE', 'VERIFICAÇÃO'],
+                    message: ['MESSAGE TITLE', 'MESSAGE TEXT', 'MESSAGE', 'MENSAGEM'],
+                    priority: ['PRIORITY', 'SEVERITY', 'PRIORIDADE'],
+                    note: ['SAP NOTE', 'NOTE', 'NOTA SAP', 'NOTA'],
+                    item: ['SIMPLIFICATION ITEM', 'SIMPL ITEM', 'ITEM DE SIMPLIFICAÇÃO']
+                },
+                required: ['name', 'priority'],
+                preview: [
+                    { label: 'Objeto', value: item => item.id },
+                    { label: 'Tipo', value: item => item.tipo || item.type || '—' },
+                    { label: 'Achados', value: item => item.findings.length },
+                    { label: 'Prioridades', value: item => this.formatPriorityCounts(item.findings) },
+                    { label: 'Sugestão', value: item => this.formatSuggestion(item) }
+                ]
+            },
+            'simplification': {
+                title: 'Importar Catálogo de Simplification Items',
+                description: 'Selecione um CSV/TSV com as colunas ID, TITLE, AREA, SAP NOTES e REPLACEMENT OBJECTS. Listas podem ser separadas por vírgula ou espaço.',
+                columns: {
+                    id: ['ID', 'ITEM', 'SIMPLIFICATION ITEM', 'SI'],
+                    title: ['TITLE', 'TÍTULO', 'TITULO', 'DESCRIPTION', 'DESCRIÇÃO'],
+                    area: ['AREA', 'ÁREA', 'LINE OF BUSINESS', 'APPLICATION AREA'],
+                    notes: ['SAP NOTES', 'NOTES', 'NOTAS SAP', 'NOTAS'],
+                    replacements: ['REPLACEMENT OBJECTS', 'REPLACEMENTS', 'OBJETOS SUBSTITUTOS', 'SUBSTITUTOS']
+                },
+                required: ['id', 'title'],
+                preview: [
+                    { label: 'Linha', value: item => item.line },
+                    { label: 'ID', value: item => item.id },
+                    { label: 'Título', value: item => item.titulo },
+                    { label: 'Área', value: item => item.area || '—' },
+                    { label: 'Notas SAP', value: item => item.notasSap.join(', ') || '—' },
+                    { label: 'Substitutos', value: item => item.substitutos.join(', ') || '—' }
+                ]
+            },
+            'transport': {
+                title: 'Importar Requests (E070 / E071)',
+                description: 'Selecione um CSV/TSV da E070 (TRKORR, TRFUNCTION, TRSTATUS, AS4USER, AS4DATE) e/ou da E071 (TRKORR, PGMID, OBJECT, OBJ_NAME). Inclua a E070 para agrupar os objetos das tarefas em suas requests. Requests já cadastradas têm status e objetos atualizados.',
+                columns: {
+                    trkorr: ['TRKORR', 'REQUEST', 'REQUEST/TASK', 'ORDEM'],
+                    parent: ['STRKORR', 'HIGHER-LEVEL REQUEST', 'REQUEST SUPERIOR'],
+                    function: ['TRFUNCTION', 'REQUEST TYPE', 'TIPO DE REQUEST'],
+                    status: ['TRSTATUS', 'REQUEST STATUS', 'STATUS'],
+                    user: ['AS4USER', 'OWNER', 'PROPRIETÁRIO', 'RESPONSÁVEL'],
+                    date: ['AS4DATE', 'LAST CHANGED', 'DATA'],
+                    text: ['AS4TEXT', 'SHORT DESCRIPTION', 'DESCRIPTION', 'DESCRIÇÃO'],
+                    pgmid: ['PGMID', 'PROGRAM ID'],
+                    type: ['OBJECT', 'OBJECT TYPE', 'OBJ_TYPE'],
+                    name: ['OBJ_NAME', 'OBJECT NAME', 'NOME DO OBJETO']
+                },
+                required: ['trkorr'],
+                preview: [
+                    { label: 'Request', value: item => item.id },
+                    { label: 'Tipo', value: item => item.record ? window.requestsController.getTypeLabel(item.record.tipo) : '—' },
+                    { label: 'Status', value: item => item.record ? window.requestsController.getStatusLabel(item.record.status) : '—' },
+                    { label: 'Objetos', value: item => this.formatTransportObjects(item) },
+                    { label: 'Alterações', value: item => item.changes.join('; ') || '—' }
+                ]
+            }
+        };
+
+        // E070 request functions; tasks (S, Q, R, X) are folded into their request
+        this.transportFunctions = {
+            'K': 'workbench',
+            'W': 'customizing',
+            'T': 'toc',
+            'C': 'workbench'
+        };
+        this.transportTaskFunctions = ['S', 'Q', 'R', 'X'];
+
+        // E070 status: D/L modifiable, O/R/N release started or released
+        this.transportStatuses = {
+            'D': 'modificavel',
+            'L': 'modificavel',
+            'O': 'liberada',
+            'R': 'liberada',
+            'N': 'liberada'
+        };
+
+        // R3TR object types mapped to the types of the object form
+        this.tadirTypes = {
+            'PROG': 'Report',
+            'FUGR': 'Function Module',
+            'CLAS': 'Class',
+            'INTF': 'Interface',
+            'TRAN': 'TCode',
+            'TABL': 'Table',
+            'VIEW': 'View',
+            'DDLS': 'View',
+            'WAPA': 'BSP Application',
+            'WDYN': 'Web Dynpro',
+            'WDYA': 'Web Dynpro',
+            'SSFO': 'Form',
+            'SFPF': 'Form',
+            'FORM': 'Form'
+        };
+
+        this.actionLabels = {
+            'create': 'Criar',
+            'update': 'Atualizar',
+            'skip': 'Ignorar'
+        };
+
+        this.bindEvents();
+    }
+
+    /**
+     * Bind import wizard events
+     */
+    bindEvents() {
+        document.addEventListener('click', this.handleClick.bind(this));
+
+        const fileInput = document.getElementById('importFile');
+        if (fileInput) {
+            fileInput.addEventListener('change', () => this.readFile(fileInput.files[0]));
+        }
+
+        ['importDuplicateMode', 'importApplySuggestions', 'importCreateObjects'].forEach(id => {
+            const option = document.getElementById(id);
+            if (option) {
+                option.addEventListener('change', () => this.buildPreview());
+            }
+        });
+
+        const confirmBtn = document.getElementById('importConfirmBtn');
+        if (confirmBtn) {
+            confirmBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.confirmImport();
+            });
+        }
+
+        const cancelBtn = document.getElementById('importCancelBtn');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.closeModal();
+            });
+        }
+    }
+
+    /**
+     * Handle click events
+     */
+    handleClick(e) {
+        const target = e.target.closest('[data-action="open-import"]');
+        if (!target) return;
+
+        e.preventDefault();
+        this.openWizard(target.dataset.importKind);
+    }
+
+    /**
+     * Open the wizard for one kind of import
+     */
+    openWizard(kind) {
+        const importer = this.importers[kind];
+        if (!importer) return;
+
+        this.kind = kind;
+        this.rows = [];
+        this.preview = [];
+
+        document.getElementById('importModalTitle').textContent = importer.title;
+        document.getElementById('importDescription').textContent = importer.description;
+        document.getElementById('importFile').value = '';
+        document.querySelectorAll('#importModal [data-import-option]').forEach(option => {
+            option.classList.toggle('hidden', option.dataset.importOption !== kind);
+        });
+
+        this.renderPreview();
+        window.app.showModal('importModal');
+    }
+
+    /**
+     * Close the wizard
+     */
+    closeModal() {
+        window.app.closeModal('importModal');
+        this.kind = null;
+        this.rows = [];
+        this.preview = [];
+    }
+
+    /**
+     * Read the chosen file and build the preview
+     */
+    async readFile(file) {
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            await this.loadText(text);
+        } catch (error) {
+            console.error('Failed to read import file:', error);
+            this.showError('Erro ao ler arquivo');
+        }
+    }
+
+    /**
+     * Parse exported text into records for the current kind
+     * XML exports are read by attribute name, CSV/TSV by header
+     */
+    async loadText(text) {
+        const importer = this.importers[this.kind];
+        const { records, missing } = /^\s*</.test(text.replace(/^\uFEFF/, ''))
+            ? this.parseXmlRecords(text, importer.columns, importer.required)
+            : this.mapColumns(this.parseDelimited(text), importer.columns, importer.required);
+
+        if (missing.length > 0) {
+            this.rows = [];
+            this.preview = [];
+            this.renderPreview();
+            this.showError(`Colunas não encontradas: ${missing.map(column => importer.columns[column][0]).join(', ')}`);
+            return;
+        }
+
+        this.rows = records;
+        await this.buildPreview();
+    }
+
+    /**
+     * Split CSV/TSV text into rows of cells
+     * The delimiter (tab, semicolon, comma or pipe) is the one splitting the first lines the most
+     */
+    parseDelimited(text) {
+        const content = text.replace(/^\uFEFF/, '');
+        const sample = content.split(/\r?\n/).filter(line => line.trim()).slice(0, 10);
+        const delimiter = ['\t', ';', ',', '|']
+            .map(candidate => ({ candidate, count: Math.max(0, ...sample.map(line => line.split(candidate).length)) }))
+            .sort((a, b) => b.count - a.count)[0].candidate;
+
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+
+            if (inQuotes) {
+                if (char === '"' && content[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell.trim() === '') {
+                inQuotes = true;
+                cell = '';
+            } else if (char === delimiter) {
+                row.push(cell.trim());
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                row.push(cell.trim());
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        row.push(cell.trim());
+        rows.push(row);
+
+        return rows.filter(cells => cells.some(value => value !== ''));
+    }
+
+    /**
+     * Turn parsed rows into records keyed by column
+     * The header is the first row naming a known column, so title lines above it are skipped
+     */
+    mapColumns(table, columns, required) {
+        const headerIndex = table.findIndex(cells => cells.some(cell => this.findColumn(columns, cell)));
+
+        if (headerIndex === -1) {
+            return { records: [], missing: required };
+        }
+
+        const positions = {};
+        table[headerIndex].forEach((cell, index) => {
+            const column = this.findColumn(columns, cell);
+            if (column && positions[column] === undefined) positions[column] = index;
+        });
+
+        const missing = required.filter(column => positions[column] === undefined);
+        const records = table.slice(headerIndex + 1).map((cells, index) => {
+            const record = { line: headerIndex + index + 2 };
+            Object.entries(positions).forEach(([column, position]) => {
+                record[column] = cells[position] || '';
+            });
+            return record;
+        });
+
+        return { records, missing };
+    }
+
+    /**
+     * Read records from an XML export
+     * Every element carrying a known priority attribute is a record; the object
+     * name and type may sit on the element itself or on an enclosing element
+     */
+    parseXmlRecords(text, columns, required) {
+        const xml = new DOMParser().parseFromString(text.replace(/^\uFEFF/, ''), 'application/xml');
+        if (xml.getElementsByTagName('parsererror').length > 0) {
+            return { records: [], missing: required };
+        }
+
+        const readAttribute = (element, column) => {
+            for (let node = element; node && node.attributes; node = node.parentNode) {
+                const attribute = [...node.attributes].find(attr => this.findColumn(columns, attr.localName) === column);
+                if (attribute) return attribute.value.trim();
+                // Only the object name and type are inherited from enclosing elements
+                if (column !== 'name' && column !== 'type') break;
+            }
+            return '';
+        };
+
+        const records = [...xml.getElementsByTagName('*')]
+            .filter(element => readAttribute(element, 'priority'))
+            .map((element, index) => {
+                const record = { line: index + 1 };
+                Object.keys(columns).forEach(column => {
+                    record[column] = readAttribute(element, column);
+                });
+                return record;
+            });
+
+        const missing = records.length === 0 ? required : [];
+        return { records, missing };
+    }
+
+    /**
+     * Find the column a header cell or attribute name refers to
+     * Case, spaces, underscores and namespaces are ignored, so OBJ_NAME, "Object Name" and objectName match
+     */
+    findColumn(columns, label) {
+        const normalize = (value) => value.toUpperCase().replace(/[^A-Z0-9À-Ü]/g, '');
+        const key = normalize(label || '');
+        if (!key) return null;
+
+        const entry = Object.entries(columns).find(([, aliases]) => aliases.some(alias => normalize(alias) === key));
+        return entry ? entry[0] : null;
+    }
+
+    /**
+     * Decide what happens to each row
+     */
+    async buildPreview() {
+        if (this.kind === 'tadir') {
+            this.preview = await this.buildTadirPreview(this.rows);
+        } else if (this.kind === 'atc') {
+            this.preview = await this.buildAtcPreview(this.rows);
+        } else if (this.kind === 'simplification') {
+            this.preview = await this.buildSimplificationPreview(this.rows);
+        } else if (this.kind === 'transport') {
+            this.preview = await this.buildTransportPreview(this.rows);
+        }
+
+        this.renderPreview();
+    }
+
+    /**
+     * Map TADIR rows to objects, flagging unsupported types and duplicates
+     */
+    async buildTadirPreview(rows) {
+        const mode = document.getElementById('importDuplicateMode')?.value || 'skip';
+        const existing = new Map((await this.storage.getObjects()).map(object => [object.id, object]));
+        const matrix = await this.storage.getEstimationMatrix();
+        const seen = new Set();
+        const now = new Date().toISOString();
+
+        return rows.map(row => {
+            const id = (row.name || '').trim().toUpperCase();
+            const type = (row.type || '').trim().toUpperCase();
+            const pgmid = (row.pgmid || 'R3TR').trim().toUpperCase();
+            const tipo = this.tadirTypes[type];
+            const item = { line: row.line, id, type, tipo, pacote: row.devclass || '', autor: row.author || '' };
+
+            if (!id) {
+                return { ...item, action: 'skip', reason: 'Nome vazio' };
+            }
+            if (pgmid !== 'R3TR') {
+                return { ...item, action: 'skip', reason: `PGMID ${pgmid} não importado` };
+            }
+            if (!tipo) {
+                return { ...item, action: 'skip', reason: `Tipo ${type || '—'} não suportado` };
+            }
+            if (seen.has(id)) {
+                return { ...item, action: 'skip', reason: 'Repetido no arquivo' };
+            }
+            seen.add(id);
+
+            const current = existing.get(id);
+            if (current && mode !== 'merge') {
+                return { ...item, action: 'skip', reason: 'Já cadastrado' };
+            }
+
+            const record = current
+                ? { ...current, tipo, pacote: item.pacote || current.pacote || '', autor: item.autor || current.autor || '', atualizadoEm: now }
+                : this.newObjectRecord(id, { tipo, pacote: item.pacote, autor: item.autor }, matrix);
+
+            return { ...item, action: current ? 'update' : 'create', reason: '', record };
+        });
+    }
+
+    /**
+     * Group ATC findings per object and suggest complexity and status
+     * An object's findings are replaced by the ones in the file, since each ATC run is complete
+     */
+    async buildAtcPreview(rows) {
+        const applySuggestions = document.getElementById('importApplySuggestions')?.checked;
+        const existing = new Map((await this.storage.getObjects()).map(object => [object.id, object]));
+        const matrix = await this.storage.getEstimationMatrix();
+        const groups = new Map();
+        const skipped = [];
+        const now = new Date().toISOString();
+
+        rows.forEach(row => {
+            const id = (row.name || '').trim().toUpperCase();
+            if (!id) {
+                skipped.push({ line: row.line, id: '', type: '', findings: [], action: 'skip', reason: 'Objeto vazio' });
+                return;
+            }
+
+            if (!groups.has(id)) {
+                groups.set(id, { line: row.line, id, type: (row.type || '').trim().toUpperCase(), findings: [] });
+            }
+            groups.get(id).findings.push({
+                verificacao: row.check || '',
+                mensagem: row.message || '',
+                prioridade: this.parsePriority(row.priority),
+                // SAP Notes are often exported zero-padded
+                notaSap: (row.note || '').replace(/^0+(?=\d)/, ''),
+                itemSimplificacao: row.item || '',
+                importadoEm: now
+            });
+        });
+
+        const items = [...groups.values()].map(group => {
+            const current = existing.get(group.id);
+            // ADT exports types as PROG/P, CLAS/OC, ...
+            const tipo = this.tadirTypes[group.type.split('/')[0]] || '';
+            const suggestion = window.objectsController.getFindingsSuggestion(group.findings);
+            const record = current
+                ? { ...current, achados: group.findings, atualizadoEm: now }
+                : this.newObjectRecord(group.id, { tipo, achados: group.findings });
+
+            // Suggestions never overwrite an analysis already under way
+            const applied = Boolean(applySuggestions && suggestion && record.status === 'nao-analisado');
+            if (applied) {
+                // The ATC run counts as the analysis step of the lifecycle
+                ['em-analise', suggestion.status].forEach(status => {
+                    window.objectsController.recordStatusTransition(record, status, now);
+                });
+                record.complexidade = suggestion.complexidade;
+            }
+            if (!current) {
+                record.esforco_estimado = this.storage.estimateEffort(record, matrix) || 0;
+            }
+
+            return { ...group, tipo: current ? current.tipo : tipo, action: current ? 'update' : 'create', reason: '', suggestion, applied, record };
+        });
+
+        return [...items, ...skipped];
+    }
+
+    /**
+     * Map catalog rows to Simplification Items; existing IDs are updated
+     */
+    async buildSimplificationPreview(rows) {
+        const existing = new Set((await this.storage.getSimplificationItems()).map(item => item.id));
+        const seen = new Set();
+        const splitList = (value) => (value || '').split(/[\s,;]+/).filter(Boolean);
+
+        return rows.map(row => {
+            const id = (row.id || '').trim();
+            const item = {
+                line: row.line,
+                id,
+                titulo: (row.title || '').trim(),
+                area: (row.area || '').trim(),
+                notasSap: splitList(row.notes).map(note => note.replace(/^0+(?=\d)/, '')),
+                substitutos: splitList(row.replacements).map(name => name.toUpperCase())
+            };
+
+            if (!id) {
+                return { ...item, action: 'skip', reason: 'ID vazio' };
+            }
+            if (seen.has(id)) {
+                return { ...item, action: 'skip', reason: 'Repetido no arquivo' };
+            }
+            seen.add(id);
+
+            const record = { id, titulo: item.titulo, area: item.area, notasSap: item.notasSap, substitutos: item.substitutos };
+            return { ...item, action: existing.has(id) ? 'update' : 'create', reason: '', record };
+        });
+    }
+
+    /**
+     * Merge E070 headers and E071 object lists into request records
+     * Objects of tasks go to their request; E071 entries link to objects of the same name,
+     * and missing R3TR objects are created when asked. Statuses only move forward, so an
+     * older export never undoes a QAS or PRD import, and unchanged requests are skipped
+     */
+    async buildTransportPreview(rows) {
+        const createObjects = document.getElementById('importCreateObjects')?.checked;
+        const existing = new Map((await this.storage.getRequests()).map(request => [request.id, request]));
+        const objects = new Map((await this.storage.getObjects()).map(object => [object.id, object]));
+        const matrix = await this.storage.getEstimationMatrix();
+        const trNumberPattern = window.requestsController.trNumberPattern;
+        const statusOrder = ['modificavel', 'liberada', 'importada-qas', 'importada-prd'];
+        const now = new Date().toISOString();
+        const skipped = [];
+
+        // Tasks point to their request through STRKORR; tasks seen in earlier E070 imports are
+        // kept on the request, so an E071 export imported on its own still finds their request
+        const parents = new Map();
+        existing.forEach(request => {
+            (request.tarefasTransporte || []).forEach(taskId => parents.set(taskId, request.id));
+        });
+        rows.forEach(row => {
+            const trkorr = (row.trkorr || '').trim().toUpperCase();
+            const parent = (row.parent || '').trim().toUpperCase();
+            if (trkorr && parent && this.transportTaskFunctions.includes((row.function || '').trim().toUpperCase())) {
+                parents.set(trkorr, parent);
+            }
+        });
+
+        const groups = new Map();
+        rows.forEach(row => {
+            const trkorr = (row.trkorr || '').trim().toUpperCase();
+            const emptyItem = { line: row.line, id: trkorr, changes: [], linked: [], created: [], unlinked: [], action: 'skip' };
+
+            if (!trkorr) {
+                skipped.push({ ...emptyItem, reason: 'Request vazia' });
+                return;
+            }
+
+            const id = parents.get(trkorr) || trkorr;
+            if (!trNumberPattern.test(id)) {
+                skipped.push({ ...emptyItem, id, reason: 'Número de request inválido' });
+                return;
+            }
+
+            if (!groups.has(id)) {
+                groups.set(id, { line: row.line, id, header: null, names: new Map(), tasks: new Set() });
+            }
+            const group = groups.get(id);
+            if (id !== trkorr) group.tasks.add(trkorr);
+
+            const trFunction = (row.function || '').trim().toUpperCase();
+            if ((trFunction || row.status) && !this.transportTaskFunctions.includes(trFunction)) {
+                group.header = {
+                    tipo: this.transportFunctions[trFunction] || null,
+                    status: this.transportStatuses[(row.status || '').trim().toUpperCase()] || null,
+                    responsavel: (row.user || '').trim(),
+                    data: this.parseSapDate(row.date),
+                    descricao: (row.text || '').trim()
+                };
+            }
+
+            const pgmid = (row.pgmid || 'R3TR').trim().toUpperCase();
+            const name = (row.name || '').trim().toUpperCase();
+            if (name && (pgmid === 'R3TR' || pgmid === 'LIMU')) {
+                // LIMU entries such as METH carry the main object first: "ZCL_CLASS   METHOD"
+                const objectId = pgmid === 'LIMU' ? name.split(/\s+/)[0] : name;
+                if (!group.names.has(objectId)) {
+                    group.names.set(objectId, pgmid === 'R3TR' ? (row.type || '').trim().toUpperCase() : null);
+                }
+            }
+        });
+
+        const createdObjects = new Map();
+        const items = [...groups.values()].map(group => {
+            const current = existing.get(group.id);
+            const header = group.header || {};
+            const linked = [];
+            const created = [];
+            const unlinked = [];
+
+            group.names.forEach((type, objectId) => {
+                if (objects.has(objectId) || createdObjects.has(objectId)) {
+                    linked.push(objectId);
+                } else if (createObjects && this.tadirTypes[type]) {
+                    createdObjects.set(objectId, this.newObjectRecord(objectId, { tipo: this.tadirTypes[type] }, matrix));
+                    created.push(objectId);
+                    linked.push(objectId);
+                } else {
+                    unlinked.push(objectId);
+                }
+            });
+
+            const fileStatus = header.status || 'modificavel';
+            const status = current && statusOrder.indexOf(current.status) > statusOrder.indexOf(fileStatus) ? current.status : fileStatus;
+            const released = status !== 'modificavel';
+
+            const record = current
+                ? {
+                    ...current,
+                    tipo: header.tipo || current.tipo,
+                    status: header.status ? status : current.status,
+                    responsavel: header.responsavel || current.responsavel,
+                    descricao: header.descricao || current.descricao,
+                    objetos: [...new Set([...(current.objetos || []), ...linked])],
+                    tarefasTransporte: [...new Set([...(current.tarefasTransporte || []), ...group.tasks])],
+                    liberadaEm: current.liberadaEm || (released && header.status ? header.data : null),
+                    atualizadoEm: now
+                }
+                : {
+                    id: group.id,
+                    descricao: header.descricao || '',
+                    responsavel: header.responsavel || '',
+                    tipo: header.tipo || 'workbench',
+                    status,
+                    sistemaDestino: '',
+                    tarefas: [],
+                    objetos: linked,
+                    tarefasTransporte: [...group.tasks],
+                    notas: '',
+                    importacoes: {},
+                    liberadaEm: released ? header.data : null,
+                    criadoEm: now,
+                    atualizadoEm: now
+                };
+
+            const changes = current ? this.describeRequestChanges(current, record) : [`${linked.length} objeto(s) vinculado(s)`];
+            const item = { line: group.line, id: group.id, linked, created, unlinked, changes, record };
+
+            if (current && changes.length === 0) {
+                return { ...item, record: null, created: [], action: 'skip', reason: 'Sem alterações' };
+            }
+            return { ...item, action: current ? 'update' : 'create', reason: '', newObjects: created.map(id => createdObjects.get(id)) };
+        });
+
+        return [...items, ...skipped];
+    }
+
+    /**
+     * List what an import changes in an existing request
+     */
+    describeRequestChanges(current, record) {
+        const requests = window.requestsController;
+        const changes = [];
+
+        if (record.status !== current.status) {
+            changes.push(`Status: ${requests.getStatusLabel(current.status)} → ${requests.getStatusLabel(record.status)}`);
+        }
+        if (record.tipo !== current.tipo) {
+            changes.push(`Tipo: ${requests.getTypeLabel(current.tipo)} → ${requests.getTypeLabel(record.tipo)}`);
+        }
+        if (record.responsavel !== current.responsavel) {
+            changes.push(`Responsável: ${record.responsavel}`);
+        }
+        if (record.descricao !== current.descricao) {
+            changes.push('Descrição');
+        }
+
+        const added = record.objetos.length - (current.objetos || []).length;
+        if (added > 0) {
+            changes.push(`+${added} objeto(s)`);
+        }
+
+        const addedTasks = record.tarefasTransporte.length - (current.tarefasTransporte || []).length;
+        if (addedTasks > 0) {
+            changes.push(`+${addedTasks} tarefa(s) SE09`);
+        }
+
+        return changes;
+    }
+
+    /**
+     * Read an SAP date as YYYY-MM-DD from 20261019, 19.10.2026, 19/10/2026 or 2026-10-19
+     */
+    parseSapDate(value) {
+        const text = String(value || '').trim();
+        let match;
+
+        if ((match = text.match(/^(\d{4})(\d{2})(\d{2})$/)) || (match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/))) {
+            return `${match[1]}-${match[2]}-${match[3]}`;
+        }
+        if ((match = text.match(/^(\d{2})[./](\d{2})[./](\d{4})$/))) {
+            return `${match[3]}-${match[2]}-${match[1]}`;
+        }
+        return null;
+    }
+
+    /**
+     * Summarize the objects of a transport preview row, e.g. "3 vinculado(s) • 1 criado(s) • 2 sem cadastro"
+     */
+    formatTransportObjects(item) {
+        return [
+            `${item.linked.length} vinculado(s)`,
+            item.created.length > 0 ? `${item.created.length} criado(s)` : '',
+            item.unlinked.length > 0 ? `${item.unlinked.length} sem cadastro: ${item.unlinked.slice(0, 3).join(', ')}${item.unlinked.length > 3 ? '…' : ''}` : ''
+        ].filter(Boolean).join(' • ');
+    }
+
+    /**
+     * Build a new object with the defaults of the object form
+     * The effort comes from the estimation matrix when one is given
+     */
+    newObjectRecord(id, fields, matrix = null) {
+        const now = new Date().toISOString();
+
+        const record = {
+            id,
+            nome: id,
+            tipo: '',
+            status: 'nao-analisado',
+            complexidade: 'media',
+            impacto: 'medio',
+            esforco_estimado: 0,
+            s4hana_equivalente: '',
+            notas: '',
+            tarefas: [],
+            dependencias: [],
+            criadoEm: now,
+            atualizadoEm: now,
+            ...fields
+        };
+
+        if (matrix) {
+            record.esforco_estimado = this.storage.estimateEffort(record, matrix) || 0;
+        }
+
+        return record;
+    }
+
+    /**
+     * Normalize an ATC priority (1-4, or error/warning/information) to 1-3
+     */
+    parsePriority(value) {
+        const text = String(value || '').trim().toUpperCase();
+        const digit = text.match(/[1-4]/);
+
+        if (digit) return Math.min(parseInt(digit[0]), 3);
+        if (/^E|ERRO/.test(text)) return 1;
+        if (/^W|WARN|AVISO/.test(text)) return 2;
+        return 3;
+    }
+
+    /**
+     * Format finding counts per priority, e.g. "P1: 2 • P3: 1"
+     */
+    formatPriorityCounts(findings) {
+        const counts = window.objectsController.countFindingsByPriority(findings);
+        return Object.entries(counts)
+            .filter(([, count]) => count > 0)
+            .map(([priority, count]) => `P${priority}: ${count}`)
+            .join(' • ') || '—';
+    }
+
+    /**
+     * Format the suggested complexity and status of a preview row
+     */
+    formatSuggestion(item) {
+        if (!item.suggestion) return '—';
+
+        const objects = window.objectsController;
+        const text = `${objects.getComplexityLabel(item.suggestion.complexidade)} • ${objects.getStatusLabel(item.suggestion.status)}`;
+        return item.applied ? `${text} (aplicada)` : text;
+    }
+
+    /**
+     * Render the counts and the first rows of the preview
+     */
+    renderPreview() {
+        const summary = document.getElementById('importSummary');
+        const container = document.getElementById('importPreview');
+        const confirmBtn = document.getElementById('importConfirmBtn');
+        if (!summary || !container) return;
+
+        const counts = this.countActions();
+        const total = this.preview.length;
+
+        if (confirmBtn) {
+            confirmBtn.disabled = counts.create + counts.update === 0;
+        }
+
+        if (total === 0) {
+            summary.innerHTML = '';
+            container.innerHTML = '';
+            return;
+        }
+
+        summary.innerHTML = `
+            <span class="import-count"><strong>${total}</strong> registro(s)</span>
+            <span class="import-count"><strong>${counts.create}</strong> novo(s)</span>
+            <span class="import-count"><strong>${counts.update}</strong> atualizado(s)</span>
+            <span class="import-count"><strong>${counts.skip}</strong> ignorado(s)</span>
+        `;
+
+        const columns = this.importers[this.kind].preview;
+        const shown = this.preview.slice(0, this.previewLimit);
+        container.innerHTML = `
+            <table class="import-table">
+                <thead>
+                    <tr>
+                        ${columns.map(column => `<th>${column.label}</th>`).join('')}
+                        <th>Ação</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${shown.map(item => `
+                        <tr>
+                            ${columns.map(column => `<td>${this.escapeHtml(String(column.value(item)))}</td>`).join('')}
+                            <td class="import-action import-action-${item.action}" title="${this.escapeHtml(item.reason)}">
+                                ${this.actionLabels[item.action]}${item.reason ? ` • ${this.escapeHtml(item.reason)}` : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${total > shown.length ? `<div class="import-more">Mostrando ${shown.length} de ${total} registros</div>` : ''}
+        `;
+    }
+
+    /**
+     * Count preview rows per action
+     */
+    countActions() {
+        const counts = { create: 0, update: 0, skip: 0 };
+        this.preview.forEach(item => counts[item.action]++);
+        return counts;
+    }
+
+    /**
+     * Save the previewed records in one batch
+     */
+    async confirmImport() {
+        const records = this.preview.filter(item => item.record).map(item => item.record);
+        if (records.length === 0) return;
+
+        const counts = this.countActions();
+        const newObjects = this.preview.flatMap(item => item.newObjects || []);
+
+        try {
+            if (this.kind === 'tadir') {
+                await window.app.runUndoable(`Importação TADIR (${records.length} objetos)`, () => this.storage.saveObjects(records));
+            } else if (this.kind === 'atc') {
+                await window.app.runUndoable(`Importação ATC (${records.length} objetos)`, () => this.storage.saveObjects(records));
+            } else if (this.kind === 'simplification') {
+                await window.app.runUndoable(`Importação do catálogo (${records.length} itens)`, () => this.storage.saveSimplificationItems(records));
+            } else if (this.kind === 'transport') {
+                await window.app.runUndoable(`Importação E070/E071 (${records.length} requests)`, () => this.storage.saveImportedRequests(records, newObjects));
+            }
+
+            this.closeModal();
+            this.showSuccess(`Importação concluída: ${counts.create} novo(s), ${counts.update} atualizado(s), ${counts.skip} ignorado(s)${newObjects.length > 0 ? `, ${newObjects.length} objeto(s) criado(s)` : ''}`);
+
+        } catch (error) {
+            console.error('Failed to import records:', error);
+            this.showError('Erro ao importar dados');
+        }
+    }
+
+    /**
+     * Escape HTML
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Show success message
+     */
+    showSuccess(message) {
+        if (window.app && window.app.showToast) {
+            window.app.showToast(message, 'success');
+        } else {
+            console.log(message);
+        }
+    }
+
+    /**
+     * Show error message
+     */
+    showError(message) {
+        if (window.app && window.app.showToast) {
+            window.app.showToast(message, 'error');
+        } else {
+            console.error(message);
+        }
+    }
+}
+
+// Create global import controller instance
+window.importController = new ImportController();
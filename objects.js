@@ -9,6 +9,10 @@ class ObjectsController {
         this.currentObjects = [];
         this.filteredObjects = [];
         this.currentEditingObject = null;
+        this.simplificationItems = [];
+        this.estimationMatrix = null;
+        this.effortSuggestion = null;
+        this.displayMode = 'cards'; // cards or effort
         
         this.statusColors = {
             'nao-analisado': 'gradient-gray',
@@ -18,6 +22,18 @@ class ObjectsController {
             'convertido': 'gradient-green'
         };
 
+        // Lifecycle: each status lists where it may go next; moves are forward only
+        this.statusTransitions = {
+            'nao-analisado': ['em-analise'],
+            'em-analise': ['requer-conversao', 'convertido'],
+            'requer-conversao': ['em-conversao'],
+            'em-conversao': ['convertido'],
+            'convertido': []
+        };
+
+        // Transport requests past this point count as released
+        this.releasedRequestStatuses = ['liberada', 'importada-qas', 'importada-prd'];
+
         this.impactColors = {
             'baixo': 'impact-baixo',
             'medio': 'impact-medio',
@@ -33,6 +49,40 @@ class ObjectsController {
         };
 
         this.bindEvents();
+        this.initializeAutocomplete();
+    }
+
+    /**
+     * Attach ID suggestions to the link fields of the object form
+     */
+    initializeAutocomplete() {
+        const tasksInput = document.getElementById('objectTasks');
+        const dependenciesInput = document.getElementById('objectDependencies');
+        const itemsInput = document.getElementById('objectSimplificationItems');
+
+        if (tasksInput) {
+            new IdAutocomplete(tasksInput, async () => {
+                const tasks = await this.storage.getTasks();
+                return tasks.map(task => ({ id: task.id, label: task.titulo }));
+            });
+        }
+
+        if (dependenciesInput) {
+            new IdAutocomplete(dependenciesInput, async () => {
+                const editingId = this.currentEditingObject ? this.currentEditingObject.id : null;
+                const objects = await this.storage.getObjects();
+                return objects
+                    .filter(object => object.id !== editingId)
+                    .map(object => ({ id: object.id, label: object.tipo }));
+            });
+        }
+
+        if (itemsInput) {
+            new IdAutocomplete(itemsInput, async () => {
+                const items = await this.storage.getSimplificationItems();
+                return items.map(item => ({ id: item.id, label: item.titulo }));
+            });
+        }
     }
 
     /**
@@ -55,6 +105,32 @@ class ObjectsController {
         document.addEventListener('objectsUpdated', () => {
             this.loadObjects();
         });
+
+        document.addEventListener('simplificationItemsUpdated', () => {
+            this.loadSimplificationItems();
+        });
+
+        // Task estimates and hours feed the effort comparison
+        document.addEventListener('tasksUpdated', () => {
+            if (this.displayMode === 'effort') this.renderObjects();
+        });
+
+        document.addEventListener('settingsUpdated', () => {
+            this.estimationMatrix = null;
+            if (this.displayMode === 'effort') this.renderObjects();
+        });
+
+        ['objectType', 'objectComplexity', 'objectImpact'].forEach(id => {
+            const field = document.getElementById(id);
+            if (field) {
+                field.addEventListener('change', () => this.updateEffortSuggestion());
+            }
+        });
+
+        const statusField = document.getElementById('objectStatus');
+        if (statusField) {
+            statusField.addEventListener('change', () => this.updateStatusHint());
+        }
 		
 		const objectSaveBtn = document.getElementById('objectSaveBtn');
 		
@@ -62,7 +138,6 @@ class ObjectsController {
 			objectSaveBtn.addEventListener('click', (e) => {
 				e.preventDefault();
 				this.saveObject();
-				this.saveObject();
 			});
 		}
     }
@@ -74,6 +149,7 @@ class ObjectsController {
         const objectSearch = document.getElementById('objectSearch');
         const typeFilter = document.getElementById('typeFilter');
         const objectStatusFilter = document.getElementById('objectStatusFilter');
+        const simplificationFilter = document.getElementById('simplificationFilter');
 
         if (objectSearch) {
             objectSearch.addEventListener('input', this.debounce(() => {
@@ -92,6 +168,12 @@ class ObjectsController {
                 this.applyFilters();
             });
         }
+
+        if (simplificationFilter) {
+            simplificationFilter.addEventListener('change', () => {
+                this.applyFilters();
+            });
+        }
     }
 
     /**
@@ -118,6 +200,10 @@ class ObjectsController {
                 e.preventDefault();
                 if (objectId) this.confirmDeleteObject(objectId);
                 break;
+            case 'analyze-impact':
+                e.preventDefault();
+                if (objectId) this.showImpact(objectId);
+                break;
             case 'close-object-modal':
                 e.preventDefault();
                 this.closeModal();
@@ -126,6 +212,14 @@ class ObjectsController {
                 e.preventDefault();
                 this.closeModal();
                 break;
+            case 'apply-findings-suggestion':
+                e.preventDefault();
+                this.applyFindingsSuggestion();
+                break;
+            case 'set-objects-mode':
+                e.preventDefault();
+                this.setDisplayMode(target.dataset.objectsMode);
+                break;
         }
     }
 
@@ -144,7 +238,9 @@ class ObjectsController {
      */
     async initialize() {
         try {
+            await this.loadSimplificationItems();
             await this.loadObjects();
+            await window.savedFiltersController.render('objects');
         } catch (error) {
             console.error('Objects initialization failed:', error);
             this.showError('Erro ao carregar objetos');
@@ -167,6 +263,31 @@ class ObjectsController {
         }
     }
 
+    /**
+     * Load the Simplification Item catalog and refresh the item filter
+     */
+    async loadSimplificationItems() {
+        try {
+            this.simplificationItems = await this.storage.getSimplificationItems();
+        } catch (error) {
+            console.error('Failed to load simplification items:', error);
+            this.simplificationItems = [];
+        }
+
+        const filter = document.getElementById('simplificationFilter');
+        if (!filter) return;
+
+        const selected = filter.value;
+        filter.innerHTML = `
+            <option value="">Todos os Simplification Items</option>
+            ${this.simplificationItems.map(item => `
+                <option value="${this.escapeHtml(item.id)}">${this.escapeHtml(item.id)} • ${this.escapeHtml(item.titulo)}</option>
+            `).join('')}
+        `;
+        filter.value = this.simplificationItems.some(item => item.id === selected) ? selected : '';
+        filter.classList.toggle('hidden', this.simplificationItems.length === 0);
+    }
+
     /**
      * Apply current filters to objects
      */
@@ -175,10 +296,12 @@ class ObjectsController {
             const searchQuery = document.getElementById('objectSearch')?.value || '';
             const typeFilter = document.getElementById('typeFilter')?.value || '';
             const statusFilter = document.getElementById('objectStatusFilter')?.value || '';
+            const simplificationFilter = document.getElementById('simplificationFilter')?.value || '';
 
             const filters = {
                 type: typeFilter,
-                status: statusFilter
+                status: statusFilter,
+                simplificationItem: simplificationFilter
             };
 
             this.filteredObjects = await this.storage.searchObjects(searchQuery, filters);
@@ -197,21 +320,119 @@ class ObjectsController {
         const container = document.getElementById('objectsContainer');
         if (!container) return;
 
+        container.classList.toggle('effort-mode', this.displayMode === 'effort');
+
         if (this.filteredObjects.length === 0) {
             this.renderEmptyState(container);
             return;
         }
 
+        if (this.displayMode === 'effort') {
+            this.renderEffortComparison(container);
+            return;
+        }
+
         const objectsHTML = this.renderObjectCards();
         container.innerHTML = objectsHTML;
     }
 
+    /**
+     * Switch between object cards and the effort comparison
+     */
+    setDisplayMode(mode) {
+        this.displayMode = mode === 'effort' ? 'effort' : 'cards';
+
+        document.querySelectorAll('[data-objects-mode]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.objectsMode === this.displayMode);
+        });
+
+        this.renderObjects();
+    }
+
+    /**
+     * Render estimated object effort against the estimate and hours of the linked tasks
+     */
+    async renderEffortComparison(container) {
+        try {
+            const { rows, totals } = await this.storage.getEffortComparison(this.filteredObjects);
+            const formatHours = (value) => value === null ? '—' : `${Math.round(value * 10) / 10}h`;
+            const formatDeviation = (spent, estimated) => {
+                if (!estimated) return '<span class="effort-neutral">—</span>';
+                const deviation = spent - estimated;
+                const percentage = Math.round((deviation / estimated) * 100);
+                const className = deviation > 0 ? 'effort-over' : 'effort-under';
+                return `<span class="${className}">${deviation > 0 ? '+' : ''}${formatHours(deviation)} (${percentage > 0 ? '+' : ''}${percentage}%)</span>`;
+            };
+
+            container.innerHTML = `
+                <div class="effort-comparison">
+                    <table class="effort-table">
+                        <thead>
+                            <tr>
+                                <th>Objeto</th>
+                                <th>Tipo</th>
+                                <th>Complexidade</th>
+                                <th>Impacto</th>
+                                <th title="Esforço estimado no objeto">Esforço</th>
+                                <th title="Esforço sugerido pela matriz de estimativa">Matriz</th>
+                                <th title="Soma da estimativa das tarefas vinculadas">Estimativa Tarefas</th>
+                                <th title="Soma das horas gastas nas tarefas vinculadas">Horas Gastas</th>
+                                <th title="Horas gastas menos o esforço estimado">Desvio</th>
+                                <th>Tarefas</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(row => `
+                                <tr>
+                                    <td>
+                                        <button class="effort-object-link" data-action="edit-object" data-object-id="${row.object.id}">
+                                            ${this.escapeHtml(row.object.id)}
+                                        </button>
+                                    </td>
+                                    <td>${this.escapeHtml(row.object.tipo)}</td>
+                                    <td>${this.getComplexityLabel(row.object.complexidade)}</td>
+                                    <td>${this.getImpactLabel(row.object.impacto)}</td>
+                                    <td>${formatHours(row.esforco)}</td>
+                                    <td class="${row.sugerido !== null && row.sugerido !== row.esforco ? 'effort-differs' : ''}">${formatHours(row.sugerido)}</td>
+                                    <td>${formatHours(row.estimativa)}</td>
+                                    <td>${formatHours(row.horasGastas)}</td>
+                                    <td>${formatDeviation(row.horasGastas, row.esforco)}</td>
+                                    <td>${row.tarefas.map(taskId => `<span class="task-tag">${taskId}</span>`).join(' ')}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                        <tfoot>
+                            <tr>
+                                <td colspan="4">Total (${rows.length} ${rows.length === 1 ? 'objeto' : 'objetos'})</td>
+                                <td>${formatHours(totals.esforco)}</td>
+                                <td>${formatHours(totals.sugerido)}</td>
+                                <td>${formatHours(totals.estimativa)}</td>
+                                <td>${formatHours(totals.horasGastas)}</td>
+                                <td>${formatDeviation(totals.horasGastas, totals.esforco)}</td>
+                                <td></td>
+                            </tr>
+                        </tfoot>
+                    </table>
+                    <p class="effort-note">Tarefas vinculadas a mais de um objeto aparecem em cada linha, mas são somadas uma única vez no total.</p>
+                </div>
+            `;
+        } catch (error) {
+            console.error('Failed to render effort comparison:', error);
+            this.showError('Erro ao carregar comparativo de esforço');
+        }
+    }
+
     /**
      * Render objects as cards
      */
     renderObjectCards() {
+        const dependencyInfo = this.getDependencyInfo();
+
         return this.filteredObjects.map(object => {
             const statusColorClass = this.statusColors[object.status] || 'gradient-gray';
+            const upstream = dependencyInfo ? dependencyInfo.index.upstream.get(object.id)?.size || 0 : 0;
+            const downstream = dependencyInfo ? dependencyInfo.index.downstream.get(object.id)?.size || 0 : 0;
+            const isCyclic = dependencyInfo ? dependencyInfo.cyclic.has(object.id) : false;
             
             return `
                 <div class="object-card" data-object-id="${object.id}">
@@ -223,6 +444,9 @@ class ObjectsController {
                         <div class="object-badges">
                             <span class="object-badge status-${object.status}">${this.getStatusLabel(object.status)}</span>
                             <span class="object-badge ${this.impactColors[object.impacto]}">${this.getImpactLabel(object.impacto)}</span>
+                            ${isCyclic ? `
+                                <span class="object-badge dependency-cycle" title="Dependência circular">Ciclo</span>
+                            ` : ''}
                         </div>
                     </div>
                     
@@ -239,6 +463,38 @@ class ObjectsController {
                             <span class="object-detail-value">${object.esforco_estimado || 0}h</span>
                         </div>
                         
+                        ${upstream > 0 || downstream > 0 ? `
+                            <div class="object-detail-item">
+                                <span class="object-detail-label">Dependências:</span>
+                                <span class="object-detail-value" title="Depende de ${upstream} • Usado por ${downstream}">↑ ${upstream} • ↓ ${downstream}</span>
+                            </div>
+                        ` : ''}
+                        
+                        ${object.achados && object.achados.length > 0 ? `
+                            <div class="object-findings">
+                                <div class="notes-label">Achados ATC (${object.achados.length}):</div>
+                                ${this.renderFindingsList(object.achados, 3)}
+                            </div>
+                        ` : ''}
+                        
+                        ${object.pacote ? `
+                            <div class="object-detail-item">
+                                <span class="object-detail-label">Pacote:</span>
+                                <span class="object-detail-value" title="${object.autor ? `Responsável: ${this.escapeHtml(object.autor)}` : ''}">${this.escapeHtml(object.pacote)}</span>
+                            </div>
+                        ` : ''}
+                        
+                        ${object.itensSimplificacao && object.itensSimplificacao.length > 0 ? `
+                            <div class="object-detail-item">
+                                <span class="object-detail-label">Simplification Items:</span>
+                                <div class="related-tasks">
+                                    ${object.itensSimplificacao.map(itemId => `
+                                        <span class="task-tag simplification-tag" title="${this.escapeHtml(this.getSimplificationItemTitle(itemId))}">${this.escapeHtml(itemId)}</span>
+                                    `).join('')}
+                                </div>
+                            </div>
+                        ` : ''}
+                        
                         ${object.s4hana_equivalente ? `
                             <div class="object-detail-item">
                                 <span class="object-detail-label">S/4HANA:</span>
@@ -270,6 +526,14 @@ class ObjectsController {
                             Editar
                         </button>
                         <div class="object-action-buttons">
+                            <button data-action="analyze-impact" data-object-id="${object.id}" title="Análise de impacto">
+                                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <path d="M6 3v12"/>
+                                    <circle cx="18" cy="6" r="3"/>
+                                    <circle cx="6" cy="15" r="3"/>
+                                    <path d="m9 9 3 3-3 3"/>
+                                </svg>
+                            </button>
                             <button data-action="delete-object" data-object-id="${object.id}" title="Excluir">
                                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                     <polyline points="3,6 5,6 21,6"/>
@@ -291,7 +555,8 @@ class ObjectsController {
     renderEmptyState(container) {
         const hasFilters = document.getElementById('objectSearch')?.value || 
                           document.getElementById('typeFilter')?.value || 
-                          document.getElementById('objectStatusFilter')?.value;
+                          document.getElementById('objectStatusFilter')?.value ||
+                          document.getElementById('simplificationFilter')?.value;
 
         container.innerHTML = `
             <div class="empty-state">
@@ -321,6 +586,9 @@ class ObjectsController {
 
         // Reset form
         form.reset();
+        await this.loadSimplificationItems();
+        this.estimationMatrix = await this.storage.getEstimationMatrix();
+        this.effortSuggestion = null;
         
         if (objectId) {
             // Edit mode
@@ -344,6 +612,10 @@ class ObjectsController {
             document.getElementById('objectImpact').value = 'medio';
         }
 
+        this.updateEffortSuggestion();
+        this.updateStatusOptions();
+        this.renderFindingsPanel(this.currentEditingObject);
+        window.historyController.prepareModal('objectModal', 'object', objectId);
         this.showModal(modal);
     }
 
@@ -360,6 +632,8 @@ class ObjectsController {
         document.getElementById('objectS4Equivalent').value = object.s4hana_equivalente || '';
         document.getElementById('objectNotes').value = object.notas || '';
         document.getElementById('objectTasks').value = object.tarefas ? object.tarefas.join(', ') : '';
+        document.getElementById('objectDependencies').value = object.dependencias ? object.dependencias.join(', ') : '';
+        document.getElementById('objectSimplificationItems').value = object.itensSimplificacao ? object.itensSimplificacao.join(', ') : '';
     }
 
     /**
@@ -374,6 +648,8 @@ class ObjectsController {
             }
 
             const object = {
+                // Keep fields the form does not edit, such as imported package data
+                ...(this.currentEditingObject || {}),
                 id: formData.id,
                 nome: formData.id, // Use ID as name for consistency
                 tipo: formData.tipo,
@@ -383,14 +659,35 @@ class ObjectsController {
                 esforco_estimado: parseFloat(formData.esforco) || 0,
                 s4hana_equivalente: formData.s4equivalente,
                 notas: formData.notas,
-                tarefas: formData.tarefas ? formData.tarefas.split(',').map(s => s.trim()).filter(s => s) : [],
+                tarefas: formData.tarefas ? formData.tarefas.split(',').map(s => s.trim().toUpperCase()).filter(s => s) : [],
+                dependencias: this.parseDependencies(formData.dependencias),
+                itensSimplificacao: this.parseSimplificationItems(formData.itensSimplificacao).ids,
                 criadoEm: this.currentEditingObject ? this.currentEditingObject.criadoEm : new Date().toISOString(),
                 atualizadoEm: new Date().toISOString()
             };
 
-            await this.storage.saveObject(object);
+            const previousId = this.currentEditingObject ? this.currentEditingObject.id : null;
+
+            // New objects start the lifecycle as not analyzed
+            const previousStatus = this.currentEditingObject ? this.currentEditingObject.status || 'nao-analisado' : 'nao-analisado';
+            const blockReason = await this.getTransitionBlockReason(previousStatus, object.status, object, previousId || object.id);
+            if (blockReason) {
+                this.showError(blockReason);
+                return;
+            }
+            object.status = previousStatus;
+            this.recordStatusTransition(object, formData.status, object.atualizadoEm);
+
+            await window.app.runUndoable(previousId ? `Edição do objeto ${object.id}` : `Criação do objeto ${object.id}`, async () => {
+                // Changing the ID of an existing object carries its references along
+                if (previousId && previousId !== object.id) {
+                    await this.storage.renameObject(previousId, object.id);
+                }
+                await this.storage.saveObject(object);
+            });
             this.closeModal();
-            this.showSuccess(this.currentEditingObject ? 'Objeto atualizado com sucesso!' : 'Objeto criado com sucesso!');
+            this.showSuccess(previousId ? 'Objeto atualizado com sucesso!' : 'Objeto criado com sucesso!');
+            await this.warnDependencyCycle(object.id);
             
         } catch (error) {
             console.error('Failed to save object:', error);
@@ -411,7 +708,9 @@ class ObjectsController {
             esforco: document.getElementById('objectEffort').value,
             s4equivalente: document.getElementById('objectS4Equivalent').value.trim(),
             notas: document.getElementById('objectNotes').value.trim(),
-            tarefas: document.getElementById('objectTasks').value.trim()
+            tarefas: document.getElementById('objectTasks').value.trim(),
+            dependencias: document.getElementById('objectDependencies').value.trim(),
+            itensSimplificacao: document.getElementById('objectSimplificationItems').value.trim()
         };
     }
 
@@ -429,8 +728,19 @@ class ObjectsController {
             return false;
         }
 
-        // Check if object ID already exists (for new objects)
-        if (!this.currentEditingObject) {
+        if (this.parseDependencies(formData.dependencias).includes(formData.id)) {
+            this.showError('Um objeto não pode depender de si mesmo');
+            return false;
+        }
+
+        const { unknown } = this.parseSimplificationItems(formData.itensSimplificacao);
+        if (unknown.length > 0) {
+            this.showError(`Simplification Item fora do catálogo: ${unknown.join(', ')}`);
+            return false;
+        }
+
+        // Check if object ID already exists (for new or renamed objects)
+        if (!this.currentEditingObject || this.currentEditingObject.id !== formData.id) {
             const existingObject = this.currentObjects.find(obj => obj.id === formData.id);
             if (existingObject) {
                 this.showError('Já existe um objeto com este ID');
@@ -441,6 +751,311 @@ class ObjectsController {
         return true;
     }
 
+    /**
+     * Split the "depends on" list into unique object IDs
+     */
+    parseDependencies(value) {
+        const ids = value ? value.split(',').map(s => s.trim().toUpperCase()).filter(s => s) : [];
+        return [...new Set(ids)];
+    }
+
+    /**
+     * Open the objects view filtered by one Simplification Item
+     */
+    async showBySimplificationItem(itemId) {
+        await window.app.navigate(window.app.buildRoute('objects', null, { item: itemId }));
+    }
+
+    /**
+     * Resolve the Simplification Item list against the catalog
+     * IDs match case-insensitively and are stored as written in the catalog
+     */
+    parseSimplificationItems(value) {
+        const catalog = new Map(this.simplificationItems.map(item => [item.id.toUpperCase(), item.id]));
+        const ids = [];
+        const unknown = [];
+
+        (value ? value.split(',') : []).map(s => s.trim()).filter(s => s).forEach(entry => {
+            const id = catalog.get(entry.toUpperCase());
+            if (!id) {
+                unknown.push(entry);
+            } else if (!ids.includes(id)) {
+                ids.push(id);
+            }
+        });
+
+        return { ids, unknown };
+    }
+
+    /**
+     * Get the title of a catalog item for tooltips
+     */
+    getSimplificationItemTitle(itemId) {
+        const item = this.simplificationItems.find(candidate => candidate.id === itemId);
+        return item ? item.titulo : '';
+    }
+
+    /**
+     * Get upstream/downstream counts and cycle membership for all objects
+     */
+    getDependencyInfo() {
+        const dependencies = window.dependenciesController;
+        if (!dependencies) return null;
+
+        const index = dependencies.buildObjectDependencyIndex(this.currentObjects);
+        const cyclic = new Set(dependencies.findCycles(index).flat());
+        return { index, cyclic };
+    }
+
+    /**
+     * Pre-fill the effort from the estimation matrix
+     * The field is only overwritten while empty or still holding the previous suggestion
+     */
+    updateEffortSuggestion() {
+        const effortInput = document.getElementById('objectEffort');
+        const hint = document.getElementById('objectEffortHint');
+        if (!effortInput || !this.estimationMatrix) return;
+
+        const suggestion = this.storage.estimateEffort({
+            tipo: document.getElementById('objectType').value,
+            complexidade: document.getElementById('objectComplexity').value,
+            impacto: document.getElementById('objectImpact').value
+        }, this.estimationMatrix);
+
+        const current = parseFloat(effortInput.value) || 0;
+        if (suggestion !== null && (current === 0 || current === this.effortSuggestion)) {
+            effortInput.value = suggestion;
+        }
+
+        this.effortSuggestion = suggestion;
+        if (hint) {
+            hint.textContent = suggestion !== null ? `Sugerido pela matriz: ${suggestion}h` : '';
+        }
+    }
+
+    /**
+     * Fill the ATC findings tab of the object modal; the tab is hidden when there are none
+     */
+    renderFindingsPanel(object) {
+        const tab = document.querySelector('#objectModal [data-findings-tab]');
+        const panel = document.getElementById('objectFindingsPanel');
+        if (!tab || !panel) return;
+
+        const findings = object && object.achados ? object.achados : [];
+        tab.classList.toggle('hidden', findings.length === 0);
+        tab.textContent = `Achados ATC (${findings.length})`;
+
+        const suggestion = this.getFindingsSuggestion(findings);
+        panel.innerHTML = findings.length === 0 ? '' : `
+            <div class="findings-suggestion">
+                <span>
+                    Sugestão pelos achados:
+                    <strong>${this.getComplexityLabel(suggestion.complexidade)}</strong> •
+                    <strong>${this.getStatusLabel(suggestion.status)}</strong>
+                </span>
+                <button type="button" class="secondary-button" data-action="apply-findings-suggestion">Aplicar sugestão</button>
+            </div>
+            ${this.renderFindingsList(findings)}
+        `;
+    }
+
+    /**
+     * Render ATC findings, most severe first
+     */
+    renderFindingsList(findings, limit = null) {
+        const sorted = [...findings].sort((a, b) => a.prioridade - b.prioridade);
+        const shown = limit ? sorted.slice(0, limit) : sorted;
+
+        return `
+            <ul class="findings-list">
+                ${shown.map(finding => `
+                    <li class="finding">
+                        <span class="finding-priority finding-p${finding.prioridade}">P${finding.prioridade}</span>
+                        <div class="finding-body">
+                            <div class="finding-check">${this.escapeHtml(finding.verificacao || finding.mensagem)}</div>
+                            ${finding.verificacao && finding.mensagem ? `<div class="finding-message">${this.escapeHtml(finding.mensagem)}</div>` : ''}
+                            ${finding.notaSap || finding.itemSimplificacao ? `
+                                <div class="finding-meta">
+                                    ${finding.notaSap ? `Nota SAP ${this.escapeHtml(finding.notaSap)}` : ''}
+                                    ${finding.notaSap && finding.itemSimplificacao ? ' • ' : ''}
+                                    ${this.escapeHtml(finding.itemSimplificacao)}
+                                </div>
+                            ` : ''}
+                        </div>
+                    </li>
+                `).join('')}
+            </ul>
+            ${sorted.length > shown.length ? `<div class="findings-more">+${sorted.length - shown.length} achado(s)</div>` : ''}
+        `;
+    }
+
+    /**
+     * Count findings per ATC priority
+     */
+    countFindingsByPriority(findings) {
+        const counts = { 1: 0, 2: 0, 3: 0 };
+        (findings || []).forEach(finding => {
+            counts[finding.prioridade] = (counts[finding.prioridade] || 0) + 1;
+        });
+        return counts;
+    }
+
+    /**
+     * Suggest complexity and status from ATC findings
+     * Priority 1 findings weigh the most; objects with only priority 3 findings stay in analysis
+     */
+    getFindingsSuggestion(findings) {
+        if (!findings || findings.length === 0) return null;
+
+        const counts = this.countFindingsByPriority(findings);
+        const score = counts[1] * 5 + counts[2] * 2 + counts[3];
+
+        let complexidade = 'baixa';
+        if (score > 25) complexidade = 'muito-alta';
+        else if (score > 10) complexidade = 'alta';
+        else if (score > 3) complexidade = 'media';
+
+        return {
+            complexidade,
+            status: counts[1] + counts[2] > 0 ? 'requer-conversao' : 'em-analise'
+        };
+    }
+
+    /**
+     * Copy the suggestion of the findings into the object form
+     */
+    applyFindingsSuggestion() {
+        const findings = this.currentEditingObject ? this.currentEditingObject.achados : [];
+        const suggestion = this.getFindingsSuggestion(findings);
+        if (!suggestion) return;
+
+        document.getElementById('objectComplexity').value = suggestion.complexidade;
+
+        const formTab = document.querySelector('#objectModal [data-tab="objectForm"]');
+        if (formTab) window.historyController.switchTab(formTab);
+
+        const currentStatus = this.currentEditingObject.status || 'nao-analisado';
+        if (suggestion.status !== currentStatus && !this.isTransitionAllowed(currentStatus, suggestion.status)) {
+            this.showError(`Complexidade aplicada. O status ${this.getStatusLabel(suggestion.status)} não pode ser definido a partir de ${this.getStatusLabel(currentStatus)}.`);
+            return;
+        }
+
+        document.getElementById('objectStatus').value = suggestion.status;
+        this.updateStatusHint();
+        this.showSuccess('Sugestão aplicada. Salve o objeto para confirmar.');
+    }
+
+    /**
+     * Check whether the lifecycle allows moving between two statuses
+     */
+    isTransitionAllowed(from, to) {
+        return (this.statusTransitions[from] || []).includes(to);
+    }
+
+    /**
+     * Explain why an object cannot move to a status, or return null when it can
+     * Besides the lifecycle, converting requires finished tasks and, after a conversion, a released TR
+     */
+    async getTransitionBlockReason(from, to, object, requestObjectId = object.id) {
+        if (from === to) return null;
+
+        if (!this.isTransitionAllowed(from, to)) {
+            const next = (this.statusTransitions[from] || []).map(status => this.getStatusLabel(status)).join(', ') || 'nenhum (status final)';
+            return `Transição de ${this.getStatusLabel(from)} para ${this.getStatusLabel(to)} não permitida. Próximos status possíveis: ${next}`;
+        }
+
+        if (to !== 'convertido') return null;
+
+        const tasks = await this.storage.getTasks();
+        const pendingTasks = tasks
+            .filter(task => (object.tarefas || []).includes(task.id) && task.status !== 'concluido')
+            .map(task => task.id);
+        if (pendingTasks.length > 0) {
+            return `Não é possível marcar como convertido: tarefas vinculadas não concluídas (${pendingTasks.join(', ')})`;
+        }
+
+        if (from === 'em-conversao') {
+            const requests = await this.storage.getRequestsByObject(requestObjectId);
+            if (!requests.some(request => this.releasedRequestStatuses.includes(request.status))) {
+                return 'Não é possível marcar como convertido: o objeto precisa estar em uma requisição de transporte liberada';
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Move a record to a status, appending the dated transition used for cycle times
+     */
+    recordStatusTransition(record, status, date = new Date().toISOString()) {
+        const from = record.status || 'nao-analisado';
+        if (from === status) return record;
+
+        record.transicoes = [...(record.transicoes || []), { de: from, para: status, data: date }];
+        record.status = status;
+        return record;
+    }
+
+    /**
+     * Disable the statuses the edited object cannot reach from its saved status
+     */
+    updateStatusOptions() {
+        const select = document.getElementById('objectStatus');
+        if (!select) return;
+
+        const current = this.currentEditingObject ? this.currentEditingObject.status || 'nao-analisado' : 'nao-analisado';
+        Array.from(select.options).forEach(option => {
+            const reachable = option.value === current || this.isTransitionAllowed(current, option.value);
+            option.disabled = !reachable;
+            option.title = reachable ? '' : `Não permitido a partir de ${this.getStatusLabel(current)}`;
+        });
+
+        this.updateStatusHint();
+    }
+
+    /**
+     * Show whether the selected status can be saved, checking the guards of the transition
+     */
+    async updateStatusHint() {
+        const hint = document.getElementById('objectStatusHint');
+        if (!hint) return;
+
+        const current = this.currentEditingObject ? this.currentEditingObject.status || 'nao-analisado' : 'nao-analisado';
+        const selected = document.getElementById('objectStatus').value;
+        const object = {
+            id: this.currentEditingObject ? this.currentEditingObject.id : '',
+            tarefas: this.parseDependencies(document.getElementById('objectTasks').value)
+        };
+
+        const reason = await this.getTransitionBlockReason(current, selected, object);
+        hint.textContent = reason || '';
+        hint.classList.toggle('warning', Boolean(reason));
+    }
+
+    /**
+     * Flag a dependency cycle introduced by the object just saved
+     */
+    async warnDependencyCycle(objectId) {
+        const dependencies = window.dependenciesController;
+        if (!dependencies) return;
+
+        const objects = await this.storage.getObjects();
+        const path = dependencies.findCyclePath(objectId, objects);
+        if (path && window.app && window.app.showToast) {
+            window.app.showToast(`Dependência circular detectada: ${path.join(' → ')}`, 'warning', 8000);
+        }
+    }
+
+    /**
+     * Open the dependency map with the impact analysis for an object
+     */
+    async showImpact(objectId) {
+        if (!window.app || !window.dependenciesController) return;
+
+        await window.app.showView('dependencies');
+        window.dependenciesController.analyzeImpact(objectId);
+    }
+
     /**
      * Edit object
      */
@@ -461,7 +1076,7 @@ class ObjectsController {
         if (window.app && window.app.showConfirmModal) {
             window.app.showConfirmModal(
                 'Excluir Objeto',
-                `Tem certeza que deseja excluir o objeto "${object.id}"? Esta ação não pode ser desfeita.`,
+                `Tem certeza que deseja excluir o objeto "${object.id}"? Você poderá desfazer com Ctrl+Z.`,
                 () => this.deleteObject(objectId)
             );
         } else {
@@ -476,8 +1091,8 @@ class ObjectsController {
      */
     async deleteObject(objectId) {
         try {
-            await this.storage.deleteObject(objectId);
-            this.showSuccess('Objeto excluído com sucesso!');
+            await window.app.runUndoable(`Exclusão do objeto ${objectId}`, () => this.storage.deleteObject(objectId));
+            window.app.showUndoToast('Objeto excluído com sucesso!');
         } catch (error) {
             console.error('Failed to delete object:', error);
             this.showError('Erro ao excluir objeto');
@@ -560,6 +1175,7 @@ class ObjectsController {
     showModal(modal) {
         modal.classList.add('active');
         document.body.style.overflow = 'hidden';
+        if (window.app) window.app.syncRoute();
     }
 
     /**
@@ -571,6 +1187,7 @@ class ObjectsController {
             modal.classList.remove('active');
             document.body.style.overflow = '';
             this.currentEditingObject = null;
+            if (window.app) window.app.syncRoute();
         }
     }
 
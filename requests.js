@@ -0,0 +1,938 @@
+/**
+ * SAP Migration Control Center - Requests Controller
+ * Handles transport requests (TR) management, CRUD operations, and UI interactions
+ */
+
+class RequestsController {
+    constructor() {
+        this.storage = window.storageManager;
+        this.currentRequests = [];
+        this.filteredRequests = [];
+        this.currentEditingRequest = null;
+        this.displayMode = 'cards'; // cards or matrix
+        this.landscape = this.storage.getDefaultLandscape();
+
+        this.importStatusLabels = {
+            'pendente': 'Pendente',
+            'importada': 'Importada',
+            'erro': 'Erro'
+        };
+
+        this.statusColors = {
+            'modificavel': 'gradient-purple',
+            'liberada': 'gradient-orange',
+            'importada-qas': 'gradient-blue',
+            'importada-prd': 'gradient-green'
+        };
+
+        this.typeColors = {
+            'workbench': 'type-workbench',
+            'customizing': 'type-customizing',
+            'toc': 'type-toc'
+        };
+
+        // SAP transport request number: <SID>K<6 digits>, e.g. DEVK900123
+        this.trNumberPattern = /^[A-Z0-9]{3}K\d{6}$/;
+
+        this.bindEvents();
+    }
+
+    /**
+     * Bind request-related events
+     */
+    bindEvents() {
+        // Request modal events
+        document.addEventListener('click', this.handleClick.bind(this));
+        document.addEventListener('submit', this.handleSubmit.bind(this));
+
+        // Custom events
+        document.addEventListener('showRequestModal', (e) => {
+            this.showRequestModal(e.detail);
+        });
+
+        // Filter events
+        this.bindFilterEvents();
+
+        // Data change events
+        document.addEventListener('requestsUpdated', () => {
+            this.loadRequests();
+        });
+
+        document.addEventListener('settingsUpdated', async () => {
+            this.landscape = await this.storage.getLandscape();
+            this.renderRequests();
+        });
+
+        // Object dependencies change the safe import order
+        document.addEventListener('objectsUpdated', () => {
+            this.renderTransportWarnings();
+        });
+
+        // Marking an import as done fills in today's date
+        document.addEventListener('change', (e) => {
+            if (e.target.id === 'requestStatus' || e.target.id === 'requestObjects') {
+                this.updateReleaseChecklist();
+                return;
+            }
+
+            const system = e.target.dataset && e.target.dataset.importStatus;
+            if (!system) return;
+
+            const dateInput = document.querySelector(`[data-import-date="${system}"]`);
+            if (dateInput && e.target.value === 'importada' && !dateInput.value) {
+                dateInput.value = this.storage.toDateKey(new Date());
+            }
+
+            // An import moves the status past modificável, which releases the TR
+            this.updateReleaseChecklist();
+        });
+    }
+
+    /**
+     * Bind filter events
+     */
+    bindFilterEvents() {
+        const requestSearch = document.getElementById('requestSearch');
+        const filterIds = ['requestStatusFilter', 'requestTypeFilter', 'requestSystemFilter'];
+
+        if (requestSearch) {
+            requestSearch.addEventListener('input', this.debounce(() => {
+                this.applyFilters();
+            }, 300));
+        }
+
+        filterIds.forEach(id => {
+            const filter = document.getElementById(id);
+            if (filter) {
+                filter.addEventListener('change', () => {
+                    this.applyFilters();
+                });
+            }
+        });
+    }
+
+    /**
+     * Handle click events
+     */
+    handleClick(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target) return;
+
+        const action = target.dataset.action;
+        const requestId = target.dataset.requestId;
+
+        switch (action) {
+            case 'new-request':
+            case 'create-request':
+                e.preventDefault();
+                this.showRequestModal();
+                break;
+            case 'edit-request':
+                e.preventDefault();
+                if (requestId) this.editRequest(requestId);
+                break;
+            case 'delete-request':
+                e.preventDefault();
+                if (requestId) this.confirmDeleteRequest(requestId);
+                break;
+            case 'cancel-request':
+                e.preventDefault();
+                this.closeModal();
+                break;
+            case 'set-requests-mode':
+                e.preventDefault();
+                this.setDisplayMode(target.dataset.requestsMode);
+                break;
+        }
+    }
+
+    /**
+     * Handle form submissions
+     */
+    handleSubmit(e) {
+        if (e.target.id === 'requestForm') {
+            e.preventDefault();
+            this.saveRequest();
+        }
+    }
+
+    /**
+     * Initialize requests view
+     */
+    async initialize() {
+        try {
+            this.landscape = await this.storage.getLandscape();
+            await this.loadRequests();
+        } catch (error) {
+            console.error('Requests initialization failed:', error);
+            this.showError('Erro ao carregar requests');
+        }
+    }
+
+    /**
+     * Load requests from storage
+     */
+    async loadRequests() {
+        try {
+            this.currentRequests = await this.storage.getRequests();
+            this.populateSystemFilter();
+            this.applyFilters();
+            this.updateBadges();
+            this.renderTransportWarnings();
+        } catch (error) {
+            console.error('Failed to load requests:', error);
+            this.currentRequests = [];
+            this.filteredRequests = [];
+            this.renderRequests();
+        }
+    }
+
+    /**
+     * Fill the target system filter with the systems used so far
+     */
+    populateSystemFilter() {
+        const select = document.getElementById('requestSystemFilter');
+        if (!select) return;
+
+        const selected = select.value;
+        const systems = [...new Set(this.currentRequests.map(r => r.sistemaDestino).filter(Boolean))].sort();
+
+        select.innerHTML = `
+            <option value="">Todos os Sistemas</option>
+            ${systems.map(system => `
+                <option value="${this.escapeHtml(system)}">${this.escapeHtml(system)}</option>
+            `).join('')}
+        `;
+        select.value = systems.includes(selected) ? selected : '';
+
+        const datalist = document.getElementById('requestSystemOptions');
+        if (datalist) {
+            datalist.innerHTML = systems.map(system => `<option value="${this.escapeHtml(system)}">`).join('');
+        }
+    }
+
+    /**
+     * Apply current filters to requests
+     */
+    async applyFilters() {
+        try {
+            const searchQuery = document.getElementById('requestSearch')?.value || '';
+
+            const filters = {
+                status: document.getElementById('requestStatusFilter')?.value || '',
+                type: document.getElementById('requestTypeFilter')?.value || '',
+                system: document.getElementById('requestSystemFilter')?.value || ''
+            };
+
+            this.filteredRequests = await this.storage.searchRequests(searchQuery, filters);
+            this.renderRequests();
+        } catch (error) {
+            console.error('Failed to apply filters:', error);
+            this.filteredRequests = [...this.currentRequests];
+            this.renderRequests();
+        }
+    }
+
+    /**
+     * Render requests in the container
+     */
+    renderRequests() {
+        const container = document.getElementById('requestsContainer');
+        if (!container) return;
+
+        container.classList.toggle('matrix-mode', this.displayMode === 'matrix');
+
+        if (this.filteredRequests.length === 0) {
+            this.renderEmptyState(container);
+            return;
+        }
+
+        container.innerHTML = this.displayMode === 'matrix'
+            ? this.renderTransportMatrix()
+            : this.renderRequestCards();
+    }
+
+    /**
+     * Switch between request cards and the TR × system matrix
+     */
+    setDisplayMode(mode) {
+        this.displayMode = mode === 'matrix' ? 'matrix' : 'cards';
+
+        document.querySelectorAll('[data-requests-mode]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.requestsMode === this.displayMode);
+        });
+
+        this.renderRequests();
+    }
+
+    /**
+     * Render the import status and date of each TR in each target system of the landscape
+     */
+    renderTransportMatrix() {
+        const systems = this.storage.getTargetSystems(this.landscape);
+        const stuck = this.filteredRequests.filter(request => this.storage.getQasWaitingDays(request, this.landscape) !== null);
+
+        return `
+            <div class="transport-matrix">
+                ${stuck.length > 0 ? `
+                    <div class="transport-alert">
+                        ${stuck.length} request(s) parada(s) em QAS há mais de ${this.landscape.diasAlertaQas} dias sem importação em PRD
+                    </div>
+                ` : ''}
+                <table class="effort-table">
+                    <thead>
+                        <tr>
+                            <th>Request</th>
+                            <th>Descrição</th>
+                            <th>Status</th>
+                            ${systems.map(system => `
+                                <th title="${this.escapeHtml(system.descricao)}">${this.escapeHtml(this.storage.getSystemKey(system))}</th>
+                            `).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.filteredRequests.map(request => {
+                            const waitingDays = this.storage.getQasWaitingDays(request, this.landscape);
+                            return `
+                                <tr class="${waitingDays !== null ? 'transport-stuck' : ''}">
+                                    <td>
+                                        <button class="effort-object-link" data-action="edit-request" data-request-id="${request.id}">
+                                            ${this.escapeHtml(request.id)}
+                                        </button>
+                                    </td>
+                                    <td>${this.escapeHtml(request.descricao)}</td>
+                                    <td>
+                                        <span class="request-badge status-${request.status}">${this.getStatusLabel(request.status)}</span>
+                                        ${waitingDays !== null ? `<span class="request-badge transport-stuck-badge">${waitingDays} dias em QAS</span>` : ''}
+                                    </td>
+                                    ${systems.map(system => `<td>${this.renderImportChip(this.storage.getRequestImport(request, system))}</td>`).join('')}
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+                ${systems.length === 0 ? '<div class="effort-note">Defina os sistemas da paisagem de transporte em Configurações.</div>' : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Warn about open requests sharing objects or depending on each other and show a safe import order
+     */
+    async renderTransportWarnings() {
+        const container = document.getElementById('transportWarnings');
+        if (!container) return;
+
+        try {
+            const { conflicts, dependencies, order, cycle } = await this.storage.getTransportAnalysis();
+
+            if (conflicts.length === 0 && dependencies.length === 0) {
+                container.innerHTML = '';
+                container.classList.add('hidden');
+                return;
+            }
+
+            const requestTag = (id) => `<span class="task-tag" data-action="edit-request" data-request-id="${this.escapeHtml(id)}">${this.escapeHtml(id)}</span>`;
+
+            container.classList.remove('hidden');
+            container.innerHTML = `
+                <h3>Sequenciamento de Transportes</h3>
+                <ul class="transport-warning-list">
+                    ${conflicts.map(conflict => `
+                        <li>
+                            <span class="object-tag">${this.escapeHtml(conflict.objeto)}</span>
+                            está em ${conflict.requests.length} requests abertas: ${conflict.requests.map(requestTag).join(' ')}
+                        </li>
+                    `).join('')}
+                    ${dependencies.map(dependency => `
+                        <li>
+                            ${requestTag(dependency.antes)} antes de ${requestTag(dependency.depois)}:
+                            <span class="object-tag">${this.escapeHtml(dependency.objeto)}</span> depende de
+                            <span class="object-tag">${this.escapeHtml(dependency.dependencia)}</span>
+                        </li>
+                    `).join('')}
+                    ${cycle.length > 0 ? `
+                        <li class="transport-cycle">Dependência circular entre ${cycle.map(requestTag).join(' ')}: ajuste os objetos antes de importar</li>
+                    ` : ''}
+                </ul>
+                <div class="transport-order">
+                    <span class="objects-label">Ordem segura de importação:</span>
+                    ${order.map((id, index) => `<span class="transport-order-step">${index + 1}. ${requestTag(id)}</span>`).join('')}
+                </div>
+            `;
+        } catch (error) {
+            console.error('Failed to analyze transport sequence:', error);
+        }
+    }
+
+    renderImportChip(entry) {
+        const date = entry.data ? new Date(`${entry.data}T00:00:00`).toLocaleDateString('pt-BR') : '';
+        return `
+            <span class="import-chip import-${entry.status}" title="${this.importStatusLabels[entry.status] || ''}">
+                ${entry.status === 'importada' ? '✓' : entry.status === 'erro' ? '✗' : '—'} ${date}
+            </span>
+        `;
+    }
+
+    /**
+     * Render requests as cards
+     */
+    renderRequestCards() {
+        return this.filteredRequests.map(request => {
+            const colorClass = this.statusColors[request.status] || 'gradient-purple';
+            const waitingDays = this.storage.getQasWaitingDays(request, this.landscape);
+
+            return `
+                <div class="request-card" data-request-id="${request.id}">
+                    <div class="request-header ${colorClass}">
+                        <div class="request-number">${this.escapeHtml(request.id)}</div>
+                        <span class="request-badge ${this.typeColors[request.tipo] || ''}">${this.getTypeLabel(request.tipo)}</span>
+                    </div>
+
+                    <div class="request-body">
+                        <h3 class="request-title">${this.escapeHtml(request.descricao)}</h3>
+
+                        <div class="request-meta">
+                            <span class="request-badge status-${request.status}">${this.getStatusLabel(request.status)}</span>
+                            ${request.sistemaDestino ? `
+                                <span class="request-badge">→ ${this.escapeHtml(request.sistemaDestino)}</span>
+                            ` : ''}
+                            ${waitingDays !== null ? `
+                                <span class="request-badge transport-stuck-badge">${waitingDays} dias em QAS</span>
+                            ` : ''}
+                        </div>
+
+                        <div class="request-imports-summary">
+                            ${this.storage.getTargetSystems(this.landscape).map(system => {
+                                const entry = this.storage.getRequestImport(request, system);
+                                return `<span class="import-chip import-${entry.status}" title="${this.importStatusLabels[entry.status]}${entry.data ? ' em ' + new Date(`${entry.data}T00:00:00`).toLocaleDateString('pt-BR') : ''}">${this.escapeHtml(this.storage.getSystemKey(system))}</span>`;
+                            }).join('')}
+                        </div>
+
+                        <div class="object-detail-item">
+                            <span class="object-detail-label">Responsável:</span>
+                            <span class="object-detail-value">${this.escapeHtml(request.responsavel) || '—'}</span>
+                        </div>
+
+                        ${request.tarefas && request.tarefas.length > 0 ? `
+                            <div class="request-links">
+                                <div class="objects-label">Tarefas:</div>
+                                <div class="objects-list">
+                                    ${request.tarefas.map(taskId => `
+                                        <span class="task-tag" data-action="edit-task" data-task-id="${this.escapeHtml(taskId)}">${this.escapeHtml(taskId)}</span>
+                                    `).join('')}
+                                </div>
+                            </div>
+                        ` : ''}
+
+                        ${request.objetos && request.objetos.length > 0 ? `
+                            <div class="request-links">
+                                <div class="objects-label">Objetos SAP:</div>
+                                <div class="objects-list">
+                                    ${request.objetos.slice(0, 4).map(objectId => `
+                                        <span class="object-tag">${this.escapeHtml(objectId)}</span>
+                                    `).join('')}
+                                    ${request.objetos.length > 4 ? `
+                                        <span class="more-objects">+${request.objetos.length - 4}</span>
+                                    ` : ''}
+                                </div>
+                            </div>
+                        ` : ''}
+
+                        <div class="request-actions">
+                            <button class="task-edit-btn" data-action="edit-request" data-request-id="${request.id}">
+                                Editar
+                            </button>
+                            <div class="task-action-buttons">
+                                <button data-action="delete-request" data-request-id="${request.id}" title="Excluir">
+                                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                        <polyline points="3,6 5,6 21,6"/>
+                                        <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
+                                        <line x1="10" y1="11" x2="10" y2="17"/>
+                                        <line x1="14" y1="11" x2="14" y2="17"/>
+                                    </svg>
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Render empty state
+     */
+    renderEmptyState(container) {
+        const hasFilters = document.getElementById('requestSearch')?.value ||
+                          document.getElementById('requestStatusFilter')?.value ||
+                          document.getElementById('requestTypeFilter')?.value ||
+                          document.getElementById('requestSystemFilter')?.value;
+
+        container.innerHTML = `
+            <div class="empty-state">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M9 12l2 2 4-4"/>
+                    <path d="M21 12c-1 0-3-1-3-3s2-3 3-3 3 1 3 3-2 3-3 3"/>
+                    <path d="M3 12c1 0 3-1 3-3s-2-3-3-3-3 1-3 3 2 3 3 3"/>
+                </svg>
+                <h3>${hasFilters ? 'Nenhuma request encontrada' : 'Nenhuma request cadastrada'}</h3>
+                <p>${hasFilters ? 'Tente ajustar os filtros de busca' : 'Registre as requests de transporte criadas no SE09/SE10'}</p>
+                ${!hasFilters ? `
+                    <button class="primary-button" data-action="create-request">
+                        Registrar Primeira Request
+                    </button>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Show request modal for creating/editing
+     */
+    async showRequestModal(requestId = null) {
+        const modal = document.getElementById('requestModal');
+        const form = document.getElementById('requestForm');
+        const title = document.getElementById('requestModalTitle');
+
+        if (!modal || !form) return;
+
+        // Reset form
+        form.reset();
+
+        if (requestId) {
+            // Edit mode
+            const request = await this.storage.getRequestById(requestId);
+            if (!request) {
+                this.showError('Request não encontrada');
+                return;
+            }
+
+            this.currentEditingRequest = request;
+            title.textContent = 'Editar Request';
+            this.populateRequestForm(request);
+        } else {
+            // Create mode
+            this.currentEditingRequest = null;
+            title.textContent = 'Nova Request';
+
+            // Set defaults
+            const profile = await this.storage.getProfile();
+            document.getElementById('requestType').value = 'workbench';
+            document.getElementById('requestStatus').value = 'modificavel';
+            document.getElementById('requestOwner').value = profile.nome || '';
+        }
+
+        // The TR number is the record key and comes from SAP, so it is fixed once saved
+        document.getElementById('requestId').readOnly = Boolean(this.currentEditingRequest);
+
+        this.landscape = await this.storage.getLandscape();
+        this.renderImportFields(this.currentEditingRequest || {});
+        await this.updateReleaseChecklist();
+
+        this.showModal(modal);
+    }
+
+    /**
+     * Populate form with request data
+     */
+    populateRequestForm(request) {
+        document.getElementById('requestId').value = request.id || '';
+        document.getElementById('requestType').value = request.tipo || 'workbench';
+        document.getElementById('requestStatus').value = request.status || 'modificavel';
+        document.getElementById('requestTarget').value = request.sistemaDestino || '';
+        document.getElementById('requestOwner').value = request.responsavel || '';
+        document.getElementById('requestDescription').value = request.descricao || '';
+        document.getElementById('requestTasks').value = request.tarefas ? request.tarefas.join(', ') : '';
+        document.getElementById('requestObjects').value = request.objetos ? request.objetos.join(', ') : '';
+        document.getElementById('requestNotes').value = request.notas || '';
+    }
+
+    /**
+     * Render one import status and date field per target system of the landscape
+     */
+    renderImportFields(request) {
+        const container = document.getElementById('requestImports');
+        if (!container) return;
+
+        const systems = this.storage.getTargetSystems(this.landscape);
+        if (systems.length === 0) {
+            container.innerHTML = '<span class="form-hint">Nenhum sistema de destino na paisagem de transporte.</span>';
+            return;
+        }
+
+        container.innerHTML = systems.map(system => {
+            const key = this.escapeHtml(this.storage.getSystemKey(system));
+            const entry = this.storage.getRequestImport(request, system);
+            return `
+                <div class="request-import-row">
+                    <span class="request-import-system">${key} <small>${this.escapeHtml(system.descricao)}</small></span>
+                    <select data-import-status="${key}">
+                        ${Object.entries(this.importStatusLabels).map(([value, label]) => `
+                            <option value="${value}" ${entry.status === value ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                    <input type="date" data-import-date="${key}" value="${entry.data || ''}">
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Whether saving the form releases the request, i.e. moves it out of "modificável"
+     */
+    isReleasing(status) {
+        const previousStatus = this.currentEditingRequest ? this.currentEditingRequest.status : 'modificavel';
+        return previousStatus === 'modificavel' && status !== 'modificavel';
+    }
+
+    /**
+     * Pre-release checks; any failed item blocks the release
+     */
+    async getReleaseChecklist(request) {
+        const overlaps = await this.storage.getRequestOverlaps(request);
+        const dependencies = await this.storage.getUnreleasedDependencies(request);
+
+        return [
+            {
+                label: 'Nenhum objeto em outra request aberta',
+                ok: overlaps.length === 0,
+                detail: overlaps.map(overlap => `${overlap.objeto} em ${overlap.requests.join(', ')}`).join('; ')
+            },
+            {
+                label: 'Dependências dos objetos já liberadas',
+                ok: dependencies.length === 0,
+                detail: dependencies.map(dependency => `${dependency.objeto} depende de ${dependency.dependencia} (${dependency.requests.join(', ')})`).join('; ')
+            }
+        ];
+    }
+
+    /**
+     * Status the form would save: the selected one, moved forward by the imports marked as done
+     */
+    getFormStatus() {
+        return this.storage.getImportedRequestStatus({
+            status: document.getElementById('requestStatus').value,
+            importacoes: this.getImportFormData()
+        }, this.landscape);
+    }
+
+    /**
+     * Show the pre-release checklist while the form is releasing the request
+     */
+    async updateReleaseChecklist() {
+        const container = document.getElementById('requestReleaseChecklist');
+        if (!container) return;
+
+        if (!this.isReleasing(this.getFormStatus())) {
+            container.classList.add('hidden');
+            return;
+        }
+
+        const checklist = await this.getReleaseChecklist({
+            id: document.getElementById('requestId').value.trim().toUpperCase(),
+            objetos: this.parseIdList(document.getElementById('requestObjects').value.trim())
+        });
+
+        container.classList.remove('hidden');
+        container.innerHTML = `
+            <div class="release-checklist-title">Checklist de liberação</div>
+            <ul>
+                ${checklist.map(item => `
+                    <li class="${item.ok ? 'ok' : 'failed'}">
+                        ${item.ok ? '✓' : '✗'} ${item.label}
+                        ${item.detail ? `<small>${this.escapeHtml(item.detail)}</small>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Read the import fields; systems still pending are left out
+     */
+    getImportFormData() {
+        const imports = {};
+        document.querySelectorAll('#requestImports [data-import-status]').forEach(select => {
+            if (select.value === 'pendente') return;
+            const dateInput = document.querySelector(`[data-import-date="${select.dataset.importStatus}"]`);
+            imports[select.dataset.importStatus] = { status: select.value, data: (dateInput && dateInput.value) || null };
+        });
+        return imports;
+    }
+
+    /**
+     * Save request from form
+     */
+    async saveRequest() {
+        try {
+            const formData = this.getRequestFormData();
+
+            if (!this.validateRequestForm(formData)) {
+                return;
+            }
+
+            // Start from the stored record so fields the form does not show, such as the
+            // SE09 task mapping kept by the E070 importer, survive a manual edit
+            const request = {
+                ...(this.currentEditingRequest || {}),
+                id: formData.id,
+                descricao: formData.descricao,
+                responsavel: formData.responsavel,
+                tipo: formData.tipo,
+                status: formData.status,
+                sistemaDestino: formData.sistemaDestino,
+                tarefas: this.parseIdList(formData.tarefas),
+                objetos: this.parseIdList(formData.objetos),
+                notas: formData.notas,
+                importacoes: formData.importacoes,
+                liberadaEm: (this.currentEditingRequest && this.currentEditingRequest.liberadaEm) || null,
+                criadoEm: this.currentEditingRequest ? this.currentEditingRequest.criadoEm : new Date().toISOString(),
+                atualizadoEm: new Date().toISOString()
+            };
+            request.status = this.storage.getImportedRequestStatus(request, this.landscape);
+
+            // Gate on the final status: marking an import as done releases the TR as well
+            if (this.isReleasing(request.status)) {
+                const failed = (await this.getReleaseChecklist(request)).filter(item => !item.ok);
+                if (failed.length > 0) {
+                    this.showError(`Liberação bloqueada: ${failed.map(item => item.detail).join('; ')}`);
+                    await this.updateReleaseChecklist();
+                    return;
+                }
+                request.liberadaEm = this.storage.toDateKey(new Date());
+            }
+
+            const isEdit = Boolean(this.currentEditingRequest);
+
+            await window.app.runUndoable(isEdit ? `Edição da request ${request.id}` : `Criação da request ${request.id}`, () => this.storage.saveRequest(request));
+            this.closeModal();
+
+            const overlaps = this.storage.isOpenRequest(request) ? await this.storage.getRequestOverlaps(request) : [];
+            if (overlaps.length > 0) {
+                window.app.showToast(`Request salva, mas com objetos em outras requests abertas: ${overlaps.map(overlap => `${overlap.objeto} (${overlap.requests.join(', ')})`).join('; ')}`, 'warning', 8000);
+            } else {
+                this.showSuccess(isEdit ? 'Request atualizada com sucesso!' : 'Request criada com sucesso!');
+            }
+
+        } catch (error) {
+            console.error('Failed to save request:', error);
+            this.showError('Erro ao salvar request');
+        }
+    }
+
+    /**
+     * Get request form data
+     */
+    getRequestFormData() {
+        return {
+            id: document.getElementById('requestId').value.trim().toUpperCase(),
+            tipo: document.getElementById('requestType').value,
+            status: document.getElementById('requestStatus').value,
+            sistemaDestino: document.getElementById('requestTarget').value.trim().toUpperCase(),
+            responsavel: document.getElementById('requestOwner').value.trim(),
+            descricao: document.getElementById('requestDescription').value.trim(),
+            tarefas: document.getElementById('requestTasks').value.trim(),
+            objetos: document.getElementById('requestObjects').value.trim(),
+            notas: document.getElementById('requestNotes').value.trim(),
+            importacoes: this.getImportFormData()
+        };
+    }
+
+    /**
+     * Validate request form
+     */
+    validateRequestForm(formData) {
+        if (!formData.id) {
+            this.showError('Número da request é obrigatório');
+            return false;
+        }
+
+        if (!this.trNumberPattern.test(formData.id)) {
+            this.showError('Número de request inválido (ex: DEVK900123)');
+            return false;
+        }
+
+        if (!formData.descricao) {
+            this.showError('Descrição é obrigatória');
+            return false;
+        }
+
+        if (this.currentEditingRequest) {
+            if (formData.id !== this.currentEditingRequest.id) {
+                this.showError('O número da request não pode ser alterado');
+                return false;
+            }
+        } else {
+            // Check if request number already exists (for new requests)
+            const existingRequest = this.currentRequests.find(r => r.id === formData.id);
+            if (existingRequest) {
+                this.showError('Já existe uma request com este número');
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Split a comma separated ID list
+     */
+    parseIdList(value) {
+        return value ? value.split(',').map(s => s.trim().toUpperCase()).filter(s => s) : [];
+    }
+
+    /**
+     * Edit request
+     */
+    async editRequest(requestId) {
+        await this.showRequestModal(requestId);
+    }
+
+    /**
+     * Confirm request deletion
+     */
+    async confirmDeleteRequest(requestId) {
+        const request = await this.storage.getRequestById(requestId);
+        if (!request) {
+            this.showError('Request não encontrada');
+            return;
+        }
+
+        if (window.app && window.app.showConfirmModal) {
+            window.app.showConfirmModal(
+                'Excluir Request',
+                `Tem certeza que deseja excluir a request "${request.id}"? Você poderá desfazer com Ctrl+Z.`,
+                () => this.deleteRequest(requestId)
+            );
+        } else {
+            if (confirm(`Tem certeza que deseja excluir a request "${request.id}"?`)) {
+                await this.deleteRequest(requestId);
+            }
+        }
+    }
+
+    /**
+     * Delete request
+     */
+    async deleteRequest(requestId) {
+        try {
+            await window.app.runUndoable(`Exclusão da request ${requestId}`, () => this.storage.deleteRequest(requestId));
+            window.app.showUndoToast('Request excluída com sucesso!');
+        } catch (error) {
+            console.error('Failed to delete request:', error);
+            this.showError('Erro ao excluir request');
+        }
+    }
+
+    /**
+     * Update navigation badges
+     */
+    updateBadges() {
+        const openRequests = this.currentRequests.filter(r => r.status !== 'importada-prd').length;
+        const badge = document.getElementById('changesBadge');
+        if (badge) {
+            badge.textContent = openRequests;
+            badge.style.display = openRequests > 0 ? 'flex' : 'none';
+        }
+    }
+
+    // Utility methods
+
+    /**
+     * Get status label
+     */
+    getStatusLabel(status) {
+        const labels = {
+            'modificavel': 'Modificável',
+            'liberada': 'Liberada',
+            'importada-qas': 'Importada QAS',
+            'importada-prd': 'Importada PRD'
+        };
+        return labels[status] || status;
+    }
+
+    /**
+     * Get type label
+     */
+    getTypeLabel(type) {
+        const labels = {
+            'workbench': 'Workbench',
+            'customizing': 'Customizing',
+            'toc': 'Transport of Copies'
+        };
+        return labels[type] || type;
+    }
+
+    /**
+     * Show modal
+     */
+    showModal(modal) {
+        modal.classList.add('active');
+        document.body.style.overflow = 'hidden';
+        if (window.app) window.app.syncRoute();
+    }
+
+    /**
+     * Close modal
+     */
+    closeModal() {
+        const modal = document.getElementById('requestModal');
+        if (modal) {
+            modal.classList.remove('active');
+            document.body.style.overflow = '';
+            this.currentEditingRequest = null;
+            if (window.app) window.app.syncRoute();
+        }
+    }
+
+    /**
+     * Escape HTML
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Debounce function
+     */
+    debounce(func, wait) {
+        let timeout;
+        return function executedFunction(...args) {
+            const later = () => {
+                clearTimeout(timeout);
+                func(...args);
+            };
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+        };
+    }
+
+    /**
+     * Show success message
+     */
+    showSuccess(message) {
+        if (window.app && window.app.showToast) {
+            window.app.showToast(message, 'success');
+        } else {
+            console.log(message);
+        }
+    }
+
+    /**
+     * Show error message
+     */
+    showError(message) {
+        if (window.app && window.app.showToast) {
+            window.app.showToast(message, 'error');
+        } else {
+            console.error(message);
+        }
+    }
+}
+
+// Create global requests controller instance
+window.requestsController = new RequestsController();
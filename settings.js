@@ -31,6 +31,10 @@ class SettingsController {
         document.addEventListener('settingsUpdated', (e) => {
             this.currentSettings = e.detail;
         });
+
+        ['simplificationItemsUpdated', 'objectsUpdated'].forEach(eventName => {
+            document.addEventListener(eventName, () => this.renderSimplificationCatalog());
+        });
     }
 
     /**
@@ -59,6 +63,42 @@ class SettingsController {
                 e.preventDefault();
                 this.confirmClearAllData();
                 break;
+            case 'check-links':
+                e.preventDefault();
+                this.checkLinks();
+                break;
+            case 'repair-links':
+                e.preventDefault();
+                this.confirmRepairLinks();
+                break;
+            case 'save-estimation-matrix':
+                e.preventDefault();
+                this.saveEstimationMatrix();
+                break;
+            case 'reset-estimation-matrix':
+                e.preventDefault();
+                this.confirmResetEstimationMatrix();
+                break;
+            case 'save-wip-limits':
+                e.preventDefault();
+                this.saveWipLimits();
+                break;
+            case 'add-landscape-system':
+                e.preventDefault();
+                this.addLandscapeSystem();
+                break;
+            case 'remove-landscape-system':
+                e.preventDefault();
+                this.removeLandscapeSystem(parseInt(target.dataset.systemIndex));
+                break;
+            case 'save-landscape':
+                e.preventDefault();
+                this.saveLandscape();
+                break;
+            case 'delete-simplification-item':
+                e.preventDefault();
+                this.confirmDeleteSimplificationItem(target.dataset.itemId);
+                break;
         }
     }
 
@@ -81,6 +121,11 @@ class SettingsController {
             await this.loadSettings();
             this.updateDataSummary();
             this.updateLastBackupDate();
+            this.checkLinks();
+            this.renderSimplificationCatalog();
+            this.renderEstimationMatrix();
+            this.renderWipLimits();
+            this.renderTransportLandscape();
         } catch (error) {
             console.error('Settings initialization failed:', error);
             this.showError('Erro ao carregar configurações');
@@ -261,7 +306,7 @@ class SettingsController {
             }
 
             const text = await file.text();
-            const result = await this.storage.importData(text);
+            const result = await window.app.runUndoableReplace('Importação de dados', () => this.storage.importData(text));
             
             if (result.success) {
                 this.showSuccess(result.message);
@@ -291,7 +336,7 @@ class SettingsController {
         if (window.app && window.app.showConfirmModal) {
             window.app.showConfirmModal(
                 'Limpar Todos os Dados',
-                'Esta ação irá remover TODOS os dados da aplicação (perfil, tarefas, objetos, etc.). Esta ação não pode ser desfeita. Tem certeza que deseja continuar?',
+                'Esta ação irá remover TODOS os dados da aplicação (perfil, tarefas, objetos, etc.). Ela só pode ser desfeita com Ctrl+Z enquanto esta página estiver aberta. Tem certeza que deseja continuar?',
                 () => this.clearAllData()
             );
         } else {
@@ -306,7 +351,7 @@ class SettingsController {
      */
     async clearAllData() {
         try {
-            const result = await this.storage.clearAllData();
+            const result = await window.app.runUndoableReplace('Limpeza de todos os dados', () => this.storage.clearAllData());
             
             if (result.success) {
                 this.showSuccess(result.message);
@@ -333,6 +378,460 @@ class SettingsController {
         }
     }
 
+    /**
+     * Check task/object links and render the report
+     */
+    async checkLinks() {
+        try {
+            const issues = await this.storage.getLinkIntegrityReport();
+            this.renderLinkReport(issues);
+            return issues;
+        } catch (error) {
+            console.error('Failed to check links:', error);
+            this.showError('Erro ao verificar vínculos');
+            return [];
+        }
+    }
+
+    /**
+     * Render link integrity report
+     */
+    renderLinkReport(issues) {
+        const container = document.getElementById('linkReport');
+        if (!container) return;
+
+        if (issues.length === 0) {
+            container.innerHTML = '<p class="link-report-ok">Nenhum vínculo órfão encontrado.</p>';
+            return;
+        }
+
+        const describe = (issue) => {
+            switch (issue.type) {
+                case 'missing-object':
+                    return `Tarefa <strong>${this.escapeHtml(issue.taskId)}</strong> referencia o objeto inexistente <strong>${this.escapeHtml(issue.objectId)}</strong>`;
+                case 'missing-task':
+                    return `Objeto <strong>${this.escapeHtml(issue.objectId)}</strong> referencia a tarefa inexistente <strong>${this.escapeHtml(issue.taskId)}</strong>`;
+                default:
+                    return issue.recordedOn === 'task'
+                        ? `Tarefa <strong>${this.escapeHtml(issue.taskId)}</strong> lista <strong>${this.escapeHtml(issue.objectId)}</strong>, mas o objeto não lista a tarefa`
+                        : `Objeto <strong>${this.escapeHtml(issue.objectId)}</strong> lista <strong>${this.escapeHtml(issue.taskId)}</strong>, mas a tarefa não lista o objeto`;
+            }
+        };
+
+        container.innerHTML = `
+            <p class="link-report-count">${issues.length} ${issues.length === 1 ? 'problema encontrado' : 'problemas encontrados'}</p>
+            <ul class="link-report-list">
+                ${issues.map(issue => `<li class="link-issue link-issue-${issue.type}">${describe(issue)}</li>`).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Confirm link repair
+     */
+    async confirmRepairLinks() {
+        const issues = await this.checkLinks();
+        if (issues.length === 0) {
+            this.showSuccess('Todos os vínculos estão consistentes');
+            return;
+        }
+
+        window.app.showConfirmModal(
+            'Reparar Vínculos',
+            `Referências a registros inexistentes serão removidas e vínculos de um lado só serão completados (${issues.length} ${issues.length === 1 ? 'problema' : 'problemas'}). Deseja continuar?`,
+            () => this.repairLinks()
+        );
+    }
+
+    /**
+     * Repair orphan and one-sided links
+     */
+    async repairLinks() {
+        try {
+            const result = await window.app.runUndoable('Reparo de vínculos', () => this.storage.repairLinks());
+            this.showSuccess(`Vínculos reparados: ${result.removed} removidos, ${result.completed} completados`);
+            await this.checkLinks();
+        } catch (error) {
+            console.error('Failed to repair links:', error);
+            this.showError('Erro ao reparar vínculos');
+        }
+    }
+
+    /**
+     * Render the estimation matrix as editable hours per type and complexity
+     */
+    async renderEstimationMatrix() {
+        const container = document.getElementById('estimationMatrix');
+        if (!container) return;
+
+        const complexities = { 'baixa': 'Baixa', 'media': 'Média', 'alta': 'Alta', 'muito-alta': 'Muito Alta' };
+        const impacts = { 'baixo': 'Baixo', 'medio': 'Médio', 'alto': 'Alto', 'critico': 'Crítico' };
+
+        try {
+            const matrix = await this.storage.getEstimationMatrix();
+
+            container.innerHTML = `
+                <table class="matrix-table">
+                    <thead>
+                        <tr>
+                            <th>Tipo</th>
+                            ${Object.values(complexities).map(label => `<th>${label}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${Object.entries(matrix.base).map(([type, hours]) => `
+                            <tr>
+                                <td>${this.escapeHtml(type)}</td>
+                                ${Object.keys(complexities).map(complexity => `
+                                    <td>
+                                        <input type="number" min="0" step="0.5" value="${hours[complexity] ?? ''}"
+                                            data-matrix-type="${this.escapeHtml(type)}" data-matrix-complexity="${complexity}">
+                                    </td>
+                                `).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <table class="matrix-table">
+                    <thead>
+                        <tr>
+                            <th>Impacto</th>
+                            ${Object.values(impacts).map(label => `<th>${label}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <tr>
+                            <td>Multiplicador</td>
+                            ${Object.keys(impacts).map(impact => `
+                                <td>
+                                    <input type="number" min="0" step="0.05" value="${matrix.impacto[impact]}" data-matrix-impact="${impact}">
+                                </td>
+                            `).join('')}
+                        </tr>
+                    </tbody>
+                </table>
+            `;
+        } catch (error) {
+            console.error('Failed to load estimation matrix:', error);
+        }
+    }
+
+    /**
+     * Save the hours and multipliers typed in the matrix
+     */
+    async saveEstimationMatrix() {
+        const container = document.getElementById('estimationMatrix');
+        if (!container) return;
+
+        const matrix = { base: {}, impacto: {} };
+        let invalid = false;
+
+        const readValue = (input) => {
+            const value = parseFloat(input.value);
+            if (isNaN(value) || value < 0) invalid = true;
+            return value;
+        };
+
+        container.querySelectorAll('[data-matrix-type]').forEach(input => {
+            const type = input.dataset.matrixType;
+            matrix.base[type] = matrix.base[type] || {};
+            matrix.base[type][input.dataset.matrixComplexity] = readValue(input);
+        });
+        container.querySelectorAll('[data-matrix-impact]').forEach(input => {
+            matrix.impacto[input.dataset.matrixImpact] = readValue(input);
+        });
+
+        if (invalid) {
+            this.showError('Informe horas e multiplicadores maiores ou iguais a zero');
+            return;
+        }
+
+        try {
+            await this.storage.saveEstimationMatrix(matrix);
+            this.showSuccess('Matriz de estimativa salva!');
+        } catch (error) {
+            console.error('Failed to save estimation matrix:', error);
+            this.showError('Erro ao salvar matriz de estimativa');
+        }
+    }
+
+    /**
+     * Render one WIP limit input per board column
+     */
+    async renderWipLimits() {
+        const container = document.getElementById('wipLimits');
+        if (!container) return;
+
+        const statuses = { 'planejado': 'Planejado', 'em-andamento': 'Em Andamento', 'aguardando': 'Aguardando', 'concluido': 'Concluído' };
+
+        try {
+            const limits = await this.storage.getWipLimits();
+
+            container.innerHTML = `
+                <table class="matrix-table">
+                    <thead>
+                        <tr>
+                            ${Object.values(statuses).map(label => `<th>${label}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <tr>
+                            ${Object.keys(statuses).map(status => `
+                                <td>
+                                    <input type="number" min="0" step="1" placeholder="Sem limite" value="${limits[status] || ''}" data-wip-status="${status}">
+                                </td>
+                            `).join('')}
+                        </tr>
+                    </tbody>
+                </table>
+            `;
+        } catch (error) {
+            console.error('Failed to load WIP limits:', error);
+        }
+    }
+
+    /**
+     * Save the WIP limits; empty fields remove the limit
+     */
+    async saveWipLimits() {
+        const container = document.getElementById('wipLimits');
+        if (!container) return;
+
+        const limits = {};
+        let invalid = false;
+
+        container.querySelectorAll('[data-wip-status]').forEach(input => {
+            if (input.value === '') return;
+            const value = parseInt(input.value, 10);
+            if (isNaN(value) || value < 0) {
+                invalid = true;
+            } else if (value > 0) {
+                limits[input.dataset.wipStatus] = value;
+            }
+        });
+
+        if (invalid) {
+            this.showError('Informe limites inteiros maiores ou iguais a zero');
+            return;
+        }
+
+        try {
+            await this.storage.saveWipLimits(limits);
+            this.showSuccess('Limites WIP salvos!');
+        } catch (error) {
+            console.error('Failed to save WIP limits:', error);
+            this.showError('Erro ao salvar limites WIP');
+        }
+    }
+
+    /**
+     * Render the transport landscape as editable rows; without a draft the saved landscape is loaded
+     */
+    async renderTransportLandscape(landscape = null) {
+        const container = document.getElementById('transportLandscape');
+        if (!container) return;
+
+        const roles = {
+            'desenvolvimento': 'Desenvolvimento',
+            'qualidade': 'Qualidade',
+            'producao': 'Produção',
+            'sandbox': 'Sandbox',
+            'mock': 'Mock de Conversão'
+        };
+
+        try {
+            landscape = landscape || await this.storage.getLandscape();
+
+            container.innerHTML = `
+                <table class="matrix-table">
+                    <thead>
+                        <tr>
+                            <th>SID</th>
+                            <th>Mandante</th>
+                            <th>Descrição</th>
+                            <th>Papel</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${landscape.sistemas.map((system, index) => `
+                            <tr data-landscape-system>
+                                <td><input type="text" maxlength="3" placeholder="QAS" value="${this.escapeHtml(system.sid)}" data-system-field="sid"></td>
+                                <td><input type="text" maxlength="3" placeholder="Opcional" value="${this.escapeHtml(system.mandante)}" data-system-field="mandante"></td>
+                                <td><input type="text" value="${this.escapeHtml(system.descricao)}" data-system-field="descricao"></td>
+                                <td>
+                                    <select data-system-field="papel">
+                                        ${Object.entries(roles).map(([value, label]) => `
+                                            <option value="${value}" ${system.papel === value ? 'selected' : ''}>${label}</option>
+                                        `).join('')}
+                                    </select>
+                                </td>
+                                <td>
+                                    <button class="secondary-button" data-action="remove-landscape-system" data-system-index="${index}" title="Remover sistema">×</button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <label class="landscape-alert-days">
+                    Destacar requests paradas em QAS há mais de
+                    <input type="number" min="0" step="1" value="${landscape.diasAlertaQas}" id="landscapeAlertDays">
+                    dias
+                </label>
+            `;
+        } catch (error) {
+            console.error('Failed to load transport landscape:', error);
+        }
+    }
+
+    /**
+     * Read the landscape rows as they are being edited
+     */
+    readLandscapeForm() {
+        const sistemas = [...document.querySelectorAll('#transportLandscape [data-landscape-system]')].map(row => {
+            const value = (field) => row.querySelector(`[data-system-field="${field}"]`).value.trim();
+            return {
+                sid: value('sid').toUpperCase(),
+                mandante: value('mandante'),
+                descricao: value('descricao'),
+                papel: value('papel')
+            };
+        });
+
+        return {
+            sistemas,
+            diasAlertaQas: parseInt(document.getElementById('landscapeAlertDays')?.value, 10)
+        };
+    }
+
+    addLandscapeSystem() {
+        const landscape = this.readLandscapeForm();
+        landscape.sistemas.push({ sid: '', mandante: '', descricao: '', papel: 'sandbox' });
+        this.renderTransportLandscape(landscape);
+    }
+
+    removeLandscapeSystem(index) {
+        const landscape = this.readLandscapeForm();
+        landscape.sistemas.splice(index, 1);
+        this.renderTransportLandscape(landscape);
+    }
+
+    /**
+     * Validate and save the landscape; SIDs have three characters and each SID/client appears once
+     */
+    async saveLandscape() {
+        const landscape = this.readLandscapeForm();
+        const keys = landscape.sistemas.map(system => this.storage.getSystemKey(system));
+
+        if (landscape.sistemas.some(system => !/^[A-Z][A-Z0-9]{2}$/.test(system.sid))) {
+            this.showError('Informe um SID de três caracteres para cada sistema (ex: QAS)');
+            return;
+        }
+
+        if (landscape.sistemas.some(system => system.mandante && !/^\d{3}$/.test(system.mandante))) {
+            this.showError('O mandante deve ter três dígitos (ex: 200)');
+            return;
+        }
+
+        const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+        if (duplicate) {
+            this.showError(`O sistema ${duplicate} aparece mais de uma vez`);
+            return;
+        }
+
+        if (isNaN(landscape.diasAlertaQas) || landscape.diasAlertaQas < 0) {
+            this.showError('Informe um número de dias maior ou igual a zero');
+            return;
+        }
+
+        try {
+            await this.storage.saveLandscape(landscape);
+            this.showSuccess('Paisagem de transporte salva!');
+        } catch (error) {
+            console.error('Failed to save transport landscape:', error);
+            this.showError('Erro ao salvar paisagem de transporte');
+        }
+    }
+
+    /**
+     * Confirm going back to the default matrix
+     */
+    confirmResetEstimationMatrix() {
+        window.app.showConfirmModal(
+            'Restaurar Matriz Padrão',
+            'As horas e multiplicadores personalizados serão substituídos pelos valores padrão. Deseja continuar?',
+            async () => {
+                try {
+                    await this.storage.saveEstimationMatrix(null);
+                    await this.renderEstimationMatrix();
+                    this.showSuccess('Matriz padrão restaurada');
+                } catch (error) {
+                    console.error('Failed to reset estimation matrix:', error);
+                    this.showError('Erro ao restaurar matriz');
+                }
+            }
+        );
+    }
+
+    /**
+     * Render the Simplification Item catalog with the number of linked objects
+     */
+    async renderSimplificationCatalog() {
+        const container = document.getElementById('simplificationCatalog');
+        if (!container) return;
+
+        try {
+            const usage = await this.storage.getSimplificationItemUsage();
+
+            if (usage.length === 0) {
+                container.innerHTML = '<p class="settings-hint">Nenhum item no catálogo. Importe um CSV com ID, título, área, notas SAP e objetos substitutos.</p>';
+                return;
+            }
+
+            container.innerHTML = `
+                <p class="link-report-count">${usage.length} ${usage.length === 1 ? 'item' : 'itens'} no catálogo</p>
+                <ul class="catalog-list">
+                    ${usage.map(({ item, count }) => `
+                        <li class="catalog-item">
+                            <div class="catalog-item-info">
+                                <strong>${this.escapeHtml(item.id)}</strong> ${this.escapeHtml(item.titulo)}
+                                <div class="catalog-item-meta">
+                                    ${[item.area, (item.notasSap || []).length > 0 ? `Notas ${item.notasSap.join(', ')}` : '']
+                                        .filter(Boolean).map(text => this.escapeHtml(text)).join(' • ')}
+                                </div>
+                            </div>
+                            <span class="catalog-item-count">${count} ${count === 1 ? 'objeto' : 'objetos'}</span>
+                            <button class="worklog-delete" data-action="delete-simplification-item" data-item-id="${this.escapeHtml(item.id)}" title="Remover do catálogo">&times;</button>
+                        </li>
+                    `).join('')}
+                </ul>
+            `;
+        } catch (error) {
+            console.error('Failed to load simplification catalog:', error);
+        }
+    }
+
+    /**
+     * Confirm removal of a catalog item
+     */
+    confirmDeleteSimplificationItem(itemId) {
+        if (!itemId) return;
+
+        window.app.showConfirmModal(
+            'Remover Simplification Item',
+            `Remover "${itemId}" do catálogo? Os objetos vinculados perderão o vínculo. Você poderá desfazer com Ctrl+Z.`,
+            async () => {
+                try {
+                    await window.app.runUndoable(`Remoção do item ${itemId}`, () => this.storage.deleteSimplificationItem(itemId));
+                    window.app.showUndoToast('Item removido do catálogo');
+                } catch (error) {
+                    console.error('Failed to delete simplification item:', error);
+                    this.showError('Erro ao remover item');
+                }
+            }
+        );
+    }
+
     /**
      * Update data summary display
      */
@@ -521,6 +1020,16 @@ class SettingsController {
         }
     }
 
+    /**
+     * Escape HTML
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     /**
      * Show success message
      */
@@ -6,7 +6,6 @@
 class StorageManager {
     constructor() {
         this.dbName = 'SAPMigrationDB';
-        this.dbVersion = 1;
         this.db = null;
         this.isIndexedDBSupported = typeof indexedDB !== 'undefined';
         
@@ -17,10 +16,64 @@ class StorageManager {
             tasks: 'sap_migration_tasks',
             objects: 'sap_migration_objects',
             requests: 'sap_migration_requests',
-            theme: 'sap_migration_theme'
+            simplificationItems: 'sap_migration_simplification_items',
+            theme: 'sap_migration_theme',
+            timer: 'sap_migration_timer',
+            history: 'sap_migration_history'
         };
 
-        this.initializeDB();
+        // Stores kept record by record in IndexedDB and mirrored to localStorage
+        this.recordStores = ['tasks', 'objects', 'requests', 'simplificationItems'];
+
+        // Entity name recorded in the history for each record store
+        this.historyEntities = {
+            tasks: 'task',
+            objects: 'object',
+            requests: 'request'
+        };
+
+        // Bookkeeping fields left out of the field-level history
+        this.historyIgnoredFields = ['criadoEm', 'atualizadoEm'];
+
+        // Record field behind each IndexedDB index, for the localStorage fallback
+        this.indexFields = {
+            status: 'status',
+            priority: 'prioridade',
+            category: 'categoria',
+            type: 'tipo',
+            objetos: 'objetos',
+            bloqueadaPor: 'bloqueadaPor',
+            tarefas: 'tarefas',
+            dependencias: 'dependencias',
+            itensSimplificacao: 'itensSimplificacao'
+        };
+
+        // Kept outside this.keys so clearing the data does not forget the schema
+        this.schemaVersionKey = 'sap_migration_schema_version';
+        this.activeChangeSet = null;
+        this.migrations = this.getMigrations();
+        this.schemaVersion = this.migrations[this.migrations.length - 1].version;
+        this.dbVersion = this.schemaVersion;
+
+        this.ready = this.initialize();
+    }
+
+    /**
+     * Open the database and bring stored data up to the current schema
+     */
+    async initialize() {
+        try {
+            await this.initializeDB();
+        } catch (error) {
+            console.error('IndexedDB unavailable, using localStorage only:', error);
+            this.db = null;
+        }
+
+        try {
+            await this.runMigrations();
+        } catch (error) {
+            console.error('Failed to migrate stored data:', error);
+        }
     }
 
     /**
@@ -57,259 +110,1696 @@ class StorageManager {
                     tasksStore.createIndex('category', 'category', { unique: false });
                 }
 
-                if (!db.objectStoreNames.contains('objects')) {
-                    const objectsStore = db.createObjectStore('objects', { keyPath: 'id' });
-                    objectsStore.createIndex('type', 'type', { unique: false });
-                    objectsStore.createIndex('status', 'status', { unique: false });
+                if (!db.objectStoreNames.contains('objects')) {
+                    const objectsStore = db.createObjectStore('objects', { keyPath: 'id' });
+                    objectsStore.createIndex('type', 'type', { unique: false });
+                    objectsStore.createIndex('status', 'status', { unique: false });
+                }
+
+                if (!db.objectStoreNames.contains('requests')) {
+                    const requestsStore = db.createObjectStore('requests', { keyPath: 'id' });
+                    requestsStore.createIndex('status', 'status', { unique: false });
+                    requestsStore.createIndex('type', 'type', { unique: false });
+                }
+
+                // Structural changes introduced after version 1
+                this.migrations
+                    .filter(step => step.upgradeStores && step.version > event.oldVersion)
+                    .forEach(step => step.upgradeStores(db, event.target.transaction));
+            };
+        });
+    }
+
+    /**
+     * Schema Migrations
+     * Ordered steps run on every payload older than their version: the stored
+     * data on startup and imported backups. Steps must be idempotent.
+     */
+    getMigrations() {
+        return [
+            {
+                version: 1,
+                description: 'Initial schema'
+            },
+            {
+                version: 2,
+                description: 'Point the priority/category/type indexes at the Portuguese fields',
+                upgradeStores: (db, transaction) => {
+                    const reindex = (storeName, indexName, keyPath) => {
+                        const store = transaction.objectStore(storeName);
+                        if (store.indexNames.contains(indexName)) {
+                            store.deleteIndex(indexName);
+                        }
+                        store.createIndex(indexName, keyPath, { unique: false });
+                    };
+
+                    reindex('tasks', 'priority', 'prioridade');
+                    reindex('tasks', 'category', 'categoria');
+                    reindex('objects', 'type', 'tipo');
+                    reindex('requests', 'type', 'tipo');
+                }
+            },
+            {
+                version: 3,
+                description: 'Split horasGastas into per-task worklog entries',
+                migrate: (data) => {
+                    (data.tasks || []).forEach(task => {
+                        if (Array.isArray(task.worklog)) return;
+
+                        // The old total has no real date; keep it as a single entry
+                        task.worklog = task.horasGastas > 0 ? [{
+                            id: `${task.id}-WL0`,
+                            data: this.toDateKey(task.atualizadoEm || task.criadoEm || new Date()),
+                            horas: task.horasGastas,
+                            nota: 'Horas registradas antes do apontamento diário',
+                            request: '',
+                            criadoEm: task.atualizadoEm || new Date().toISOString()
+                        }] : [];
+                        task.horasGastas = this.sumWorklogHours(task.worklog);
+                    });
+                }
+            },
+            {
+                version: 4,
+                description: 'Index link fields and copy the localStorage records into IndexedDB',
+                upgradeStores: (db, transaction) => {
+                    const addMultiEntryIndex = (storeName, field) => {
+                        const store = transaction.objectStore(storeName);
+                        if (!store.indexNames.contains(field)) {
+                            store.createIndex(field, field, { unique: false, multiEntry: true });
+                        }
+                    };
+
+                    addMultiEntryIndex('tasks', 'objetos');
+                    addMultiEntryIndex('objects', 'tarefas');
+                    addMultiEntryIndex('objects', 'dependencias');
+                    addMultiEntryIndex('requests', 'objetos');
+
+                    // Writes before v4 never reached IndexedDB, so localStorage holds the real data
+                    ['tasks', 'objects', 'requests'].forEach(storeName => {
+                        const store = transaction.objectStore(storeName);
+                        this.readLocalStore(storeName)
+                            .filter(record => record && record.id)
+                            .forEach(record => store.put(record));
+                    });
+                }
+            },
+            {
+                version: 5,
+                description: 'Add the history store for the audit trail',
+                upgradeStores: (db) => {
+                    if (!db.objectStoreNames.contains('history')) {
+                        const historyStore = db.createObjectStore('history', { keyPath: 'id' });
+                        historyStore.createIndex('entityRef', ['entity', 'entityId'], { unique: false });
+                        historyStore.createIndex('timestamp', 'timestamp', { unique: false });
+                    }
+                }
+            },
+            {
+                version: 6,
+                description: 'Add the Simplification Item catalog and link objects to it',
+                upgradeStores: (db, transaction) => {
+                    if (!db.objectStoreNames.contains('simplificationItems')) {
+                        const itemsStore = db.createObjectStore('simplificationItems', { keyPath: 'id' });
+                        itemsStore.createIndex('area', 'area', { unique: false });
+                    }
+
+                    const objectsStore = transaction.objectStore('objects');
+                    if (!objectsStore.indexNames.contains('itensSimplificacao')) {
+                        objectsStore.createIndex('itensSimplificacao', 'itensSimplificacao', { unique: false, multiEntry: true });
+                    }
+                }
+            },
+            {
+                version: 7,
+                description: 'Index the "blocked by" links between tasks',
+                upgradeStores: (db, transaction) => {
+                    const tasksStore = transaction.objectStore('tasks');
+                    if (!tasksStore.indexNames.contains('bloqueadaPor')) {
+                        tasksStore.createIndex('bloqueadaPor', 'bloqueadaPor', { unique: false, multiEntry: true });
+                    }
+                }
+            }
+        ];
+    }
+
+    /**
+     * Version the stored data was last migrated to
+     */
+    getStoredSchemaVersion() {
+        const stored = parseInt(localStorage.getItem(this.schemaVersionKey));
+        return isNaN(stored) ? 1 : stored;
+    }
+
+    /**
+     * Normalize the version stamp of a backup file
+     * Backups made before the registry carry version '1.0'
+     */
+    parseSchemaVersion(version) {
+        const parsed = parseInt(version);
+        return isNaN(parsed) ? 1 : parsed;
+    }
+
+    /**
+     * Apply every data step newer than fromVersion
+     */
+    migrateData(data, fromVersion) {
+        const migrated = { ...data };
+
+        this.migrations
+            .filter(step => step.migrate && step.version > fromVersion)
+            .forEach(step => {
+                step.migrate(migrated);
+                console.log(`Applied migration v${step.version}: ${step.description}`);
+            });
+
+        return migrated;
+    }
+
+    /**
+     * Upgrade the stored data to the current schema version
+     */
+    async runMigrations() {
+        const storedVersion = this.getStoredSchemaVersion();
+
+        if (storedVersion > this.schemaVersion) {
+            console.warn(`Stored data uses schema v${storedVersion}, newer than v${this.schemaVersion}`);
+            return;
+        }
+
+        if (storedVersion < this.schemaVersion) {
+            const storeNames = ['profile', 'settings', 'tasks', 'objects', 'requests'];
+            const data = {};
+            const snapshots = {};
+
+            for (const storeName of storeNames) {
+                data[storeName] = await this.readStore(storeName);
+                snapshots[storeName] = JSON.stringify(data[storeName]);
+            }
+
+            const migrated = this.migrateData(data, storedVersion);
+
+            // Only rewrite the stores a step actually changed
+            for (const storeName of storeNames) {
+                if (JSON.stringify(migrated[storeName]) !== snapshots[storeName]) {
+                    await this.writeStore(storeName, migrated[storeName]);
+                }
+            }
+        }
+
+        localStorage.setItem(this.schemaVersionKey, String(this.schemaVersion));
+    }
+
+    /**
+     * Generic method to save data once storage is ready
+     */
+    async saveData(storeName, data) {
+        await this.ready;
+        return this.writeStore(storeName, data);
+    }
+
+    /**
+     * Generic method to load data once storage is ready
+     */
+    async loadData(storeName) {
+        await this.ready;
+        return this.readStore(storeName);
+    }
+
+    /**
+     * Replace a whole store in both localStorage and IndexedDB
+     * Used for imports and migrations; regular saves go through applyChanges()
+     */
+    async writeStore(storeName, data) {
+        // Always save to localStorage as backup
+        try {
+            localStorage.setItem(this.keys[storeName], JSON.stringify(data));
+        } catch (error) {
+            console.error('Failed to save to localStorage:', error);
+        }
+
+        // Clear and refill in one transaction so a failure leaves the old data intact
+        if (this.db && this.recordStores.includes(storeName)) {
+            try {
+                await this.runTransaction([storeName], (store) => {
+                    store.clear();
+                    (Array.isArray(data) ? data : []).forEach(item => store.put(item));
+                });
+            } catch (error) {
+                console.error(`Failed to save ${storeName} to IndexedDB:`, error);
+            }
+        }
+    }
+
+    /**
+     * Read data, from IndexedDB when it is open and localStorage otherwise
+     */
+    async readStore(storeName) {
+        if (this.db && this.recordStores.includes(storeName)) {
+            try {
+                return await this.getFromIndexedDB(storeName);
+            } catch (error) {
+                console.error(`Failed to load ${storeName} from IndexedDB:`, error);
+            }
+        }
+
+        return this.readLocalStore(storeName);
+    }
+
+    /**
+     * Read a store from localStorage
+     */
+    readLocalStore(storeName) {
+        try {
+            const data = localStorage.getItem(this.keys[storeName]);
+            return data ? JSON.parse(data) : this.getDefaultData(storeName);
+        } catch (error) {
+            console.error(`Failed to load ${storeName} from localStorage:`, error);
+            return this.getDefaultData(storeName);
+        }
+    }
+
+    /**
+     * Apply keyed puts and deletes to one or more record stores in a single transaction
+     * @param {Object} changes - { tasks: { put: [records], delete: [ids] }, objects: {...}, ... }
+     */
+    async applyChanges(changes) {
+        await this.ready;
+
+        const storeNames = Object.keys(changes).filter(storeName => {
+            const change = changes[storeName];
+            return change && ((change.put || []).length > 0 || (change.delete || []).length > 0);
+        });
+        if (storeNames.length === 0) return;
+
+        const previous = await this.loadPreviousRecords(storeNames, changes);
+        const historyEvents = this.buildHistoryEvents(storeNames, changes, previous);
+
+        if (this.db) {
+            try {
+                // History events commit together with the change they describe
+                await this.runTransaction([...storeNames, 'history'], (...stores) => {
+                    const historyStore = stores.pop();
+                    stores.forEach((store, index) => {
+                        const change = changes[storeNames[index]];
+                        (change.delete || []).forEach(id => store.delete(id));
+                        (change.put || []).forEach(record => store.put(record));
+                    });
+                    historyEvents.forEach(event => historyStore.put(event));
+                });
+            } catch (error) {
+                // Nothing was written: no backup patch, undo entry or update event for it
+                console.error(`Failed to save ${storeNames.join(', ')} to IndexedDB:`, error);
+                throw error;
+            }
+        } else {
+            this.appendLocalHistory(historyEvents);
+        }
+
+        // The localStorage backup and the undo entry only follow a committed change
+        storeNames.forEach(storeName => this.patchLocalStore(storeName, changes[storeName]));
+        this.recordChangeSet(storeNames, changes, previous);
+
+        storeNames.forEach(storeName => {
+            this.dispatchEvent(`${storeName}Updated`, changes[storeName]);
+        });
+    }
+
+    /**
+     * Mirror keyed changes into the localStorage backup
+     */
+    patchLocalStore(storeName, change) {
+        const deleted = new Set(change.delete || []);
+        const records = new Map(
+            this.readLocalStore(storeName)
+                .filter(record => !deleted.has(record.id))
+                .map(record => [record.id, record])
+        );
+
+        (change.put || []).forEach(record => records.set(record.id, record));
+
+        try {
+            localStorage.setItem(this.keys[storeName], JSON.stringify([...records.values()]));
+        } catch (error) {
+            console.error('Failed to save to localStorage:', error);
+        }
+    }
+
+    /**
+     * Run work against the given stores in one readwrite transaction
+     * Resolves when the transaction commits; any failure aborts all of it
+     */
+    runTransaction(storeNames, work) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeNames, 'readwrite');
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+
+            try {
+                work(...storeNames.map(storeName => transaction.objectStore(storeName)));
+            } catch (error) {
+                transaction.abort();
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Get data from IndexedDB
+     */
+    async getFromIndexedDB(storeName) {
+        const data = await this.readFromIndexedDB(storeName, store => store.getAll());
+        return data || [];
+    }
+
+    /**
+     * Run a single read request against a store
+     */
+    readFromIndexedDB(storeName, read) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const request = read(transaction.objectStore(storeName));
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get one record by key
+     */
+    async getRecord(storeName, id) {
+        await this.ready;
+
+        if (this.db) {
+            try {
+                return await this.readFromIndexedDB(storeName, store => store.get(id));
+            } catch (error) {
+                console.error(`Failed to load ${storeName} ${id} from IndexedDB:`, error);
+            }
+        }
+
+        return this.readLocalStore(storeName).find(record => record.id === id);
+    }
+
+    /**
+     * Get the records whose indexed field matches a value
+     * Array fields (objetos, tarefas, dependencias) match when they contain the value
+     */
+    async queryByIndex(storeName, indexName, value) {
+        await this.ready;
+
+        if (this.db) {
+            try {
+                return await this.readFromIndexedDB(storeName, store => store.index(indexName).getAll(value));
+            } catch (error) {
+                console.error(`Failed to query ${storeName} by ${indexName}:`, error);
+            }
+        }
+
+        const field = this.indexFields[indexName];
+        return this.readLocalStore(storeName).filter(record => {
+            const fieldValue = record[field];
+            return Array.isArray(fieldValue) ? fieldValue.includes(value) : fieldValue === value;
+        });
+    }
+
+    /**
+     * Load a store narrowed by the first filter that has a value, using its index
+     */
+    async queryByFilters(storeName, indexedFilters) {
+        const [indexName, value] = Object.entries(indexedFilters).find(([, filterValue]) => filterValue) || [];
+        const records = indexName
+            ? await this.queryByIndex(storeName, indexName, value)
+            : await this.loadData(storeName);
+        return Array.isArray(records) ? records : [];
+    }
+
+    /**
+     * Clear IndexedDB store
+     */
+    async clearStore(storeName) {
+        if (!this.db) return;
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            const request = store.clear();
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get default data structure for each store
+     */
+    getDefaultData(storeName) {
+        const defaults = {
+            profile: {
+                nome: '',
+                empresa: '',
+                inicioProject: '',
+                cliente: '',
+                avatar: '🚀'
+            },
+            settings: {
+                theme: 'light',
+                notifications: true,
+                autoSave: true,
+                language: 'pt-BR'
+            },
+            tasks: [],
+            objects: [],
+            requests: [],
+            simplificationItems: []
+        };
+
+        return defaults[storeName] || null;
+    }
+
+    // Specific data methods
+    
+    /**
+     * Profile Management
+     */
+    async getProfile() {
+        return await this.loadData('profile');
+    }
+
+    async saveProfile(profile) {
+        await this.saveData('profile', profile);
+        this.dispatchEvent('profileUpdated', profile);
+    }
+
+    /**
+     * Settings Management
+     */
+    async getSettings() {
+        return await this.loadData('settings');
+    }
+
+    async saveSetting(key, value) {
+        const settings = await this.getSettings();
+        settings[key] = value;
+        await this.saveData('settings', settings);
+        this.dispatchEvent('settingsUpdated', settings);
+    }
+
+    /**
+     * Estimation Matrix
+     * Base hours per object type and complexity, scaled by an impact multiplier.
+     * Stored in settings.matrizEstimativa; missing cells fall back to the defaults
+     */
+    getDefaultEstimationMatrix() {
+        const scale = (baixa) => ({ 'baixa': baixa, 'media': baixa * 2, 'alta': baixa * 4, 'muito-alta': baixa * 8 });
+
+        return {
+            base: {
+                'Report': scale(4),
+                'Function Module': scale(3),
+                'Class': scale(5),
+                'TCode': scale(1),
+                'Table': scale(2),
+                'View': scale(2),
+                'BSP Application': scale(8),
+                'Web Dynpro': scale(8),
+                'Interface': scale(6),
+                'Form': scale(4)
+            },
+            impacto: {
+                'baixo': 0.8,
+                'medio': 1,
+                'alto': 1.25,
+                'critico': 1.5
+            }
+        };
+    }
+
+    async getEstimationMatrix() {
+        const defaults = this.getDefaultEstimationMatrix();
+        const stored = ((await this.getSettings()) || {}).matrizEstimativa || {};
+        const base = {};
+
+        Object.keys({ ...defaults.base, ...(stored.base || {}) }).forEach(type => {
+            base[type] = { ...(defaults.base[type] || {}), ...((stored.base || {})[type] || {}) };
+        });
+
+        return { base, impacto: { ...defaults.impacto, ...(stored.impacto || {}) } };
+    }
+
+    async saveEstimationMatrix(matrix) {
+        await this.saveSetting('matrizEstimativa', matrix);
+    }
+
+    /**
+     * WIP limits of the task board per status; a missing or zero limit means no limit
+     */
+    async getWipLimits() {
+        return ((await this.getSettings()) || {}).limitesWip || {};
+    }
+
+    async saveWipLimits(limits) {
+        await this.saveSetting('limitesWip', limits);
+    }
+
+    /**
+     * Columns chosen for the task list, or null to show them all
+     */
+    async getTaskListColumns() {
+        return ((await this.getSettings()) || {}).colunasListaTarefas || null;
+    }
+
+    async saveTaskListColumns(columns) {
+        await this.saveSetting('colunasListaTarefas', columns);
+    }
+
+    /**
+     * Named filter combinations of the tasks and objects views
+     */
+    async getSavedFilters() {
+        return ((await this.getSettings()) || {}).filtrosSalvos || [];
+    }
+
+    async saveSavedFilters(filters) {
+        await this.saveSetting('filtrosSalvos', filters);
+    }
+
+    /**
+     * Transport landscape: the DEV → QAS → PRD route plus sandboxes and mock conversion clients
+     * Stored in settings.paisagem; TRs imported into QAS longer than diasAlertaQas days ago
+     * and not yet in PRD are flagged as stuck
+     */
+    getDefaultLandscape() {
+        return {
+            sistemas: [
+                { sid: 'DEV', mandante: '', descricao: 'Desenvolvimento', papel: 'desenvolvimento' },
+                { sid: 'QAS', mandante: '', descricao: 'Qualidade', papel: 'qualidade' },
+                { sid: 'PRD', mandante: '', descricao: 'Produção', papel: 'producao' }
+            ],
+            diasAlertaQas: 7
+        };
+    }
+
+    async getLandscape() {
+        const stored = ((await this.getSettings()) || {}).paisagem;
+        return { ...this.getDefaultLandscape(), ...(stored || {}) };
+    }
+
+    async saveLandscape(landscape) {
+        await this.saveSetting('paisagem', landscape);
+    }
+
+    /**
+     * Key of a system in the landscape and in request imports, e.g. QAS or QAS/200
+     */
+    getSystemKey(system) {
+        return system.mandante ? `${system.sid}/${system.mandante}` : system.sid;
+    }
+
+    /**
+     * Systems a TR is imported into, in route order: QAS, PRD, then sandboxes and mock clients
+     */
+    getTargetSystems(landscape) {
+        const roleOrder = ['qualidade', 'producao', 'sandbox', 'mock'];
+        return (landscape.sistemas || [])
+            .filter(system => roleOrder.includes(system.papel))
+            .sort((a, b) => roleOrder.indexOf(a.papel) - roleOrder.indexOf(b.papel));
+    }
+
+    /**
+     * Effort suggested by the matrix for an object, rounded to half hours
+     * Null when the type or complexity has no base hours
+     */
+    estimateEffort(object, matrix) {
+        const base = (matrix.base[object.tipo] || {})[object.complexidade];
+        if (typeof base !== 'number') return null;
+
+        const multiplier = matrix.impacto[object.impacto] ?? 1;
+        return Math.round(base * multiplier * 2) / 2;
+    }
+
+    /**
+     * Compare the estimated effort of objects with the estimate and hours of their tasks
+     * Totals count a task linked to several objects only once
+     */
+    async getEffortComparison(objects) {
+        const tasks = new Map((await this.getTasks()).map(task => [task.id, task]));
+        const matrix = await this.getEstimationMatrix();
+        const countedTasks = new Set();
+        const totals = { esforco: 0, sugerido: 0, estimativa: 0, horasGastas: 0 };
+
+        const rows = objects.map(object => {
+            const linkedTasks = (object.tarefas || []).map(id => tasks.get(id)).filter(Boolean);
+            const row = {
+                object,
+                esforco: object.esforco_estimado || 0,
+                sugerido: this.estimateEffort(object, matrix),
+                estimativa: linkedTasks.reduce((sum, task) => sum + (task.estimativa || 0), 0),
+                horasGastas: linkedTasks.reduce((sum, task) => sum + (task.horasGastas || 0), 0),
+                tarefas: linkedTasks.map(task => task.id)
+            };
+
+            totals.esforco += row.esforco;
+            totals.sugerido += row.sugerido || 0;
+            linkedTasks.filter(task => !countedTasks.has(task.id)).forEach(task => {
+                countedTasks.add(task.id);
+                totals.estimativa += task.estimativa || 0;
+                totals.horasGastas += task.horasGastas || 0;
+            });
+
+            return row;
+        });
+
+        return { rows, totals };
+    }
+
+    /**
+     * Average days objects spend in each status, from their dated transitions
+     * Only finished stays count; the stay before the first transition starts at creation
+     */
+    getStatusCycleTimes(objects) {
+        const dayMs = 24 * 60 * 60 * 1000;
+        const stays = {};
+
+        objects.forEach(object => {
+            let enteredAt = null;
+
+            (object.transicoes || []).forEach((transition, index) => {
+                const leftAt = new Date(transition.data).getTime();
+                // Objects converted before transitions were recorded have no start for their first status
+                const start = index === 0
+                    ? (transition.de === 'nao-analisado' ? new Date(object.criadoEm).getTime() : NaN)
+                    : enteredAt;
+
+                if (Number.isFinite(start) && Number.isFinite(leftAt) && leftAt >= start) {
+                    stays[transition.de] = stays[transition.de] || { total: 0, count: 0 };
+                    stays[transition.de].total += leftAt - start;
+                    stays[transition.de].count += 1;
+                }
+                enteredAt = leftAt;
+            });
+        });
+
+        return Object.entries(stays).map(([status, { total, count }]) => ({
+            status,
+            days: Math.round((total / count / dayMs) * 10) / 10,
+            count
+        }));
+    }
+
+    /**
+     * Tasks Management
+     */
+    async getTasks() {
+        const tasks = await this.loadData('tasks');
+        return Array.isArray(tasks) ? tasks : [];
+    }
+
+    async saveTask(task) {
+        const previousTask = await this.getTaskById(task.id);
+        const objectChanges = await this.getTaskLinkChanges(task.id, previousTask, task);
+
+        await this.applyChanges({
+            tasks: { put: [task] },
+            objects: objectChanges
+        });
+        return task;
+    }
+
+    /**
+     * Save many tasks in one transaction, e.g. when the board is reordered
+     * Objects follow the tasks whose object list changed, as in saveTask
+     */
+    async saveTasks(tasks) {
+        await this.applyChanges({
+            tasks: { put: tasks },
+            objects: await this.getBatchLinkChanges('tasks', tasks)
+        });
+        return tasks;
+    }
+
+    async deleteTask(taskId) {
+        const previousTask = await this.getTaskById(taskId);
+        const objectChanges = await this.getTaskLinkChanges(taskId, previousTask, null);
+
+        // Tasks blocked by the deleted one are no longer waiting for it
+        const unblocked = (await this.queryByIndex('tasks', 'bloqueadaPor', taskId))
+            .map(task => ({ ...task, bloqueadaPor: task.bloqueadaPor.filter(id => id !== taskId) }));
+
+        await this.applyChanges({
+            tasks: { put: unblocked, delete: [taskId] },
+            objects: objectChanges
+        });
+    }
+
+    async getTaskById(taskId) {
+        return this.getRecord('tasks', taskId);
+    }
+
+    /**
+     * Objects Management
+     */
+    async getObjects() {
+        const objects = await this.loadData('objects');
+        return Array.isArray(objects) ? objects : [];
+    }
+
+    async saveObject(object) {
+        const previousObject = await this.getObjectById(object.id);
+        const taskChanges = await this.getObjectLinkChanges(object.id, previousObject, object);
+
+        await this.applyChanges({
+            objects: { put: [object] },
+            tasks: taskChanges
+        });
+        return object;
+    }
+
+    /**
+     * Save many objects in one transaction, e.g. from a TADIR import
+     * Tasks follow the objects whose task list changed, as in saveObject
+     */
+    async saveObjects(objects) {
+        await this.applyChanges({
+            objects: { put: objects },
+            tasks: await this.getBatchLinkChanges('objects', objects)
+        });
+        return objects;
+    }
+
+    async deleteObject(objectId) {
+        const previousObject = await this.getObjectById(objectId);
+        const taskChanges = await this.getObjectLinkChanges(objectId, previousObject, null);
+
+        // Drop the dependency edges and transport entries pointing at it, as renameObject rewrites them
+        const withoutId = (ids) => (ids || []).filter(id => id !== objectId);
+        const dependents = (await this.queryByIndex('objects', 'dependencias', objectId))
+            .filter(o => o.id !== objectId)
+            .map(o => ({ ...o, dependencias: withoutId(o.dependencias) }));
+        const requests = (await this.queryByIndex('requests', 'objetos', objectId))
+            .map(r => ({ ...r, objetos: withoutId(r.objetos) }));
+
+        await this.applyChanges({
+            objects: { delete: [objectId], put: dependents },
+            tasks: taskChanges,
+            requests: { put: requests }
+        });
+    }
+
+    /**
+     * Rename an object and every reference to it in tasks, objects and requests
+     */
+    async renameObject(oldId, newId) {
+        const object = await this.getObjectById(oldId);
+
+        if (!object) {
+            throw new Error(`Objeto ${oldId} não encontrado`);
+        }
+        if (await this.getObjectById(newId)) {
+            throw new Error(`Já existe um objeto ${newId}`);
+        }
+
+        const replaceId = (ids) => (ids || []).map(id => id === oldId ? newId : id);
+        const renamed = { ...object, id: newId, nome: newId };
+
+        const dependents = (await this.queryByIndex('objects', 'dependencias', oldId))
+            .filter(o => o.id !== oldId)
+            .map(o => ({ ...o, dependencias: replaceId(o.dependencias) }));
+        const tasks = (await this.queryByIndex('tasks', 'objetos', oldId))
+            .map(t => ({ ...t, objetos: replaceId(t.objetos) }));
+        const requests = (await this.queryByIndex('requests', 'objetos', oldId))
+            .map(r => ({ ...r, objetos: replaceId(r.objetos) }));
+
+        await this.applyChanges({
+            objects: { delete: [oldId], put: [renamed, ...dependents] },
+            tasks: { put: tasks },
+            requests: { put: requests }
+        });
+        return renamed;
+    }
+
+    async getObjectById(objectId) {
+        return this.getRecord('objects', objectId);
+    }
+
+    /**
+     * Load the stored version of every record a change touches
+     * Keyed by "storeName:id"; null when the record does not exist yet
+     */
+    async loadPreviousRecords(storeNames, changes) {
+        const previous = new Map();
+
+        for (const storeName of storeNames) {
+            const change = changes[storeName];
+            const ids = [...(change.delete || []), ...(change.put || []).map(record => record.id)];
+
+            // Batches (imports, repairs) read the store once instead of record by record
+            if (ids.length > 20) {
+                const records = new Map((await this.readStore(storeName) || []).map(record => [record.id, record]));
+                ids.forEach(id => previous.set(`${storeName}:${id}`, records.get(id) || null));
+                continue;
+            }
+
+            for (const id of ids) {
+                const key = `${storeName}:${id}`;
+                if (!previous.has(key)) {
+                    previous.set(key, (await this.getRecord(storeName, id)) || null);
+                }
+            }
+        }
+
+        return previous;
+    }
+
+    /**
+     * Change Sets
+     * While a change set is open every keyed write is also kept as
+     * { storeName, id, before, after } so it can be reverted or replayed
+     */
+    beginChangeSet() {
+        this.activeChangeSet = [];
+    }
+
+    endChangeSet() {
+        const changeSet = this.activeChangeSet || [];
+        this.activeChangeSet = null;
+        return changeSet;
+    }
+
+    recordChangeSet(storeNames, changes, previous) {
+        if (!this.activeChangeSet) return;
+
+        // Copies, so later edits to the same objects do not rewrite the past
+        const copy = (record) => record ? JSON.parse(JSON.stringify(record)) : null;
+
+        storeNames.forEach(storeName => {
+            const change = changes[storeName];
+            (change.delete || []).forEach(id => {
+                this.activeChangeSet.push({ storeName, id, before: copy(previous.get(`${storeName}:${id}`)), after: null });
+            });
+            (change.put || []).forEach(record => {
+                this.activeChangeSet.push({ storeName, id: record.id, before: copy(previous.get(`${storeName}:${record.id}`)), after: copy(record) });
+            });
+        });
+    }
+
+    /**
+     * Write one side of a change set back
+     * 'before' restores the state from when the set was opened, 'after' replays it
+     */
+    async applyChangeSet(changeSet, side) {
+        const entries = side === 'before' ? [...changeSet].reverse() : changeSet;
+        const finalStates = new Map();
+
+        // The last entry seen for a record wins: the oldest before or the newest after
+        entries.forEach(entry => {
+            finalStates.set(`${entry.storeName}:${entry.id}`, entry);
+        });
+
+        const changes = {};
+        finalStates.forEach(entry => {
+            const change = changes[entry.storeName] || (changes[entry.storeName] = { put: [], delete: [] });
+            const record = entry[side];
+            if (record) {
+                change.put.push(record);
+            } else {
+                change.delete.push(entry.id);
+            }
+        });
+
+        await this.applyChanges(changes);
+    }
+
+    /**
+     * Full copy of the data, for operations that replace whole stores
+     */
+    async captureSnapshot() {
+        return {
+            profile: await this.getProfile(),
+            settings: await this.getSettings(),
+            tasks: await this.getTasks(),
+            objects: await this.getObjects(),
+            requests: await this.getRequests(),
+            simplificationItems: await this.getSimplificationItems(),
+            history: await this.getHistory()
+        };
+    }
+
+    async restoreSnapshot(snapshot) {
+        for (const storeName of ['profile', 'settings', 'tasks', 'objects', 'requests', 'simplificationItems']) {
+            await this.saveData(storeName, snapshot[storeName]);
+        }
+        await this.replaceHistory(snapshot.history);
+
+        this.dispatchEvent('profileUpdated', snapshot.profile);
+        this.dispatchEvent('settingsUpdated', snapshot.settings);
+        this.dispatchEvent('tasksUpdated', snapshot.tasks);
+        this.dispatchEvent('objectsUpdated', snapshot.objects);
+        this.dispatchEvent('requestsUpdated', snapshot.requests);
+        this.dispatchEvent('simplificationItemsUpdated', snapshot.simplificationItems);
+    }
+
+    /**
+     * History Management
+     * Every keyed save and delete appends one event per record:
+     * { id, entity, entityId, action, changes: [{ field, before, after }], timestamp, user }
+     */
+    buildHistoryEvents(storeNames, changes, previous) {
+        const timestamp = new Date().toISOString();
+        const user = (this.readLocalStore('profile') || {}).nome || '';
+        const events = [];
+
+        const addEvent = (storeName, entityId, action, fieldChanges) => {
+            events.push({
+                id: this.generateId('HIS'),
+                entity: this.historyEntities[storeName],
+                entityId,
+                action,
+                changes: fieldChanges,
+                timestamp,
+                user
+            });
+        };
+
+        for (const storeName of storeNames) {
+            if (!this.historyEntities[storeName]) continue;
+            const change = changes[storeName];
+
+            for (const id of change.delete || []) {
+                const before = previous.get(`${storeName}:${id}`);
+                if (before) {
+                    addEvent(storeName, id, 'delete', this.diffRecords(before, null));
+                }
+            }
+
+            for (const record of change.put || []) {
+                const before = previous.get(`${storeName}:${record.id}`);
+                const fieldChanges = this.diffRecords(before, record);
+                if (fieldChanges.length > 0) {
+                    addEvent(storeName, record.id, before ? 'update' : 'create', fieldChanges);
+                }
+            }
+        }
+
+        return events;
+    }
+
+    /**
+     * Field-level differences between two versions of a record
+     */
+    diffRecords(before, after) {
+        const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+        const isEmpty = (value) => value === undefined || value === null || value === '' ||
+            (Array.isArray(value) && value.length === 0);
+
+        return [...fields]
+            .filter(field => !this.historyIgnoredFields.includes(field))
+            .map(field => ({
+                field,
+                before: before ? before[field] : undefined,
+                after: after ? after[field] : undefined
+            }))
+            .filter(change => !(isEmpty(change.before) && isEmpty(change.after)))
+            .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after))
+            .map(change => ({
+                field: change.field,
+                before: change.before === undefined ? null : change.before,
+                after: change.after === undefined ? null : change.after
+            }));
+    }
+
+    /**
+     * Keep history in localStorage when IndexedDB is not available
+     */
+    appendLocalHistory(events) {
+        if (events.length === 0) return;
+
+        try {
+            const history = JSON.parse(localStorage.getItem(this.keys.history) || '[]');
+            localStorage.setItem(this.keys.history, JSON.stringify([...history, ...events]));
+        } catch (error) {
+            console.error('Failed to save history to localStorage:', error);
+        }
+    }
+
+    /**
+     * Get history events, newest first
+     * Narrowed to one record when entity and entityId are given
+     */
+    async getHistory(entity = null, entityId = null) {
+        await this.ready;
+        let events = null;
+
+        if (this.db) {
+            try {
+                events = entity && entityId
+                    ? await this.readFromIndexedDB('history', store => store.index('entityRef').getAll([entity, entityId]))
+                    : await this.getFromIndexedDB('history');
+            } catch (error) {
+                console.error('Failed to load history from IndexedDB:', error);
+            }
+        }
+
+        if (!events) {
+            try {
+                events = JSON.parse(localStorage.getItem(this.keys.history) || '[]')
+                    .filter(event => !entity || !entityId || (event.entity === entity && event.entityId === entityId));
+            } catch (error) {
+                console.error('Failed to load history from localStorage:', error);
+                events = [];
+            }
+        }
+
+        return events.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    }
+
+    /**
+     * Replace the whole history, used when restoring a backup
+     */
+    async replaceHistory(events) {
+        await this.ready;
+
+        if (this.db) {
+            await this.runTransaction(['history'], (store) => {
+                store.clear();
+                events.forEach(event => store.put(event));
+            });
+        } else {
+            localStorage.setItem(this.keys.history, JSON.stringify(events));
+        }
+    }
+
+    /**
+     * Worklog Management
+     * Each task keeps a list of { id, data, horas, nota, request } entries and
+     * horasGastas is always the sum of them
+     */
+    getTaskWorklog(task) {
+        return Array.isArray(task.worklog) ? [...task.worklog] : [];
+    }
+
+    sumWorklogHours(worklog) {
+        const total = worklog.reduce((sum, entry) => sum + (parseFloat(entry.horas) || 0), 0);
+        return Math.round(total * 100) / 100;
+    }
+
+    async addWorklogEntry(taskId, entry) {
+        const task = await this.getTaskById(taskId);
+        if (!task) {
+            throw new Error(`Tarefa ${taskId} não encontrada`);
+        }
+
+        const newEntry = {
+            id: this.generateId('WL'),
+            data: entry.data || this.toDateKey(new Date()),
+            horas: Math.round((parseFloat(entry.horas) || 0) * 100) / 100,
+            nota: entry.nota || '',
+            request: entry.request || '',
+            criadoEm: new Date().toISOString()
+        };
+
+        const worklog = this.getTaskWorklog(task);
+        worklog.push(newEntry);
+
+        task.worklog = worklog;
+        task.horasGastas = this.sumWorklogHours(worklog);
+        task.atualizadoEm = new Date().toISOString();
+
+        await this.saveTask(task);
+        return newEntry;
+    }
+
+    async deleteWorklogEntry(taskId, entryId) {
+        const task = await this.getTaskById(taskId);
+        if (!task) {
+            throw new Error(`Tarefa ${taskId} não encontrada`);
+        }
+
+        task.worklog = this.getTaskWorklog(task).filter(entry => entry.id !== entryId);
+        task.horasGastas = this.sumWorklogHours(task.worklog);
+        task.atualizadoEm = new Date().toISOString();
+
+        await this.saveTask(task);
+    }
+
+    /**
+     * Hours and distinct tasks logged per day, oldest day first
+     */
+    async getDailyWorklog(days = 7) {
+        const tasks = await this.getTasks();
+        const today = new Date();
+        const dailyData = [];
+        const byDate = new Map();
+
+        for (let i = days - 1; i >= 0; i--) {
+            const date = new Date(today);
+            date.setDate(today.getDate() - i);
+            const day = { date: this.toDateKey(date), hours: 0, tasks: 0, taskIds: new Set() };
+            dailyData.push(day);
+            byDate.set(day.date, day);
+        }
+
+        tasks.forEach(task => {
+            (task.worklog || []).forEach(entry => {
+                const day = byDate.get(entry.data);
+                if (!day) return;
+                day.hours += parseFloat(entry.horas) || 0;
+                day.taskIds.add(task.id);
+            });
+        });
+
+        return dailyData.map(({ date, hours, taskIds }) => ({
+            date,
+            hours: Math.round(hours * 100) / 100,
+            tasks: taskIds.size
+        }));
+    }
+
+    /**
+     * Worklog per day plus the tasks completed that day, oldest day first
+     * Completions come from the status changes in the history; a completion
+     * undone on the same day is not counted. Tasks finished before the
+     * history existed fall back to their last update date.
+     */
+    async getDailyActivity(days = 7) {
+        const [daily, tasks, history] = await Promise.all([
+            this.getDailyWorklog(days),
+            this.getTasks(),
+            this.getHistory()
+        ]);
+
+        // Last status transition of each task on each day: true when it moved into concluido
+        const transitions = new Map();
+        const tracked = new Set();
+
+        history
+            .filter(event => event.entity === this.historyEntities.tasks && event.action !== 'delete')
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+            .forEach(event => {
+                const change = (event.changes || []).find(c => c.field === 'status');
+                if (!change) return;
+                if (change.after !== 'concluido' && change.before !== 'concluido') return;
+
+                tracked.add(event.entityId);
+                transitions.set(`${event.entityId}|${this.toDateKey(event.timestamp)}`, change.after === 'concluido');
+            });
+
+        tasks
+            .filter(task => task.status === 'concluido' && !tracked.has(task.id))
+            .forEach(task => {
+                const date = task.atualizadoEm || task.criadoEm;
+                if (date) transitions.set(`${task.id}|${this.toDateKey(date)}`, true);
+            });
+
+        const completedByDate = new Map();
+        transitions.forEach((completed, key) => {
+            if (!completed) return;
+            const date = key.slice(key.lastIndexOf('|') + 1);
+            completedByDate.set(date, (completedByDate.get(date) || 0) + 1);
+        });
+
+        return daily.map(day => ({ ...day, completed: completedByDate.get(day.date) || 0 }));
+    }
+
+    /**
+     * Local calendar date as YYYY-MM-DD
+     */
+    toDateKey(value) {
+        const date = new Date(value);
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Work timer - only one task can be timed at a time
+     */
+    getActiveTimer() {
+        try {
+            const timer = localStorage.getItem(this.keys.timer);
+            return timer ? JSON.parse(timer) : null;
+        } catch (error) {
+            console.error('Failed to read active timer:', error);
+            return null;
+        }
+    }
+
+    startTimer(taskId) {
+        const timer = { taskId, startedAt: new Date().toISOString() };
+        localStorage.setItem(this.keys.timer, JSON.stringify(timer));
+        this.dispatchEvent('timerUpdated', timer);
+        return timer;
+    }
+
+    stopTimer() {
+        const timer = this.getActiveTimer();
+        localStorage.removeItem(this.keys.timer);
+        this.dispatchEvent('timerUpdated', null);
+        return timer ? { ...timer, stoppedAt: new Date().toISOString() } : null;
+    }
+
+    /**
+     * Link Management
+     * Keeps task.objetos and object.tarefas pointing at each other
+     */
+    async getTaskLinkChanges(taskId, previousTask, task) {
+        const previousIds = new Set(previousTask ? previousTask.objetos || [] : []);
+        const nextIds = new Set(task ? task.objetos || [] : []);
+
+        // Objects listing the task now plus the ones that should list it
+        const candidates = new Map();
+        (await this.queryByIndex('objects', 'tarefas', taskId)).forEach(object => candidates.set(object.id, object));
+        for (const objectId of nextIds) {
+            if (candidates.has(objectId)) continue;
+            const object = await this.getObjectById(objectId);
+            if (object) candidates.set(objectId, object);
+        }
+
+        const changed = [];
+        candidates.forEach(object => {
+            const linkedTasks = object.tarefas || [];
+            const isLinked = linkedTasks.includes(taskId);
+
+            if (nextIds.has(object.id) && !isLinked) {
+                changed.push({ ...object, tarefas: [...linkedTasks, taskId] });
+            } else if (isLinked && !nextIds.has(object.id) && (!task || previousIds.has(object.id))) {
+                // Only drop links the task itself removed, or all of them when the task is gone
+                changed.push({ ...object, tarefas: linkedTasks.filter(id => id !== taskId) });
+            }
+        });
+
+        return { put: changed };
+    }
+
+    async getObjectLinkChanges(objectId, previousObject, object) {
+        const previousIds = new Set(previousObject ? previousObject.tarefas || [] : []);
+        const nextIds = new Set(object ? object.tarefas || [] : []);
+
+        const candidates = new Map();
+        (await this.queryByIndex('tasks', 'objetos', objectId)).forEach(task => candidates.set(task.id, task));
+        for (const taskId of nextIds) {
+            if (candidates.has(taskId)) continue;
+            const task = await this.getTaskById(taskId);
+            if (task) candidates.set(taskId, task);
+        }
+
+        const changed = [];
+        candidates.forEach(task => {
+            const linkedObjects = task.objetos || [];
+            const isLinked = linkedObjects.includes(objectId);
+
+            if (nextIds.has(task.id) && !isLinked) {
+                changed.push({ ...task, objetos: [...linkedObjects, objectId] });
+            } else if (isLinked && !nextIds.has(task.id) && (!object || previousIds.has(task.id))) {
+                changed.push({ ...task, objetos: linkedObjects.filter(id => id !== objectId) });
+            }
+        });
+
+        return { put: changed };
+    }
+
+    /**
+     * Link changes for a batch of tasks or objects
+     * Only records whose link list changed are synced; when several of them touch the
+     * same counterpart, each one adds or drops just its own ID on the merged copy
+     */
+    async getBatchLinkChanges(storeName, records) {
+        const isTasks = storeName === 'tasks';
+        const field = isTasks ? 'objetos' : 'tarefas';
+        const backField = isTasks ? 'tarefas' : 'objetos';
+        const merged = new Map();
+
+        for (const record of records) {
+            const previous = await this.getRecord(storeName, record.id);
+            if (JSON.stringify((previous && previous[field]) || []) === JSON.stringify(record[field] || [])) continue;
+
+            const { put } = isTasks
+                ? await this.getTaskLinkChanges(record.id, previous, record)
+                : await this.getObjectLinkChanges(record.id, previous, record);
+
+            put.forEach(counterpart => {
+                const current = merged.get(counterpart.id) || counterpart;
+                const others = (current[backField] || []).filter(id => id !== record.id);
+                const linked = (counterpart[backField] || []).includes(record.id);
+                merged.set(counterpart.id, { ...current, [backField]: linked ? [...others, record.id] : others });
+            });
+        }
+
+        return { put: [...merged.values()] };
+    }
+
+    /**
+     * List task/object links that are dangling or only recorded on one side
+     */
+    async getLinkIntegrityReport() {
+        const tasks = await this.getTasks();
+        const objects = await this.getObjects();
+        const taskMap = new Map(tasks.map(t => [t.id, t]));
+        const objectMap = new Map(objects.map(o => [o.id, o]));
+        const issues = [];
+
+        tasks.forEach(task => {
+            (task.objetos || []).forEach(objectId => {
+                const object = objectMap.get(objectId);
+                if (!object) {
+                    issues.push({ type: 'missing-object', taskId: task.id, objectId });
+                } else if (!(object.tarefas || []).includes(task.id)) {
+                    issues.push({ type: 'one-sided', taskId: task.id, objectId, recordedOn: 'task' });
                 }
+            });
+        });
 
-                if (!db.objectStoreNames.contains('requests')) {
-                    const requestsStore = db.createObjectStore('requests', { keyPath: 'id' });
-                    requestsStore.createIndex('status', 'status', { unique: false });
-                    requestsStore.createIndex('type', 'type', { unique: false });
+        objects.forEach(object => {
+            (object.tarefas || []).forEach(taskId => {
+                const task = taskMap.get(taskId);
+                if (!task) {
+                    issues.push({ type: 'missing-task', taskId, objectId: object.id });
+                } else if (!(task.objetos || []).includes(object.id)) {
+                    issues.push({ type: 'one-sided', taskId, objectId: object.id, recordedOn: 'object' });
                 }
-            };
+            });
         });
+
+        return issues;
     }
 
     /**
-     * Generic method to save data to both localStorage and IndexedDB
+     * Drop dangling links and complete one-sided ones
      */
-    async saveData(storeName, data) {
-        // Always save to localStorage as backup
-        try {
-            localStorage.setItem(this.keys[storeName], JSON.stringify(data));
-        } catch (error) {
-            console.error('Failed to save to localStorage:', error);
+    async repairLinks() {
+        const issues = await this.getLinkIntegrityReport();
+        if (issues.length === 0) {
+            return { removed: 0, completed: 0 };
         }
 
-        // Save to IndexedDB if available
-        if (this.db && ['tasks', 'objects', 'requests'].includes(storeName)) {
-            try {
-                const transaction = this.db.transaction([storeName], 'readwrite');
-                const store = transaction.objectStore(storeName);
-                
-                // Clear existing data
-                await this.clearStore(storeName);
-                
-                // Add new data
-                if (Array.isArray(data)) {
-                    for (const item of data) {
-                        await store.add(item);
-                    }
-                }
+        const tasks = await this.getTasks();
+        const objects = await this.getObjects();
+        const taskMap = new Map(tasks.map(t => [t.id, t]));
+        const objectMap = new Map(objects.map(o => [o.id, o]));
+        const changedTasks = new Set();
+        const changedObjects = new Set();
+        let removed = 0;
+        let completed = 0;
 
-                return new Promise((resolve, reject) => {
-                    transaction.oncomplete = () => resolve();
-                    transaction.onerror = () => reject(transaction.error);
-                });
-            } catch (error) {
-                console.error(`Failed to save ${storeName} to IndexedDB:`, error);
+        issues.forEach(issue => {
+            const task = taskMap.get(issue.taskId);
+            const object = objectMap.get(issue.objectId);
+
+            if (issue.type === 'missing-object') {
+                task.objetos = task.objetos.filter(id => id !== issue.objectId);
+                changedTasks.add(task);
+                removed++;
+            } else if (issue.type === 'missing-task') {
+                object.tarefas = object.tarefas.filter(id => id !== issue.taskId);
+                changedObjects.add(object);
+                removed++;
+            } else if (issue.recordedOn === 'task') {
+                object.tarefas = [...(object.tarefas || []), issue.taskId];
+                changedObjects.add(object);
+                completed++;
+            } else {
+                task.objetos = [...(task.objetos || []), issue.objectId];
+                changedTasks.add(task);
+                completed++;
             }
-        }
+        });
+
+        await this.applyChanges({
+            tasks: { put: [...changedTasks] },
+            objects: { put: [...changedObjects] }
+        });
+
+        return { removed, completed };
     }
 
     /**
-     * Generic method to load data with fallback logic
+     * Simplification Item Catalog
+     * Items: { id, titulo, area, notasSap: [], substitutos: [] }
      */
-    async loadData(storeName) {
-        // Try IndexedDB first for complex data
-        if (this.db && ['tasks', 'objects', 'requests'].includes(storeName)) {
-            try {
-                const data = await this.getFromIndexedDB(storeName);
-                if (data && data.length > 0) {
-                    return data;
-                }
-            } catch (error) {
-                console.error(`Failed to load ${storeName} from IndexedDB:`, error);
-            }
-        }
+    async getSimplificationItems() {
+        const items = await this.loadData('simplificationItems');
+        return Array.isArray(items) ? items : [];
+    }
 
-        // Fallback to localStorage
-        try {
-            const data = localStorage.getItem(this.keys[storeName]);
-            return data ? JSON.parse(data) : this.getDefaultData(storeName);
-        } catch (error) {
-            console.error(`Failed to load ${storeName} from localStorage:`, error);
-            return this.getDefaultData(storeName);
-        }
+    async saveSimplificationItems(items) {
+        await this.applyChanges({ simplificationItems: { put: items } });
+        return items;
     }
 
     /**
-     * Get data from IndexedDB
+     * Delete a catalog item and unlink it from every object
      */
-    async getFromIndexedDB(storeName) {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([storeName], 'readonly');
-            const store = transaction.objectStore(storeName);
-            const request = store.getAll();
+    async deleteSimplificationItem(itemId) {
+        const objects = (await this.queryByIndex('objects', 'itensSimplificacao', itemId))
+            .map(object => ({ ...object, itensSimplificacao: object.itensSimplificacao.filter(id => id !== itemId) }));
 
-            request.onsuccess = () => resolve(request.result || []);
-            request.onerror = () => reject(request.error);
+        await this.applyChanges({
+            simplificationItems: { delete: [itemId] },
+            objects: { put: objects }
         });
     }
 
     /**
-     * Clear IndexedDB store
+     * Count the objects linked to each catalog item, most affected first
      */
-    async clearStore(storeName) {
-        if (!this.db) return;
-
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([storeName], 'readwrite');
-            const store = transaction.objectStore(storeName);
-            const request = store.clear();
+    async getSimplificationItemUsage() {
+        const items = await this.getSimplificationItems();
+        const objects = await this.getObjects();
+        const counts = new Map(items.map(item => [item.id, 0]));
 
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
+        objects.forEach(object => {
+            (object.itensSimplificacao || []).forEach(itemId => {
+                if (counts.has(itemId)) counts.set(itemId, counts.get(itemId) + 1);
+            });
         });
+
+        return items
+            .map(item => ({ item, count: counts.get(item.id) }))
+            .sort((a, b) => b.count - a.count || a.item.id.localeCompare(b.item.id));
     }
 
     /**
-     * Get default data structure for each store
+     * Requests Management
      */
-    getDefaultData(storeName) {
-        const defaults = {
-            profile: {
-                nome: '',
-                empresa: '',
-                inicioProject: '',
-                cliente: '',
-                avatar: '🚀'
-            },
-            settings: {
-                theme: 'light',
-                notifications: true,
-                autoSave: true,
-                language: 'pt-BR'
-            },
-            tasks: [],
-            objects: [],
-            requests: []
-        };
+    async getRequests() {
+        const requests = await this.loadData('requests');
+        return Array.isArray(requests) ? requests : [];
+    }
 
-        return defaults[storeName] || null;
+    async saveRequest(request) {
+        await this.applyChanges({ requests: { put: [request] } });
+        return request;
     }
 
-    // Specific data methods
-    
     /**
-     * Profile Management
+     * Save imported requests together with the objects created for them, as one change
      */
-    async getProfile() {
-        return await this.loadData('profile');
+    async saveImportedRequests(requests, objects = []) {
+        await this.applyChanges({ objects: { put: objects }, requests: { put: requests } });
+        return requests;
     }
 
-    async saveProfile(profile) {
-        await this.saveData('profile', profile);
-        this.dispatchEvent('profileUpdated', profile);
+    async deleteRequest(requestId) {
+        await this.applyChanges({ requests: { delete: [requestId] } });
     }
 
-    /**
-     * Settings Management
-     */
-    async getSettings() {
-        return await this.loadData('settings');
+    async getRequestById(requestId) {
+        return this.getRecord('requests', requestId);
     }
 
-    async saveSetting(key, value) {
-        const settings = await this.getSettings();
-        settings[key] = value;
-        await this.saveData('settings', settings);
-        this.dispatchEvent('settingsUpdated', settings);
+    async getRequestsByObject(objectId) {
+        const requests = await this.queryByIndex('requests', 'objetos', objectId);
+        return Array.isArray(requests) ? requests : [];
     }
 
     /**
-     * Tasks Management
+     * Import of a TR into one system: { status: pendente | importada | erro, data }
+     * Requests recorded before per-system imports fall back to their overall status
      */
-    async getTasks() {
-        const tasks = await this.loadData('tasks');
-        return Array.isArray(tasks) ? tasks : [];
+    getRequestImport(request, system) {
+        const recorded = (request.importacoes || {})[this.getSystemKey(system)];
+        if (recorded) return recorded;
+
+        const importedRoles = {
+            'importada-qas': ['qualidade'],
+            'importada-prd': ['qualidade', 'producao']
+        }[request.status] || [];
+
+        return { status: importedRoles.includes(system.papel) ? 'importada' : 'pendente', data: null };
     }
 
-    async saveTask(task) {
-        const tasks = await this.getTasks();
-        const existingIndex = tasks.findIndex(t => t.id === task.id);
-        
-        if (existingIndex >= 0) {
-            tasks[existingIndex] = task;
-        } else {
-            tasks.push(task);
-        }
-        
-        await this.saveData('tasks', tasks);
-        this.dispatchEvent('tasksUpdated', tasks);
-        return task;
+    /**
+     * Overall TR status implied by its imports; only ever moves a request forward
+     */
+    getImportedRequestStatus(request, landscape) {
+        const isImported = (role) => this.getTargetSystems(landscape)
+            .some(system => system.papel === role && (request.importacoes || {})[this.getSystemKey(system)]?.status === 'importada');
+
+        if (isImported('producao')) return 'importada-prd';
+        if (isImported('qualidade') && request.status !== 'importada-prd') return 'importada-qas';
+        return request.status;
     }
 
-    async deleteTask(taskId) {
-        const tasks = await this.getTasks();
-        const filteredTasks = tasks.filter(t => t.id !== taskId);
-        await this.saveData('tasks', filteredTasks);
-        this.dispatchEvent('tasksUpdated', filteredTasks);
+    /**
+     * Released TR not yet imported into a production system
+     */
+    isPendingForProduction(request, landscape) {
+        if (request.status === 'modificavel') return false;
+
+        const productionSystems = this.getTargetSystems(landscape).filter(system => system.papel === 'producao');
+        if (productionSystems.length === 0) return request.status !== 'importada-prd';
+
+        return !productionSystems.some(system => this.getRequestImport(request, system).status === 'importada');
     }
 
-    async getTaskById(taskId) {
-        const tasks = await this.getTasks();
-        return tasks.find(t => t.id === taskId);
+    /**
+     * Days a TR has been waiting in QAS beyond the landscape alert, or null when it is not stuck
+     */
+    getQasWaitingDays(request, landscape) {
+        if (!this.isPendingForProduction(request, landscape)) return null;
+
+        const importDates = this.getTargetSystems(landscape)
+            .filter(system => system.papel === 'qualidade')
+            .map(system => this.getRequestImport(request, system))
+            .filter(entry => entry.status === 'importada' && entry.data)
+            .map(entry => entry.data)
+            .sort();
+        if (importDates.length === 0) return null;
+
+        const days = Math.floor((new Date(this.toDateKey(new Date())) - new Date(importDates[0])) / 86400000);
+        return days > (landscape.diasAlertaQas || 0) ? days : null;
     }
 
     /**
-     * Objects Management
+     * Transport Sequencing
+     * Requests not yet imported into QAS are open: two open requests carrying the same object
+     * overwrite each other in QAS when imported out of order
      */
-    async getObjects() {
-        const objects = await this.loadData('objects');
-        return Array.isArray(objects) ? objects : [];
+    isOpenRequest(request) {
+        return ['modificavel', 'liberada'].includes(request.status);
     }
 
-    async saveObject(object) {
-        const objects = await this.getObjects();
-        const existingIndex = objects.findIndex(o => o.id === object.id);
-        
-        if (existingIndex >= 0) {
-            objects[existingIndex] = object;
-        } else {
-            objects.push(object);
+    /**
+     * Objects of a request that other open requests also carry: [{ objeto, requests }]
+     */
+    async getRequestOverlaps(request) {
+        const overlaps = [];
+
+        for (const objectId of request.objetos || []) {
+            const others = (await this.getRequestsByObject(objectId))
+                .filter(other => other.id !== request.id && this.isOpenRequest(other))
+                .map(other => other.id);
+            if (others.length > 0) {
+                overlaps.push({ objeto: objectId, requests: others });
+            }
         }
-        
-        await this.saveData('objects', objects);
-        this.dispatchEvent('objectsUpdated', objects);
-        return object;
-    }
 
-    async deleteObject(objectId) {
-        const objects = await this.getObjects();
-        const filteredObjects = objects.filter(o => o.id !== objectId);
-        await this.saveData('objects', filteredObjects);
-        this.dispatchEvent('objectsUpdated', filteredObjects);
+        return overlaps;
     }
 
-    async getObjectById(objectId) {
-        const objects = await this.getObjects();
-        return objects.find(o => o.id === objectId);
+    /**
+     * Objects a request depends on that travel in other requests not yet released:
+     * [{ objeto, dependencia, requests }]
+     */
+    async getUnreleasedDependencies(request) {
+        const pending = [];
+        const ownObjects = new Set(request.objetos || []);
+
+        for (const objectId of ownObjects) {
+            const object = await this.getObjectById(objectId);
+            for (const dependencyId of (object && object.dependencias) || []) {
+                if (ownObjects.has(dependencyId)) continue;
+
+                const carriers = (await this.getRequestsByObject(dependencyId))
+                    .filter(other => other.id !== request.id && other.status === 'modificavel')
+                    .map(other => other.id);
+                if (carriers.length > 0) {
+                    pending.push({ objeto: objectId, dependencia: dependencyId, requests: carriers });
+                }
+            }
+        }
+
+        return pending;
     }
 
     /**
-     * Requests Management
+     * Overlaps and dependencies among open requests, and an import order respecting both:
+     * requests sharing an object go in release order, and a request goes after the requests
+     * carrying the objects its objects depend on. Requests caught in a cycle are listed apart.
+     * Returns { conflicts: [{ objeto, requests }], dependencies: [{ antes, depois, objeto, dependencia }], order, cycle }
      */
-    async getRequests() {
-        const requests = await this.loadData('requests');
-        return Array.isArray(requests) ? requests : [];
-    }
+    async getTransportAnalysis() {
+        const [requests, objects] = await Promise.all([this.getRequests(), this.getObjects()]);
+        const open = requests.filter(request => this.isOpenRequest(request));
+        const byObject = new Map();
 
-    async saveRequest(request) {
-        const requests = await this.getRequests();
-        const existingIndex = requests.findIndex(r => r.id === request.id);
-        
-        if (existingIndex >= 0) {
-            requests[existingIndex] = request;
-        } else {
-            requests.push(request);
+        open.forEach(request => {
+            (request.objetos || []).forEach(objectId => {
+                if (!byObject.has(objectId)) byObject.set(objectId, []);
+                byObject.get(objectId).push(request);
+            });
+        });
+
+        // Released requests first, by release date, then unreleased ones by creation
+        const releaseKey = (request) => [request.status === 'liberada' ? 0 : 1, request.liberadaEm || '', request.criadoEm || '', request.id];
+        const compare = (a, b) => {
+            const keyA = releaseKey(a);
+            const keyB = releaseKey(b);
+            for (let i = 0; i < keyA.length; i++) {
+                if (keyA[i] !== keyB[i]) return keyA[i] < keyB[i] ? -1 : 1;
+            }
+            return 0;
+        };
+
+        const edges = new Map(open.map(request => [request.id, new Set()]));
+        const addEdge = (before, after) => {
+            if (before !== after) edges.get(before).add(after);
+        };
+
+        const conflicts = [];
+        byObject.forEach((carriers, objectId) => {
+            if (carriers.length < 2) return;
+            const sorted = [...carriers].sort(compare);
+            conflicts.push({ objeto: objectId, requests: sorted.map(request => request.id) });
+            sorted.slice(1).forEach((request, index) => addEdge(sorted[index].id, request.id));
+        });
+
+        const dependencies = [];
+        objects.forEach(object => {
+            (object.dependencias || []).forEach(dependencyId => {
+                (byObject.get(object.id) || []).forEach(dependent => {
+                    (byObject.get(dependencyId) || []).forEach(carrier => {
+                        if (carrier.id === dependent.id) return;
+                        addEdge(carrier.id, dependent.id);
+                        dependencies.push({ antes: carrier.id, depois: dependent.id, objeto: object.id, dependencia: dependencyId });
+                    });
+                });
+            });
+        });
+
+        // Topological sort, taking the earliest released request whenever there is a choice
+        const incoming = new Map(open.map(request => [request.id, 0]));
+        edges.forEach(targets => targets.forEach(id => incoming.set(id, incoming.get(id) + 1)));
+
+        const byId = new Map(open.map(request => [request.id, request]));
+        const ready = open.filter(request => incoming.get(request.id) === 0);
+        const order = [];
+
+        while (ready.length > 0) {
+            ready.sort(compare);
+            const next = ready.shift();
+            order.push(next.id);
+            edges.get(next.id).forEach(id => {
+                incoming.set(id, incoming.get(id) - 1);
+                if (incoming.get(id) === 0) ready.push(byId.get(id));
+            });
         }
-        
-        await this.saveData('requests', requests);
-        this.dispatchEvent('requestsUpdated', requests);
-        return request;
+
+        const cycle = open.filter(request => !order.includes(request.id)).sort(compare).map(request => request.id);
+
+        return { conflicts, dependencies, order, cycle };
     }
 
     /**
@@ -347,8 +1837,10 @@ class StorageManager {
             tasks: await this.getTasks(),
             objects: await this.getObjects(),
             requests: await this.getRequests(),
+            simplificationItems: await this.getSimplificationItems(),
+            history: await this.getHistory(),
             exportDate: new Date().toISOString(),
-            version: '1.0'
+            version: this.schemaVersion
         };
         
         return JSON.stringify(data, null, 2);
@@ -359,13 +1851,22 @@ class StorageManager {
      */
     async importData(jsonData) {
         try {
-            const data = typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData;
+            const parsed = typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData;
+            const backupVersion = this.parseSchemaVersion(parsed.version);
+
+            if (backupVersion > this.schemaVersion) {
+                return { success: false, message: `Backup criado por uma versão mais nova da aplicação (esquema v${backupVersion})` };
+            }
+
+            const data = this.migrateData(parsed, backupVersion);
             
             if (data.profile) await this.saveData('profile', data.profile);
             if (data.settings) await this.saveData('settings', data.settings);
             if (data.tasks) await this.saveData('tasks', data.tasks);
             if (data.objects) await this.saveData('objects', data.objects);
             if (data.requests) await this.saveData('requests', data.requests);
+            if (data.simplificationItems) await this.saveData('simplificationItems', data.simplificationItems);
+            if (Array.isArray(data.history)) await this.replaceHistory(data.history);
             
             // Dispatch events to update UI
             this.dispatchEvent('dataImported', data);
@@ -389,7 +1890,7 @@ class StorageManager {
 
             // Clear IndexedDB
             if (this.db) {
-                const stores = ['tasks', 'objects', 'requests'];
+                const stores = ['tasks', 'objects', 'requests', 'simplificationItems', 'history'];
                 for (const store of stores) {
                     await this.clearStore(store);
                 }
@@ -410,6 +1911,7 @@ class StorageManager {
         const tasks = await this.getTasks();
         const objects = await this.getObjects();
         const requests = await this.getRequests();
+        const landscape = await this.getLandscape();
 
         return {
             totalTasks: tasks.length,
@@ -419,6 +1921,7 @@ class StorageManager {
             totalObjects: objects.length,
             convertedObjects: objects.filter(o => o.status === 'convertido').length,
             totalRequests: requests.length,
+            pendingPrdRequests: requests.filter(r => this.isPendingForProduction(r, landscape)).length,
             progressPercentage: tasks.length > 0 
                 ? Math.round((tasks.filter(t => t.status === 'concluido').length / tasks.length) * 100)
                 : 0
@@ -426,15 +1929,150 @@ class StorageManager {
     }
 
     /**
-     * Search functionality
+     * Query Language
+     * Free words must all appear in the ID, title or text; `campo:valor` matches a field
+     * (* is a wildcard) and `campo<valor` / `campo>valor` compare numbers and dates.
+     * Dates take YYYY-MM-DD, `hoje` or an offset from today such as 7d. A leading - negates.
+     * Example: status:em-andamento prioridade:alta prazo<7d objeto:ZBL*
+     */
+    parseSearchQuery(query) {
+        const pattern = /(-?)([a-zà-ú]+)(:|<=|>=|<|>|=)("[^"]*"|\S+)|"([^"]*)"|(\S+)/gi;
+        const terms = [];
+        const conditions = [];
+        let match;
+
+        while ((match = pattern.exec(query || '')) !== null) {
+            if (match[2]) {
+                conditions.push({
+                    field: match[2].toLowerCase(),
+                    operator: match[3] === '=' ? ':' : match[3],
+                    value: match[4].replace(/^"|"$/g, ''),
+                    negate: match[1] === '-',
+                    text: match[0]
+                });
+            } else {
+                terms.push((match[5] !== undefined ? match[5] : match[6]).toLowerCase());
+            }
+        }
+
+        return { terms, conditions };
+    }
+
+    /**
+     * Fields the query language understands per store; type defaults to text
+     */
+    getQueryFields(storeName) {
+        const fields = {
+            tasks: {
+                id: { get: task => task.id },
+                titulo: { get: task => task.titulo },
+                status: { get: task => task.status },
+                prioridade: { get: task => task.prioridade },
+                categoria: { get: task => task.categoria },
+                inicio: { type: 'date', get: task => task.inicio },
+                prazo: { type: 'date', get: task => task.prazo },
+                progresso: { type: 'number', get: task => task.progresso || 0 },
+                estimativa: { type: 'number', get: task => task.estimativa || 0 },
+                horas: { type: 'number', get: task => task.horasGastas || 0 },
+                objeto: { get: task => task.objetos || [] },
+                bloqueada: { get: task => task.bloqueadaPor || [] }
+            },
+            objects: {
+                id: { get: object => object.id },
+                objeto: { get: object => object.id },
+                tipo: { get: object => object.tipo },
+                status: { get: object => object.status },
+                complexidade: { get: object => object.complexidade },
+                impacto: { get: object => object.impacto },
+                pacote: { get: object => object.pacote },
+                autor: { get: object => object.autor },
+                esforco: { type: 'number', get: object => object.esforco_estimado || 0 },
+                tarefa: { get: object => object.tarefas || [] },
+                item: { get: object => object.itensSimplificacao || [] },
+                area: { get: (object, context) => (object.itensSimplificacao || []).map(id => context.itemAreas.get(id)) }
+            }
+        };
+
+        return fields[storeName] || {};
+    }
+
+    /**
+     * Check a record against a parsed query
+     * Conditions on unknown fields are matched as free text
+     */
+    matchesSearchQuery(record, parsedQuery, storeName, textFields, context = {}) {
+        const fields = this.getQueryFields(storeName);
+        const terms = [...parsedQuery.terms];
+        const conditions = parsedQuery.conditions.filter(condition => {
+            if (fields[condition.field]) return true;
+            terms.push(condition.text.toLowerCase());
+            return false;
+        });
+
+        const text = textFields.map(field => record[field] || '').join(' ').toLowerCase();
+        if (!terms.every(term => text.includes(term))) return false;
+
+        return conditions.every(condition => {
+            const definition = fields[condition.field];
+            const values = [].concat(definition.get(record, context))
+                .filter(value => value !== undefined && value !== null && value !== '');
+            let matches;
+
+            if (condition.operator === ':') {
+                const regex = this.wildcardToRegex(condition.value);
+                matches = values.some(value => regex.test(String(value)));
+            } else {
+                const target = definition.type === 'date'
+                    ? this.resolveQueryDate(condition.value)
+                    : parseFloat(condition.value);
+                matches = target !== null && !Number.isNaN(target) && values.some(value => {
+                    const current = definition.type === 'date' ? String(value).slice(0, 10) : Number(value);
+                    switch (condition.operator) {
+                        case '<': return current < target;
+                        case '<=': return current <= target;
+                        case '>': return current > target;
+                        default: return current >= target;
+                    }
+                });
+            }
+
+            return condition.negate ? !matches : matches;
+        });
+    }
+
+    /**
+     * Case-insensitive regex for a value where * matches anything
      */
+    wildcardToRegex(value) {
+        const escaped = value.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+        return new RegExp(`^${escaped}$`, 'i');
+    }
+
+    /**
+     * Resolve a query date (YYYY-MM-DD, hoje or an offset like 7d / -3d) to a date key
+     */
+    resolveQueryDate(value) {
+        const text = value.toLowerCase();
+        if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+
+        const offset = text === 'hoje' ? 0 : (/^(-?\d+)d$/.exec(text) || [])[1];
+        if (offset === undefined) return null;
+
+        const date = new Date();
+        date.setDate(date.getDate() + parseInt(offset, 10));
+        return this.toDateKey(date);
+    }
+
     async searchTasks(query, filters = {}) {
-        const tasks = await this.getTasks();
+        const tasks = await this.queryByFilters('tasks', {
+            status: filters.status,
+            priority: filters.priority,
+            category: filters.category
+        });
+        const parsedQuery = this.parseSearchQuery(query);
+
         return tasks.filter(task => {
-            const matchesQuery = !query || 
-                task.titulo.toLowerCase().includes(query.toLowerCase()) ||
-                task.id.toLowerCase().includes(query.toLowerCase()) ||
-                (task.descricao && task.descricao.toLowerCase().includes(query.toLowerCase()));
+            const matchesQuery = this.matchesSearchQuery(task, parsedQuery, 'tasks', ['id', 'titulo', 'descricao']);
 
             const matchesStatus = !filters.status || task.status === filters.status;
             const matchesPriority = !filters.priority || task.prioridade === filters.priority;
@@ -445,17 +2083,48 @@ class StorageManager {
     }
 
     async searchObjects(query, filters = {}) {
-        const objects = await this.getObjects();
+        const objects = await this.queryByFilters('objects', {
+            itensSimplificacao: filters.simplificationItem,
+            status: filters.status,
+            type: filters.type
+        });
+        const parsedQuery = this.parseSearchQuery(query);
+
+        // The catalog is only read when the query filters by area
+        const context = { itemAreas: new Map() };
+        if (parsedQuery.conditions.some(condition => condition.field === 'area')) {
+            (await this.getSimplificationItems()).forEach(item => context.itemAreas.set(item.id, item.area));
+        }
+
         return objects.filter(object => {
-            const matchesQuery = !query || 
-                object.nome.toLowerCase().includes(query.toLowerCase()) ||
-                object.id.toLowerCase().includes(query.toLowerCase()) ||
-                (object.notas && object.notas.toLowerCase().includes(query.toLowerCase()));
+            const matchesQuery = this.matchesSearchQuery(object, parsedQuery, 'objects', ['id', 'nome', 'notas'], context);
 
             const matchesType = !filters.type || object.tipo === filters.type;
             const matchesStatus = !filters.status || object.status === filters.status;
+            const matchesItem = !filters.simplificationItem || (object.itensSimplificacao || []).includes(filters.simplificationItem);
 
-            return matchesQuery && matchesType && matchesStatus;
+            return matchesQuery && matchesType && matchesStatus && matchesItem;
+        });
+    }
+
+    async searchRequests(query, filters = {}) {
+        const requests = await this.queryByFilters('requests', {
+            status: filters.status,
+            type: filters.type
+        });
+        return requests.filter(request => {
+            const matchesQuery = !query ||
+                request.id.toLowerCase().includes(query.toLowerCase()) ||
+                (request.descricao && request.descricao.toLowerCase().includes(query.toLowerCase())) ||
+                (request.responsavel && request.responsavel.toLowerCase().includes(query.toLowerCase())) ||
+                (request.objetos || []).some(id => id.toLowerCase().includes(query.toLowerCase())) ||
+                (request.tarefas || []).some(id => id.toLowerCase().includes(query.toLowerCase()));
+
+            const matchesStatus = !filters.status || request.status === filters.status;
+            const matchesType = !filters.type || request.tipo === filters.type;
+            const matchesSystem = !filters.system || request.sistemaDestino === filters.system;
+
+            return matchesQuery && matchesStatus && matchesType && matchesSystem;
         });
     }
 
@@ -498,18 +2167,21 @@ class StorageManager {
      */
     async getAnalyticsData(days = 30) {
         const tasks = await this.getTasks();
+        const objects = await this.getObjects();
         const startDate = new Date();
         startDate.setDate(startDate.getDate() - days);
 
-        // This is a simplified version - in a real app you'd track more detailed metrics
-        const tasksCreated = tasks.filter(t => new Date(t.prazo) >= startDate);
+        const tasksCreated = tasks.filter(t => t.criadoEm && new Date(t.criadoEm) >= startDate);
         const tasksCompleted = tasks.filter(t => t.status === 'concluido');
+        const daily = await this.getDailyWorklog(days);
 
         return {
             productivity: {
                 tasksCreated: tasksCreated.length,
                 tasksCompleted: tasksCompleted.length,
-                totalHours: tasks.reduce((sum, t) => sum + (t.horasGastas || 0), 0)
+                totalHours: tasks.reduce((sum, t) => sum + (t.horasGastas || 0), 0),
+                periodHours: Math.round(daily.reduce((sum, d) => sum + d.hours, 0) * 100) / 100,
+                daily
             },
             statusDistribution: {
                 planejado: tasks.filter(t => t.status === 'planejado').length,
@@ -522,6 +2194,13 @@ class StorageManager {
                 media: tasks.filter(t => t.prioridade === 'media').length,
                 alta: tasks.filter(t => t.prioridade === 'alta').length,
                 critica: tasks.filter(t => t.prioridade === 'critica').length
+            },
+            objectStatusDistribution: {
+                'nao-analisado': objects.filter(o => o.status === 'nao-analisado').length,
+                'em-analise': objects.filter(o => o.status === 'em-analise').length,
+                'requer-conversao': objects.filter(o => o.status === 'requer-conversao').length,
+                'em-conversao': objects.filter(o => o.status === 'em-conversao').length,
+                convertido: objects.filter(o => o.status === 'convertido').length
             }
         };
     }
@@ -9,7 +9,13 @@ class TasksController {
         this.currentTasks = [];
         this.filteredTasks = [];
         this.currentEditingTask = null;
-        this.viewMode = 'cards'; // cards or list
+        this.worklogTaskId = null;
+        this.timerInterval = null;
+        this.viewMode = 'cards'; // cards, list, board or timeline
+        this.wipLimits = {};
+        this.draggedTaskId = null;
+        this.listSort = { column: 'prazo', direction: 'asc' };
+        this.selectedTaskIds = new Set();
         
         this.statusColors = {
             'planejado': 'gradient-purple',
@@ -25,7 +31,53 @@ class TasksController {
             'critica': 'priority-critica'
         };
 
+        const rankOf = (order) => (value) => {
+            const index = order.indexOf(value);
+            return index < 0 ? order.length : index;
+        };
+
+        // Columns of the list view; sortValue orders the rows when the header is clicked
+        this.listColumnDefinitions = {
+            'id': { label: 'ID', sortValue: task => task.id },
+            'titulo': { label: 'Título', sortValue: task => task.titulo || '' },
+            'status': { label: 'Status', sortValue: task => rankOf(Object.keys(this.statusColors))(task.status) },
+            'prioridade': { label: 'Prioridade', sortValue: task => rankOf(Object.keys(this.priorityColors))(task.prioridade) },
+            'categoria': { label: 'Categoria', sortValue: task => this.getCategoryLabel(task.categoria) || '' },
+            'prazo': { label: 'Prazo', sortValue: task => task.prazo || '9999-12-31' },
+            'progresso': { label: 'Progresso', sortValue: task => task.progresso || 0 },
+            'horas': { label: 'Gastas / Estimativa', sortValue: task => task.horasGastas || 0 },
+            'objetos': { label: 'Objetos', sortValue: task => (task.objetos || []).length }
+        };
+        this.listColumns = Object.keys(this.listColumnDefinitions);
+
         this.bindEvents();
+        this.initializeAutocomplete();
+        this.updateTimerTicker();
+    }
+
+    /**
+     * Attach object ID suggestions to the task form
+     */
+    initializeAutocomplete() {
+        const objectsInput = document.getElementById('taskObjects');
+        const blockedByInput = document.getElementById('taskBlockedBy');
+
+        if (objectsInput) {
+            new IdAutocomplete(objectsInput, async () => {
+                const objects = await this.storage.getObjects();
+                return objects.map(object => ({ id: object.id, label: object.tipo }));
+            });
+        }
+
+        if (blockedByInput) {
+            new IdAutocomplete(blockedByInput, async () => {
+                const editingId = document.getElementById('taskId').value;
+                const tasks = await this.storage.getTasks();
+                return tasks
+                    .filter(task => task.id !== editingId)
+                    .map(task => ({ id: task.id, label: task.titulo }));
+            });
+        }
     }
 
     /**
@@ -65,8 +117,27 @@ class TasksController {
             this.loadTasks();
         });
 
+        document.addEventListener('timerUpdated', () => {
+            this.updateTimerTicker();
+            this.renderTasks();
+        });
+
+        document.addEventListener('settingsUpdated', (e) => {
+            this.wipLimits = (e.detail && e.detail.limitesWip) || {};
+            this.listColumns = (e.detail && e.detail.colunasListaTarefas) || this.listColumns;
+            if (this.viewMode === 'board') this.renderTasks();
+        });
+
+        // Board drag and drop
+        document.addEventListener('dragstart', this.handleBoardDragStart.bind(this));
+        document.addEventListener('dragover', this.handleBoardDragOver.bind(this));
+        document.addEventListener('dragleave', this.handleBoardDragLeave.bind(this));
+        document.addEventListener('drop', this.handleBoardDrop.bind(this));
+        document.addEventListener('dragend', this.handleBoardDragEnd.bind(this));
+
         // View mode toggle
         document.addEventListener('change', this.handleViewModeChange.bind(this));
+        document.addEventListener('change', this.handleListChange.bind(this));
 		
 		const saveProfileBtn = document.getElementById('saveProfileBtn');
 		const exportDataBtn = document.getElementById('exportDataBtn');  
@@ -108,6 +179,23 @@ class TasksController {
 				this.saveTask();
 			});
 		}
+
+        const worklogSaveBtn = document.getElementById('worklogSaveBtn');
+        const worklogCancelBtn = document.getElementById('worklogCancelBtn');
+
+        if (worklogSaveBtn) {
+            worklogSaveBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.saveWorklogEntry();
+            });
+        }
+
+        if (worklogCancelBtn) {
+            worklogCancelBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.closeWorklogModal();
+            });
+        }
     }
 
     /**
@@ -117,6 +205,7 @@ class TasksController {
         const taskSearch = document.getElementById('taskSearch');
         const statusFilter = document.getElementById('statusFilter');
         const priorityFilter = document.getElementById('priorityFilter');
+        const categoryFilter = document.getElementById('categoryFilter');
 
         if (taskSearch) {
             taskSearch.addEventListener('input', this.debounce(() => {
@@ -135,6 +224,12 @@ class TasksController {
                 this.applyFilters();
             });
         }
+
+        if (categoryFilter) {
+            categoryFilter.addEventListener('change', () => {
+                this.applyFilters();
+            });
+        }
     }
 
     /**
@@ -161,6 +256,19 @@ class TasksController {
                 e.preventDefault();
                 if (taskId) this.confirmDeleteTask(taskId);
                 break;
+            case 'sort-task-list':
+                e.preventDefault();
+                this.setListSort(target.dataset.sortColumn);
+                break;
+            case 'bulk-delete-tasks':
+                e.preventDefault();
+                this.confirmBulkDeleteTasks();
+                break;
+            case 'clear-task-selection':
+                e.preventDefault();
+                this.selectedTaskIds.clear();
+                this.renderTasks();
+                break;
             case 'close-modal':
                 e.preventDefault();
                 this.closeModal();
@@ -169,6 +277,18 @@ class TasksController {
                 e.preventDefault();
                 this.closeModal();
                 break;
+            case 'log-time':
+                e.preventDefault();
+                if (taskId) this.showWorklogModal(taskId);
+                break;
+            case 'toggle-timer':
+                e.preventDefault();
+                if (taskId) this.toggleTimer(taskId);
+                break;
+            case 'delete-worklog':
+                e.preventDefault();
+                this.deleteWorklogEntry(target.dataset.entryId);
+                break;
         }
     }
 
@@ -179,6 +299,9 @@ class TasksController {
         if (e.target.id === 'taskForm') {
             e.preventDefault();
             this.saveTask();
+        } else if (e.target.id === 'worklogForm') {
+            e.preventDefault();
+            this.saveWorklogEntry();
         }
     }
 
@@ -198,7 +321,10 @@ class TasksController {
      */
     async initialize() {
         try {
+            this.wipLimits = await this.storage.getWipLimits();
+            this.listColumns = (await this.storage.getTaskListColumns()) || this.listColumns;
             await this.loadTasks();
+            await window.savedFiltersController.render('tasks');
             this.setupViewModeToggle();
         } catch (error) {
             console.error('Tasks initialization failed:', error);
@@ -230,10 +356,12 @@ class TasksController {
             const searchQuery = document.getElementById('taskSearch')?.value || '';
             const statusFilter = document.getElementById('statusFilter')?.value || '';
             const priorityFilter = document.getElementById('priorityFilter')?.value || '';
+            const categoryFilter = document.getElementById('categoryFilter')?.value || '';
 
             const filters = {
                 status: statusFilter,
-                priority: priorityFilter
+                priority: priorityFilter,
+                category: categoryFilter
             };
 
             this.filteredTasks = await this.storage.searchTasks(searchQuery, filters);
@@ -252,27 +380,199 @@ class TasksController {
         const container = document.getElementById('tasksContainer');
         if (!container) return;
 
+        container.classList.toggle('board-mode', this.viewMode === 'board');
+        container.classList.toggle('timeline-mode', this.viewMode === 'timeline');
+        container.classList.toggle('list-mode', this.viewMode === 'list');
+
         if (this.filteredTasks.length === 0) {
             this.renderEmptyState(container);
             return;
         }
 
-        const tasksHTML = this.viewMode === 'cards' 
-            ? this.renderTaskCards() 
-            : this.renderTaskList();
+        if (this.viewMode === 'timeline') {
+            window.timelineController.render(container, this.filteredTasks);
+            return;
+        }
+
+        let tasksHTML;
+        if (this.viewMode === 'board') {
+            tasksHTML = this.renderTaskBoard();
+        } else {
+            // Keep the column chooser open while its checkboxes re-render the list
+            const chooserOpen = Boolean(container.querySelector('.list-column-chooser[open]'));
+            tasksHTML = this.viewMode === 'cards' 
+                ? this.renderTaskCards() 
+                : this.renderTaskList(chooserOpen);
+        }
             
         container.innerHTML = tasksHTML;
     }
 
+    /**
+     * Render tasks as a board with one column per status
+     * Column counts and estimates cover every task in the status, not only the filtered ones
+     */
+    renderTaskBoard() {
+        return `
+            <div class="task-board">
+                ${Object.keys(this.statusColors).map(status => {
+                    const columnTasks = this.currentTasks.filter(task => task.status === status);
+                    const visibleTasks = this.sortByBoardRank(this.filteredTasks.filter(task => task.status === status));
+                    const estimate = columnTasks.reduce((sum, task) => sum + (task.estimativa || 0), 0);
+                    const limit = this.wipLimits[status];
+                    const overLimit = limit > 0 && columnTasks.length > limit;
+
+                    return `
+                        <div class="board-column ${overLimit ? 'over-limit' : ''}">
+                            <div class="board-column-header ${this.statusColors[status]}">
+                                <span>${this.getStatusLabel(status)}</span>
+                                <span class="board-column-count" title="${limit > 0 ? 'Tarefas / limite WIP' : 'Tarefas'}">
+                                    ${columnTasks.length}${limit > 0 ? ` / ${limit}` : ''}
+                                </span>
+                            </div>
+                            <div class="board-column-estimate">${Math.round(estimate * 10) / 10}h estimadas</div>
+                            <div class="board-column-body" data-board-status="${status}">
+                                ${visibleTasks.length > 0
+                                    ? visibleTasks.map(task => this.renderBoardCard(task)).join('')
+                                    : '<div class="board-empty">Arraste tarefas para cá</div>'}
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render a compact, draggable task card for the board
+     */
+    renderBoardCard(task) {
+        const daysUntilDeadline = this.calculateDaysUntilDeadline(task.prazo);
+        const isOverdue = daysUntilDeadline < 0 && task.status !== 'concluido';
+
+        return `
+            <div class="board-card" draggable="true" data-task-id="${task.id}">
+                <div class="board-card-header">
+                    <span class="task-id">${task.id}</span>
+                    <span class="task-badge ${this.priorityColors[task.prioridade]}">${this.getPriorityLabel(task.prioridade)}</span>
+                </div>
+                <div class="board-card-title">${this.escapeHtml(task.titulo)}</div>
+                <div class="board-card-meta">
+                    <span>${task.horasGastas || 0}h / ${task.estimativa || 0}h</span>
+                    <span class="${isOverdue ? 'overdue' : ''}">${this.formatDeadlineSimple(task.prazo)}</span>
+                </div>
+                <button class="board-card-edit" data-action="edit-task" data-task-id="${task.id}">Editar</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Order tasks by their manual board rank; unranked tasks keep their order at the end
+     */
+    sortByBoardRank(tasks) {
+        const rank = (task) => typeof task.ordem === 'number' ? task.ordem : Number.MAX_SAFE_INTEGER;
+        return [...tasks].sort((a, b) => rank(a) - rank(b));
+    }
+
+    handleBoardDragStart(e) {
+        const card = e.target.closest && e.target.closest('.board-card');
+        if (!card) return;
+
+        this.draggedTaskId = card.dataset.taskId;
+        card.classList.add('dragging');
+        if (e.dataTransfer) {
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', card.dataset.taskId);
+        }
+    }
+
+    handleBoardDragOver(e) {
+        const column = e.target.closest && e.target.closest('.board-column-body');
+        if (!column || !this.draggedTaskId) return;
+
+        e.preventDefault();
+        column.classList.add('drag-over');
+    }
+
+    handleBoardDragLeave(e) {
+        const column = e.target.closest && e.target.closest('.board-column-body');
+        if (column && !column.contains(e.relatedTarget)) {
+            column.classList.remove('drag-over');
+        }
+    }
+
+    handleBoardDrop(e) {
+        const column = e.target.closest && e.target.closest('.board-column-body');
+        if (!column || !this.draggedTaskId) return;
+
+        e.preventDefault();
+        column.classList.remove('drag-over');
+
+        // Drop before the first card whose middle is below the pointer
+        const before = Array.from(column.querySelectorAll('.board-card:not(.dragging)')).find(card => {
+            const box = card.getBoundingClientRect();
+            return e.clientY < box.top + box.height / 2;
+        });
+
+        this.moveTaskOnBoard(this.draggedTaskId, column.dataset.boardStatus, before ? before.dataset.taskId : null);
+        this.draggedTaskId = null;
+    }
+
+    handleBoardDragEnd() {
+        this.draggedTaskId = null;
+        document.querySelectorAll('.board-card.dragging, .board-column-body.drag-over').forEach(element => {
+            element.classList.remove('dragging', 'drag-over');
+        });
+    }
+
+    /**
+     * Move a task to a status column, before another task or at the end
+     * The column is renumbered so the manual rank survives reloads
+     */
+    async moveTaskOnBoard(taskId, status, beforeTaskId = null) {
+        const task = this.currentTasks.find(t => t.id === taskId);
+        if (!task || !this.statusColors[status]) return;
+
+        const column = this.sortByBoardRank(this.currentTasks.filter(t => t.status === status && t.id !== taskId));
+        let index = beforeTaskId ? column.findIndex(t => t.id === beforeTaskId) : -1;
+        if (index < 0) index = column.length;
+        column.splice(index, 0, task);
+
+        const statusChanged = task.status !== status;
+        const reranked = column
+            .map((t, position) => ({ ...t, ordem: position + 1 }))
+            .filter((t, position) => t.id !== taskId && column[position].ordem !== t.ordem);
+        const moved = { ...task, status, ordem: index + 1 };
+
+        if (!statusChanged && task.ordem === moved.ordem && reranked.length === 0) return;
+        if (statusChanged) moved.atualizadoEm = new Date().toISOString();
+
+        try {
+            // The moved card and its new column ranks commit together
+            await window.app.runUndoable(`Movimentação da tarefa ${taskId}`, () => this.storage.saveTasks([moved, ...reranked]));
+
+            const limit = this.wipLimits[status];
+            if (statusChanged && limit > 0 && column.length > limit) {
+                window.app.showToast(`Limite WIP de ${this.getStatusLabel(status)} excedido (${column.length}/${limit})`, 'warning');
+            }
+        } catch (error) {
+            console.error('Failed to move task:', error);
+            this.showError('Erro ao mover tarefa');
+        }
+    }
+
     /**
      * Render tasks as cards
      */
     renderTaskCards() {
+        const activeTimer = this.storage.getActiveTimer();
+
         return this.filteredTasks.map(task => {
             const daysUntilDeadline = this.calculateDaysUntilDeadline(task.prazo);
             const isOverdue = daysUntilDeadline < 0 && task.status !== 'concluido';
             const isUrgent = daysUntilDeadline <= 3 && daysUntilDeadline >= 0 && task.status !== 'concluido';
             const colorClass = this.statusColors[task.status] || 'gradient-purple';
+            const isTiming = activeTimer && activeTimer.taskId === task.id;
 
             return `
                 <div class="task-card" data-task-id="${task.id}">
@@ -307,6 +607,9 @@ class TasksController {
                                     <polyline points="12,6 12,12 16,14"/>
                                 </svg>
                                 ${task.horasGastas || 0}h / ${task.estimativa || 0}h
+                                ${isTiming ? `
+                                    <span class="task-timer-elapsed" data-timer-started="${activeTimer.startedAt}">${this.formatElapsed(activeTimer.startedAt)}</span>
+                                ` : ''}
                             </div>
                             <div class="task-deadline ${isOverdue ? 'overdue' : isUrgent ? 'urgent' : ''}">
                                 ${this.formatDeadline(task.prazo, task.status)}
@@ -332,6 +635,23 @@ class TasksController {
                                 Editar
                             </button>
                             <div class="task-action-buttons">
+                                <button data-action="toggle-timer" data-task-id="${task.id}" class="${isTiming ? 'timer-running' : ''}" title="${isTiming ? 'Parar cronômetro' : 'Iniciar cronômetro'}">
+                                    ${isTiming ? `
+                                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                            <rect x="6" y="6" width="12" height="12" rx="1"/>
+                                        </svg>
+                                    ` : `
+                                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                            <polygon points="6,4 20,12 6,20"/>
+                                        </svg>
+                                    `}
+                                </button>
+                                <button data-action="log-time" data-task-id="${task.id}" title="Registrar horas">
+                                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                        <circle cx="12" cy="12" r="10"/>
+                                        <polyline points="12,6 12,12 16,14"/>
+                                    </svg>
+                                </button>
                                 <button data-action="delete-task" data-task-id="${task.id}" title="Excluir">
                                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                         <polyline points="3,6 5,6 21,6"/>
@@ -349,45 +669,294 @@ class TasksController {
     }
 
     /**
-     * Render tasks as list (placeholder for future implementation)
+     * Render tasks as a sortable table with the chosen columns, row selection and inline edits
      */
-    renderTaskList() {
+    renderTaskList(chooserOpen = false) {
+        const columns = this.listColumns.filter(key => this.listColumnDefinitions[key]);
+        const tasks = this.sortTaskList(this.filteredTasks);
+        const visibleIds = new Set(tasks.map(task => task.id));
+
+        // Selections hidden by a filter are dropped so bulk changes only touch visible rows
+        this.selectedTaskIds = new Set([...this.selectedTaskIds].filter(id => visibleIds.has(id)));
+        const allSelected = tasks.length > 0 && tasks.every(task => this.selectedTaskIds.has(task.id));
+
         return `
-            <div class="task-list-view">
-                <div class="list-header">
-                    <div>Tarefa</div>
-                    <div>Status</div>
-                    <div>Progresso</div>
-                    <div>Prazo</div>
-                    <div>Ações</div>
-                </div>
-                ${this.filteredTasks.map(task => `
-                    <div class="list-row" data-task-id="${task.id}">
-                        <div class="task-info">
-                            <div class="task-title">${this.escapeHtml(task.titulo)}</div>
-                            <div class="task-id">${task.id}</div>
-                        </div>
-                        <div class="task-status">
-                            <span class="task-badge status-${task.status}">${this.getStatusLabel(task.status)}</span>
+            <div class="task-table-view">
+                <div class="task-table-toolbar">
+                    ${this.selectedTaskIds.size > 0 ? this.renderBulkActions() : `<span class="task-table-count">${tasks.length} ${tasks.length === 1 ? 'tarefa' : 'tarefas'}</span>`}
+                    <details class="list-column-chooser" ${chooserOpen ? 'open' : ''}>
+                        <summary>Colunas</summary>
+                        <div class="list-column-options">
+                            ${Object.entries(this.listColumnDefinitions).map(([key, column]) => `
+                                <label>
+                                    <input type="checkbox" data-list-column="${key}" ${columns.includes(key) ? 'checked' : ''}>
+                                    ${column.label}
+                                </label>
+                            `).join('')}
                         </div>
-                        <div class="task-progress-simple">${task.progresso || 0}%</div>
-                        <div class="task-deadline-simple">${this.formatDeadlineSimple(task.prazo)}</div>
-                        <div class="task-actions-simple">
-                            <button data-action="edit-task" data-task-id="${task.id}">Editar</button>
-                        </div>
-                    </div>
-                `).join('')}
+                    </details>
+                </div>
+                <div class="task-table-wrapper">
+                    <table class="task-table">
+                        <thead>
+                            <tr>
+                                <th class="task-table-select">
+                                    <input type="checkbox" data-select-all-tasks ${allSelected ? 'checked' : ''} title="Selecionar todas">
+                                </th>
+                                ${columns.map(key => `
+                                    <th class="sortable ${this.listSort.column === key ? `sorted-${this.listSort.direction}` : ''}" data-action="sort-task-list" data-sort-column="${key}">
+                                        ${this.listColumnDefinitions[key].label}
+                                    </th>
+                                `).join('')}
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${tasks.map(task => `
+                                <tr class="${this.selectedTaskIds.has(task.id) ? 'selected' : ''}" data-task-id="${task.id}">
+                                    <td class="task-table-select">
+                                        <input type="checkbox" data-select-task="${task.id}" ${this.selectedTaskIds.has(task.id) ? 'checked' : ''}>
+                                    </td>
+                                    ${columns.map(key => `<td class="task-table-${key}">${this.renderListCell(task, key)}</td>`).join('')}
+                                    <td class="task-table-actions">
+                                        <button data-action="edit-task" data-task-id="${task.id}">Editar</button>
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
             </div>
         `;
     }
 
+    /**
+     * Render the toolbar shown while rows are selected
+     */
+    renderBulkActions() {
+        const options = (labels) => Object.entries(labels).map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+
+        return `
+            <div class="task-bulk-actions">
+                <strong>${this.selectedTaskIds.size} ${this.selectedTaskIds.size === 1 ? 'selecionada' : 'selecionadas'}</strong>
+                <select data-bulk-field="status">
+                    <option value="">Alterar status…</option>
+                    ${options(this.getStatusLabels())}
+                </select>
+                <select data-bulk-field="prioridade">
+                    <option value="">Alterar prioridade…</option>
+                    ${options(this.getPriorityLabels())}
+                </select>
+                <select data-bulk-field="categoria">
+                    <option value="">Alterar categoria…</option>
+                    ${options(this.getCategoryLabels())}
+                </select>
+                <button class="danger-button" data-action="bulk-delete-tasks">Excluir</button>
+                <button class="secondary-button" data-action="clear-task-selection">Limpar seleção</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Render one cell of the task table; status and progress are edited in place
+     */
+    renderListCell(task, key) {
+        switch (key) {
+            case 'id':
+                return `<span class="task-id">${task.id}</span>`;
+            case 'titulo':
+                return this.escapeHtml(task.titulo);
+            case 'status':
+                return `
+                    <select class="inline-edit status-${task.status}" data-inline-field="status" data-task-id="${task.id}">
+                        ${Object.entries(this.getStatusLabels()).map(([value, label]) => `
+                            <option value="${value}" ${task.status === value ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                `;
+            case 'prioridade':
+                return `<span class="task-badge ${this.priorityColors[task.prioridade] || ''}">${this.getPriorityLabel(task.prioridade)}</span>`;
+            case 'categoria':
+                return this.getCategoryLabel(task.categoria);
+            case 'prazo': {
+                const isOverdue = this.calculateDaysUntilDeadline(task.prazo) < 0 && task.status !== 'concluido';
+                return `<span class="${isOverdue ? 'overdue' : ''}">${task.prazo ? this.formatDeadlineSimple(task.prazo) : '—'}</span>`;
+            }
+            case 'progresso':
+                return `<input type="number" class="inline-edit" min="0" max="100" step="5" value="${task.progresso || 0}" data-inline-field="progresso" data-task-id="${task.id}">`;
+            case 'horas': {
+                const overEstimate = (task.horasGastas || 0) > (task.estimativa || 0) && task.estimativa > 0;
+                return `<span class="${overEstimate ? 'overdue' : ''}">${task.horasGastas || 0}h / ${task.estimativa || 0}h</span>`;
+            }
+            case 'objetos':
+                return String((task.objetos || []).length);
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Sort tasks by the chosen list column; ties keep the ID order
+     */
+    sortTaskList(tasks) {
+        const definition = this.listColumnDefinitions[this.listSort.column];
+        if (!definition) return tasks;
+
+        const direction = this.listSort.direction === 'desc' ? -1 : 1;
+        return [...tasks].sort((a, b) => {
+            const valueA = definition.sortValue(a);
+            const valueB = definition.sortValue(b);
+            const result = typeof valueA === 'number' && typeof valueB === 'number'
+                ? valueA - valueB
+                : String(valueA).localeCompare(String(valueB), 'pt-BR');
+            return result * direction || a.id.localeCompare(b.id);
+        });
+    }
+
+    /**
+     * Sort the list by a column, flipping the direction when it is already sorted by it
+     */
+    setListSort(column) {
+        if (this.listSort.column === column) {
+            this.listSort.direction = this.listSort.direction === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.listSort = { column, direction: 'asc' };
+        }
+        this.renderTasks();
+    }
+
+    /**
+     * Handle selection, column chooser, bulk and inline edit changes of the list view
+     */
+    handleListChange(e) {
+        const target = e.target;
+
+        if (target.dataset.selectTask) {
+            if (target.checked) {
+                this.selectedTaskIds.add(target.dataset.selectTask);
+            } else {
+                this.selectedTaskIds.delete(target.dataset.selectTask);
+            }
+            this.renderTasks();
+        } else if (target.hasAttribute('data-select-all-tasks')) {
+            this.selectedTaskIds = target.checked ? new Set(this.filteredTasks.map(task => task.id)) : new Set();
+            this.renderTasks();
+        } else if (target.dataset.listColumn) {
+            this.toggleListColumn(target.dataset.listColumn, target.checked);
+        } else if (target.dataset.bulkField && target.value) {
+            this.bulkUpdateTasks(target.dataset.bulkField, target.value);
+        } else if (target.dataset.inlineField) {
+            this.updateTaskField(target.dataset.taskId, target.dataset.inlineField, target.value);
+        }
+    }
+
+    /**
+     * Show or hide a list column and remember the choice in the settings
+     */
+    async toggleListColumn(column, visible) {
+        const columns = Object.keys(this.listColumnDefinitions)
+            .filter(key => key === column ? visible : this.listColumns.includes(key));
+
+        if (columns.length === 0) {
+            this.showError('Mantenha ao menos uma coluna visível');
+            this.renderTasks();
+            return;
+        }
+
+        this.listColumns = columns;
+        this.renderTasks();
+
+        try {
+            await this.storage.saveTaskListColumns(columns);
+        } catch (error) {
+            console.error('Failed to save list columns:', error);
+            this.showError('Erro ao salvar colunas');
+        }
+    }
+
+    /**
+     * Save a field edited in place in the list
+     */
+    async updateTaskField(taskId, field, value) {
+        const task = this.currentTasks.find(t => t.id === taskId);
+        if (!task) return;
+
+        let nextValue = value;
+        if (field === 'progresso') {
+            nextValue = Math.min(100, Math.max(0, parseInt(value) || 0));
+        }
+        if (task[field] === nextValue) return;
+
+        try {
+            await window.app.runUndoable(`Edição da tarefa ${taskId}`, () => this.storage.saveTask({
+                ...task,
+                [field]: nextValue,
+                atualizadoEm: new Date().toISOString()
+            }));
+        } catch (error) {
+            console.error('Failed to update task:', error);
+            this.showError('Erro ao atualizar tarefa');
+        }
+    }
+
+    /**
+     * Apply the same status, priority or category to every selected task
+     */
+    async bulkUpdateTasks(field, value) {
+        const now = new Date().toISOString();
+        const changed = this.currentTasks
+            .filter(task => this.selectedTaskIds.has(task.id) && task[field] !== value)
+            .map(task => ({ ...task, [field]: value, atualizadoEm: now }));
+
+        if (changed.length === 0) {
+            this.renderTasks();
+            return;
+        }
+
+        try {
+            await window.app.runUndoable(`Alteração de ${changed.length} tarefas`, () => this.storage.saveTasks(changed));
+            this.showSuccess(`${changed.length} ${changed.length === 1 ? 'tarefa atualizada' : 'tarefas atualizadas'}`);
+        } catch (error) {
+            console.error('Failed to update tasks:', error);
+            this.showError('Erro ao atualizar tarefas');
+        }
+    }
+
+    /**
+     * Confirm deleting every selected task
+     */
+    confirmBulkDeleteTasks() {
+        const taskIds = [...this.selectedTaskIds];
+        if (taskIds.length === 0) return;
+
+        window.app.showConfirmModal(
+            'Excluir Tarefas',
+            `Tem certeza que deseja excluir ${taskIds.length} ${taskIds.length === 1 ? 'tarefa' : 'tarefas'}? Você poderá desfazer com Ctrl+Z.`,
+            async () => {
+                try {
+                    await window.app.runUndoable(`Exclusão de ${taskIds.length} tarefas`, async () => {
+                        for (const taskId of taskIds) {
+                            await this.storage.deleteTask(taskId);
+                        }
+                    });
+                    this.selectedTaskIds.clear();
+                    window.app.showUndoToast(`${taskIds.length} ${taskIds.length === 1 ? 'tarefa excluída' : 'tarefas excluídas'}`);
+                } catch (error) {
+                    console.error('Failed to delete tasks:', error);
+                    this.showError('Erro ao excluir tarefas');
+                }
+            }
+        );
+    }
+
     /**
      * Render empty state
      */
     renderEmptyState(container) {
         const hasFilters = document.getElementById('taskSearch')?.value || 
                           document.getElementById('statusFilter')?.value || 
-                          document.getElementById('priorityFilter')?.value;
+                          document.getElementById('priorityFilter')?.value ||
+                          document.getElementById('categoryFilter')?.value;
 
         container.innerHTML = `
             <div class="empty-state">
@@ -445,6 +1014,7 @@ class TasksController {
             document.getElementById('taskDeadline').value = defaultDeadline.toISOString().split('T')[0];
         }
 
+        window.historyController.prepareModal('taskModal', 'task', taskId);
         this.showModal(modal);
     }
 
@@ -456,6 +1026,7 @@ class TasksController {
         document.getElementById('taskTitle').value = task.titulo || '';
         document.getElementById('taskDescription').value = task.descricao || '';
         document.getElementById('taskDeadline').value = task.prazo || '';
+        document.getElementById('taskStart').value = task.inicio || '';
         document.getElementById('taskStatus').value = task.status || 'planejado';
         document.getElementById('taskPriority').value = task.prioridade || 'media';
         document.getElementById('taskCategory').value = task.categoria || 'analise';
@@ -463,6 +1034,7 @@ class TasksController {
         document.getElementById('taskEstimate').value = task.estimativa || 8;
         document.getElementById('taskSpent').value = task.horasGastas || 0;
         document.getElementById('taskObjects').value = task.objetos ? task.objetos.join(', ') : '';
+        document.getElementById('taskBlockedBy').value = task.bloqueadaPor ? task.bloqueadaPor.join(', ') : '';
         document.getElementById('taskNotes').value = task.notas || '';
     }
 
@@ -477,26 +1049,36 @@ class TasksController {
                 return;
             }
 
+            // Hours are only changed through the worklog
+            const worklog = this.currentEditingTask ? this.storage.getTaskWorklog(this.currentEditingTask) : [];
+
             const task = {
+                // Keep fields the form does not edit, such as the board rank
+                ...(this.currentEditingTask || {}),
                 id: formData.id,
                 titulo: formData.titulo,
                 descricao: formData.descricao,
+                inicio: formData.inicio,
                 prazo: formData.prazo,
                 status: formData.status,
                 prioridade: formData.prioridade,
                 categoria: formData.categoria,
                 progresso: parseInt(formData.progresso) || 0,
                 estimativa: parseFloat(formData.estimativa) || 0,
-                horasGastas: parseFloat(formData.horasGastas) || 0,
-                objetos: formData.objetos ? formData.objetos.split(',').map(s => s.trim()).filter(s => s) : [],
+                objetos: formData.objetos ? formData.objetos.split(',').map(s => s.trim().toUpperCase()).filter(s => s) : [],
+                bloqueadaPor: this.parseTaskIds(formData.bloqueadaPor),
                 notas: formData.notas,
+                worklog,
+                horasGastas: this.storage.sumWorklogHours(worklog),
                 criadoEm: this.currentEditingTask ? this.currentEditingTask.criadoEm : new Date().toISOString(),
                 atualizadoEm: new Date().toISOString()
             };
 
-            await this.storage.saveTask(task);
+            const isEdit = Boolean(this.currentEditingTask);
+
+            await window.app.runUndoable(isEdit ? `Edição da tarefa ${task.id}` : `Criação da tarefa ${task.id}`, () => this.storage.saveTask(task));
             this.closeModal();
-            this.showSuccess(this.currentEditingTask ? 'Tarefa atualizada com sucesso!' : 'Tarefa criada com sucesso!');
+            this.showSuccess(isEdit ? 'Tarefa atualizada com sucesso!' : 'Tarefa criada com sucesso!');
             
         } catch (error) {
             console.error('Failed to save task:', error);
@@ -512,14 +1094,15 @@ class TasksController {
             id: document.getElementById('taskId').value,
             titulo: document.getElementById('taskTitle').value.trim(),
             descricao: document.getElementById('taskDescription').value.trim(),
+            inicio: document.getElementById('taskStart').value,
             prazo: document.getElementById('taskDeadline').value,
             status: document.getElementById('taskStatus').value,
             prioridade: document.getElementById('taskPriority').value,
             categoria: document.getElementById('taskCategory').value,
             progresso: document.getElementById('taskProgress').value,
             estimativa: document.getElementById('taskEstimate').value,
-            horasGastas: document.getElementById('taskSpent').value,
             objetos: document.getElementById('taskObjects').value.trim(),
+            bloqueadaPor: document.getElementById('taskBlockedBy').value.trim(),
             notas: document.getElementById('taskNotes').value.trim()
         };
     }
@@ -538,9 +1121,259 @@ class TasksController {
             return false;
         }
 
+        if (formData.inicio && formData.inicio > formData.prazo) {
+            this.showError('O início não pode ser depois do prazo');
+            return false;
+        }
+
+        const blockers = this.parseTaskIds(formData.bloqueadaPor);
+        if (blockers.includes(formData.id)) {
+            this.showError('Uma tarefa não pode bloquear a si mesma');
+            return false;
+        }
+
+        const unknown = blockers.filter(id => !this.currentTasks.some(task => task.id === id));
+        if (unknown.length > 0) {
+            this.showError(`Tarefa não encontrada: ${unknown.join(', ')}`);
+            return false;
+        }
+
+        const cycle = this.findBlockingCycle(formData.id, blockers);
+        if (cycle) {
+            this.showError(`Bloqueio circular: ${cycle.join(' → ')}`);
+            return false;
+        }
+
         return true;
     }
 
+    /**
+     * Split a comma separated list into unique task IDs
+     */
+    parseTaskIds(value) {
+        const ids = value ? value.split(',').map(s => s.trim().toUpperCase()).filter(s => s) : [];
+        return [...new Set(ids)];
+    }
+
+    /**
+     * Find a chain of "blocked by" links that would lead back to the task
+     */
+    findBlockingCycle(taskId, blockers) {
+        const blockedBy = new Map(this.currentTasks.map(task => [task.id, task.bloqueadaPor || []]));
+        blockedBy.set(taskId, blockers);
+
+        const visit = (id, path) => {
+            for (const blockerId of blockedBy.get(id) || []) {
+                if (blockerId === taskId) return [...path, blockerId];
+                if (path.includes(blockerId)) continue;
+                const cycle = visit(blockerId, [...path, blockerId]);
+                if (cycle) return cycle;
+            }
+            return null;
+        };
+
+        return visit(taskId, [taskId]);
+    }
+
+    /**
+     * Show worklog modal for a task
+     */
+    async showWorklogModal(taskId) {
+        const modal = document.getElementById('worklogModal');
+        const form = document.getElementById('worklogForm');
+        if (!modal || !form) return;
+
+        const task = await this.storage.getTaskById(taskId);
+        if (!task) {
+            this.showError('Tarefa não encontrada');
+            return;
+        }
+
+        this.worklogTaskId = taskId;
+        form.reset();
+        document.getElementById('worklogModalTitle').textContent = `Registrar Horas - ${task.id}`;
+        document.getElementById('worklogDate').value = this.storage.toDateKey(new Date());
+
+        // Requests linked to the task are offered first
+        const requests = await this.storage.getRequests();
+        const sortedRequests = [...requests].sort((a, b) => {
+            const aLinked = (a.tarefas || []).includes(taskId) ? 0 : 1;
+            const bLinked = (b.tarefas || []).includes(taskId) ? 0 : 1;
+            return aLinked - bLinked || a.id.localeCompare(b.id);
+        });
+        document.getElementById('worklogRequestOptions').innerHTML = sortedRequests
+            .map(request => `<option value="${this.escapeHtml(request.id)}">${this.escapeHtml(request.descricao || '')}</option>`)
+            .join('');
+
+        this.renderWorklog(task);
+        this.showModal(modal);
+        document.getElementById('worklogHours').focus();
+    }
+
+    /**
+     * Render worklog entries of a task
+     */
+    renderWorklog(task) {
+        const list = document.getElementById('worklogList');
+        const summary = document.getElementById('worklogSummary');
+        if (!list || !summary) return;
+
+        const worklog = this.storage.getTaskWorklog(task)
+            .sort((a, b) => b.data.localeCompare(a.data) || (b.criadoEm || '').localeCompare(a.criadoEm || ''));
+
+        summary.textContent = `Total: ${this.storage.sumWorklogHours(worklog)}h de ${task.estimativa || 0}h estimadas`;
+
+        if (worklog.length === 0) {
+            list.innerHTML = '<p class="worklog-empty">Nenhum apontamento registrado</p>';
+            return;
+        }
+
+        list.innerHTML = worklog.map(entry => `
+            <div class="worklog-entry">
+                <div class="worklog-date">${new Date(`${entry.data}T00:00:00`).toLocaleDateString('pt-BR')}</div>
+                <div class="worklog-hours">${entry.horas}h</div>
+                <div class="worklog-note">
+                    ${entry.request ? `<span class="object-tag">${this.escapeHtml(entry.request)}</span>` : ''}
+                    ${this.escapeHtml(entry.nota || '')}
+                </div>
+                <button class="worklog-delete" data-action="delete-worklog" data-entry-id="${entry.id}" title="Excluir apontamento">&times;</button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Save worklog entry from form
+     */
+    async saveWorklogEntry() {
+        if (!this.worklogTaskId) return;
+
+        const entry = {
+            data: document.getElementById('worklogDate').value,
+            horas: parseFloat(document.getElementById('worklogHours').value),
+            request: document.getElementById('worklogRequest').value.trim().toUpperCase(),
+            nota: document.getElementById('worklogNote').value.trim()
+        };
+
+        if (!entry.data) {
+            this.showError('Data é obrigatória');
+            return;
+        }
+
+        if (!(entry.horas > 0) || entry.horas > 24) {
+            this.showError('Informe entre 0 e 24 horas');
+            return;
+        }
+
+        try {
+            const taskId = this.worklogTaskId;
+            await window.app.runUndoable(`Apontamento de ${entry.horas}h em ${taskId}`, () => this.storage.addWorklogEntry(taskId, entry));
+            document.getElementById('worklogHours').value = '';
+            document.getElementById('worklogNote').value = '';
+            this.renderWorklog(await this.storage.getTaskById(this.worklogTaskId));
+            this.showSuccess(`${entry.horas}h registradas em ${this.worklogTaskId}`);
+        } catch (error) {
+            console.error('Failed to save worklog entry:', error);
+            this.showError('Erro ao registrar horas');
+        }
+    }
+
+    /**
+     * Delete worklog entry
+     */
+    async deleteWorklogEntry(entryId) {
+        if (!this.worklogTaskId || !entryId) return;
+
+        try {
+            const taskId = this.worklogTaskId;
+            await window.app.runUndoable(`Exclusão de apontamento em ${taskId}`, () => this.storage.deleteWorklogEntry(taskId, entryId));
+            this.renderWorklog(await this.storage.getTaskById(this.worklogTaskId));
+        } catch (error) {
+            console.error('Failed to delete worklog entry:', error);
+            this.showError('Erro ao excluir apontamento');
+        }
+    }
+
+    /**
+     * Close worklog modal
+     */
+    closeWorklogModal() {
+        const modal = document.getElementById('worklogModal');
+        if (modal) {
+            modal.classList.remove('active');
+            document.body.style.overflow = '';
+            this.worklogTaskId = null;
+        }
+    }
+
+    /**
+     * Start or stop the work timer of a task
+     */
+    async toggleTimer(taskId) {
+        const activeTimer = this.storage.getActiveTimer();
+
+        if (activeTimer) {
+            await this.stopTimer();
+            if (activeTimer.taskId === taskId) return;
+        }
+
+        this.storage.startTimer(taskId);
+        this.showSuccess(`Cronômetro iniciado em ${taskId}`);
+    }
+
+    /**
+     * Stop the running timer and log the elapsed time
+     */
+    async stopTimer() {
+        const timer = this.storage.stopTimer();
+        if (!timer) return;
+
+        const hours = (new Date(timer.stoppedAt) - new Date(timer.startedAt)) / 3600000;
+
+        if (hours < 1 / 60) {
+            this.showError('Cronômetro parado com menos de um minuto, nada foi registrado');
+            return;
+        }
+
+        try {
+            await window.app.runUndoable(`Cronômetro em ${timer.taskId}`, () => this.storage.addWorklogEntry(timer.taskId, {
+                data: this.storage.toDateKey(timer.startedAt),
+                horas: hours,
+                nota: 'Cronômetro'
+            }));
+            this.showSuccess(`${Math.round(hours * 100) / 100}h registradas em ${timer.taskId}`);
+        } catch (error) {
+            console.error('Failed to log timer:', error);
+            this.showError('Erro ao registrar tempo do cronômetro');
+        }
+    }
+
+    /**
+     * Keep the elapsed time on the card ticking while a timer runs
+     */
+    updateTimerTicker() {
+        const activeTimer = this.storage.getActiveTimer();
+
+        if (activeTimer && !this.timerInterval) {
+            this.timerInterval = setInterval(() => {
+                document.querySelectorAll('.task-timer-elapsed').forEach(element => {
+                    element.textContent = this.formatElapsed(element.dataset.timerStarted);
+                });
+            }, 1000);
+        } else if (!activeTimer && this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
+        }
+    }
+
+    /**
+     * Format time since a timestamp as HH:MM:SS
+     */
+    formatElapsed(startedAt) {
+        const seconds = Math.max(0, Math.floor((Date.now() - new Date(startedAt)) / 1000));
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+    }
+
     /**
      * Edit task
      */
@@ -561,7 +1394,7 @@ class TasksController {
         if (window.app && window.app.showConfirmModal) {
             window.app.showConfirmModal(
                 'Excluir Tarefa',
-                `Tem certeza que deseja excluir a tarefa "${task.titulo}"? Esta ação não pode ser desfeita.`,
+                `Tem certeza que deseja excluir a tarefa "${task.titulo}"? Você poderá desfazer com Ctrl+Z.`,
                 () => this.deleteTask(taskId)
             );
         } else {
@@ -576,8 +1409,8 @@ class TasksController {
      */
     async deleteTask(taskId) {
         try {
-            await this.storage.deleteTask(taskId);
-            this.showSuccess('Tarefa excluída com sucesso!');
+            await window.app.runUndoable(`Exclusão da tarefa ${taskId}`, () => this.storage.deleteTask(taskId));
+            window.app.showUndoToast('Tarefa excluída com sucesso!');
         } catch (error) {
             console.error('Failed to delete task:', error);
             this.showError('Erro ao excluir tarefa');
@@ -663,39 +1496,57 @@ class TasksController {
      * Get status label
      */
     getStatusLabel(status) {
-        const labels = {
+        return this.getStatusLabels()[status] || status;
+    }
+
+    /**
+     * Status labels by value, in workflow order
+     */
+    getStatusLabels() {
+        return {
             'planejado': 'Planejado',
             'em-andamento': 'Em Andamento',
             'aguardando': 'Aguardando',
             'concluido': 'Concluído'
         };
-        return labels[status] || status;
     }
 
     /**
      * Get priority label
      */
     getPriorityLabel(priority) {
-        const labels = {
+        return this.getPriorityLabels()[priority] || priority;
+    }
+
+    /**
+     * Priority labels by value, lowest first
+     */
+    getPriorityLabels() {
+        return {
             'baixa': 'Baixa',
             'media': 'Média',
             'alta': 'Alta',
             'critica': 'Crítica'
         };
-        return labels[priority] || priority;
     }
 
     /**
      * Get category label
      */
     getCategoryLabel(category) {
-        const labels = {
+        return this.getCategoryLabels()[category] || category;
+    }
+
+    /**
+     * Category labels by value
+     */
+    getCategoryLabels() {
+        return {
             'analise': 'Análise',
             'desenvolvimento': 'Desenvolvimento',
             'teste': 'Teste',
             'documentacao': 'Documentação'
         };
-        return labels[category] || category;
     }
 
     /**
@@ -704,6 +1555,7 @@ class TasksController {
     showModal(modal) {
         modal.classList.add('active');
         document.body.style.overflow = 'hidden';
+        if (window.app) window.app.syncRoute();
     }
 
     /**
@@ -715,6 +1567,7 @@ class TasksController {
             modal.classList.remove('active');
             document.body.style.overflow = '';
             this.currentEditingTask = null;
+            if (window.app) window.app.syncRoute();
         }
     }
 
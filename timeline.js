@@ -0,0 +1,349 @@
+/**
+ * SAP Migration Control Center - Timeline Controller
+ * Draws tasks as a Gantt chart with "blocked by" arrows, the critical path and date dragging
+ */
+
+class TimelineController {
+    constructor() {
+        this.storage = window.storageManager;
+        this.svgNS = 'http://www.w3.org/2000/svg';
+        this.dayMs = 24 * 60 * 60 * 1000;
+        this.dragState = null;
+
+        this.layout = {
+            labelWidth: 220,
+            dayWidth: 24,
+            rowHeight: 32,
+            barHeight: 18,
+            headerHeight: 36,
+            padding: 2
+        };
+
+        this.bindEvents();
+    }
+
+    /**
+     * Bind bar dragging events
+     */
+    bindEvents() {
+        document.addEventListener('mousedown', (e) => {
+            const bar = e.button === 0 && e.target.closest && e.target.closest('.timeline-task');
+            if (!bar) return;
+
+            e.preventDefault();
+            this.dragState = {
+                taskId: bar.dataset.taskId,
+                element: bar,
+                startX: e.clientX,
+                days: 0
+            };
+            bar.classList.add('dragging');
+        });
+
+        window.addEventListener('mousemove', (e) => {
+            if (!this.dragState) return;
+            this.dragState.days = Math.round((e.clientX - this.dragState.startX) / this.layout.dayWidth);
+            this.dragState.element.setAttribute('transform', `translate(${this.dragState.days * this.layout.dayWidth}, 0)`);
+        });
+
+        window.addEventListener('mouseup', () => {
+            if (!this.dragState) return;
+            const { taskId, element, days } = this.dragState;
+            this.dragState = null;
+            element.classList.remove('dragging');
+
+            // A click without movement opens the task
+            if (days === 0) {
+                window.tasksController.showTaskModal(taskId);
+            } else {
+                this.shiftTask(taskId, days);
+            }
+        });
+    }
+
+    /**
+     * Render the timeline of the given tasks into a container
+     * Tasks without a valid deadline are left out and counted in the summary
+     */
+    render(container, tasks) {
+        const scheduled = tasks
+            .map(task => ({ task, ...this.getTaskRange(task) }))
+            .filter(entry => entry.start !== null)
+            .sort((a, b) => a.start - b.start || a.end - b.end || a.task.id.localeCompare(b.task.id));
+        const unscheduled = tasks.length - scheduled.length;
+
+        container.innerHTML = '';
+        if (scheduled.length === 0) {
+            container.innerHTML = '<div class="empty-state"><h3>Nenhuma tarefa com datas</h3><p>Informe o prazo das tarefas para vê-las na linha do tempo</p></div>';
+            return;
+        }
+
+        const today = this.toDayNumber(this.storage.toDateKey(new Date()));
+        const firstDay = Math.min(...scheduled.map(entry => entry.start), today) - this.layout.padding;
+        const lastDay = Math.max(...scheduled.map(entry => entry.end), today) + this.layout.padding;
+        const { labelWidth, dayWidth, rowHeight, barHeight, headerHeight } = this.layout;
+        const width = labelWidth + (lastDay - firstDay + 1) * dayWidth;
+        const height = headerHeight + scheduled.length * rowHeight;
+        const xOf = (day) => labelWidth + (day - firstDay) * dayWidth;
+        const rows = new Map(scheduled.map((entry, index) => [entry.task.id, { ...entry, y: headerHeight + index * rowHeight + rowHeight / 2 }]));
+        const schedule = this.computeCriticalPath(scheduled);
+
+        const svg = this.createSvgElement('svg', { class: 'timeline-chart', width, height, viewBox: `0 0 ${width} ${height}` });
+        svg.appendChild(this.createArrowMarkers());
+
+        // Day grid with a date label per week
+        const grid = this.createSvgElement('g', { class: 'timeline-grid' });
+        for (let day = firstDay; day <= lastDay; day++) {
+            const x = xOf(day);
+            const isWeekStart = (day - firstDay) % 7 === 0;
+            grid.appendChild(this.createSvgElement('line', { class: isWeekStart ? 'timeline-gridline week' : 'timeline-gridline', x1: x, y1: headerHeight, x2: x, y2: height }));
+            if (isWeekStart) {
+                const label = this.createSvgElement('text', { class: 'timeline-date', x: x + 4, y: headerHeight - 12 });
+                label.textContent = this.formatDay(day);
+                grid.appendChild(label);
+            }
+        }
+        svg.appendChild(grid);
+
+        // Dependency arrows from the end of the blocker to the start of the blocked task
+        const arrows = this.createSvgElement('g', { class: 'timeline-arrows' });
+        rows.forEach(row => {
+            (row.task.bloqueadaPor || []).forEach(blockerId => {
+                const blocker = rows.get(blockerId);
+                if (!blocker) return;
+
+                const x1 = xOf(blocker.end + 1);
+                const x2 = xOf(row.start);
+                const conflict = row.start <= blocker.end;
+                const critical = schedule.criticalEdges.has(`${blockerId}>${row.task.id}`);
+                arrows.appendChild(this.createSvgElement('path', {
+                    class: ['timeline-arrow', conflict ? 'conflict' : '', critical ? 'critical' : ''].filter(Boolean).join(' '),
+                    d: `M ${x1} ${blocker.y} H ${Math.max(x1, x2) + 6} V ${row.y} H ${x2}`,
+                    'marker-end': conflict ? 'url(#timelineArrowConflict)' : 'url(#timelineArrow)'
+                }));
+            });
+        });
+        svg.appendChild(arrows);
+
+        const bars = this.createSvgElement('g', { class: 'timeline-bars' });
+        rows.forEach(row => {
+            const { task } = row;
+            const label = this.createSvgElement('text', { class: 'timeline-label', x: 8, y: row.y, dy: '0.35em' });
+            label.textContent = `${task.id} ${task.titulo.length > 22 ? `${task.titulo.slice(0, 21)}…` : task.titulo}`;
+            bars.appendChild(label);
+
+            const group = this.createSvgElement('g', {
+                class: ['timeline-task', schedule.critical.has(task.id) ? 'critical' : ''].filter(Boolean).join(' '),
+                'data-task-id': task.id
+            });
+            const x = xOf(row.start);
+            const barWidth = (row.end - row.start + 1) * dayWidth;
+
+            group.appendChild(this.createSvgElement('rect', { class: `timeline-bar status-${task.status}`, x, y: row.y - barHeight / 2, width: barWidth, height: barHeight, rx: 4 }));
+            group.appendChild(this.createSvgElement('rect', { class: 'timeline-progress', x, y: row.y + barHeight / 2 - 3, width: barWidth * (task.progresso || 0) / 100, height: 3 }));
+
+            const tooltip = this.createSvgElement('title');
+            tooltip.textContent = [
+                `${task.id} • ${task.titulo}`,
+                `${this.formatDay(row.start)} → ${this.formatDay(row.end)}`,
+                (task.bloqueadaPor || []).length > 0 ? `bloqueada por ${task.bloqueadaPor.join(', ')}` : '',
+                schedule.critical.has(task.id) ? 'caminho crítico' : '',
+                'arraste para mover as datas'
+            ].filter(Boolean).join('\n');
+            group.appendChild(tooltip);
+            bars.appendChild(group);
+        });
+        svg.appendChild(bars);
+
+        const todayX = xOf(today) + dayWidth / 2;
+        const todayMarker = this.createSvgElement('g', { class: 'timeline-today' });
+        todayMarker.appendChild(this.createSvgElement('line', { x1: todayX, y1: headerHeight - 8, x2: todayX, y2: height }));
+        const todayLabel = this.createSvgElement('text', { x: todayX, y: headerHeight - 24, 'text-anchor': 'middle' });
+        todayLabel.textContent = 'Hoje';
+        todayMarker.appendChild(todayLabel);
+        svg.appendChild(todayMarker);
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'timeline-wrapper';
+        wrapper.appendChild(svg);
+
+        const summary = document.createElement('div');
+        summary.className = 'timeline-summary';
+        summary.innerHTML = `
+            <span><span class="timeline-legend critical"></span>Caminho crítico: ${schedule.critical.size} ${schedule.critical.size === 1 ? 'tarefa' : 'tarefas'}, ${schedule.duration} dias</span>
+            <span><span class="timeline-legend conflict"></span>Dependência violada</span>
+            ${unscheduled > 0 ? `<span>${unscheduled} ${unscheduled === 1 ? 'tarefa sem prazo' : 'tarefas sem prazo'}</span>` : ''}
+        `;
+
+        container.appendChild(summary);
+        container.appendChild(wrapper);
+    }
+
+    /**
+     * First and last day of a task; without a start date the task takes its deadline day
+     */
+    getTaskRange(task) {
+        const end = this.toDayNumber(task.prazo);
+        if (end === null) return { start: null, end: null };
+
+        const start = this.toDayNumber(task.inicio);
+        return { start: start !== null && start <= end ? start : end, end };
+    }
+
+    /**
+     * Critical path method over the task durations and "blocked by" links
+     * Returns the tasks and links without slack and the length of the longest chain in days
+     */
+    computeCriticalPath(scheduled) {
+        const entries = new Map(scheduled.map(entry => [entry.task.id, { ...entry, duration: entry.end - entry.start + 1, successors: [] }]));
+        entries.forEach(entry => {
+            entry.predecessors = (entry.task.bloqueadaPor || []).filter(id => entries.has(id));
+            entry.predecessors.forEach(id => entries.get(id).successors.push(entry.task.id));
+        });
+
+        // Topological order (Kahn); tasks caught in a cycle are left out
+        const pending = new Map([...entries].map(([id, entry]) => [id, entry.predecessors.length]));
+        const queue = [...pending].filter(([, count]) => count === 0).map(([id]) => id);
+        const order = [];
+        while (queue.length > 0) {
+            const id = queue.shift();
+            order.push(id);
+            entries.get(id).successors.forEach(successorId => {
+                pending.set(successorId, pending.get(successorId) - 1);
+                if (pending.get(successorId) === 0) queue.push(successorId);
+            });
+        }
+
+        order.forEach(id => {
+            const entry = entries.get(id);
+            entry.earlyStart = Math.max(0, ...entry.predecessors.map(predecessorId => entries.get(predecessorId).earlyFinish || 0));
+            entry.earlyFinish = entry.earlyStart + entry.duration;
+        });
+
+        const duration = Math.max(0, ...order.map(id => entries.get(id).earlyFinish));
+        [...order].reverse().forEach(id => {
+            const entry = entries.get(id);
+            entry.lateFinish = Math.min(duration, ...entry.successors.map(successorId => entries.get(successorId).lateStart));
+            entry.lateStart = entry.lateFinish - entry.duration;
+        });
+
+        const critical = new Set(order.filter(id => entries.get(id).lateStart === entries.get(id).earlyStart));
+        const criticalEdges = new Set();
+        critical.forEach(id => {
+            entries.get(id).successors
+                .filter(successorId => critical.has(successorId) && entries.get(successorId).earlyStart === entries.get(id).earlyFinish)
+                .forEach(successorId => criticalEdges.add(`${id}>${successorId}`));
+        });
+
+        return { critical, criticalEdges, duration };
+    }
+
+    /**
+     * Move the start and deadline of a task by a number of days
+     * The move is saved even when it breaks a "blocked by" link, with a warning
+     */
+    async shiftTask(taskId, days) {
+        const task = await this.storage.getTaskById(taskId);
+        if (!task) return;
+
+        const { start, end } = this.getTaskRange(task);
+        if (start === null) return;
+
+        const moved = {
+            ...task,
+            inicio: this.toDateKey(start + days),
+            prazo: this.toDateKey(end + days),
+            atualizadoEm: new Date().toISOString()
+        };
+
+        try {
+            await window.app.runUndoable(`Reprogramação da tarefa ${taskId}`, () => this.storage.saveTask(moved));
+
+            const violations = this.findViolations(moved, await this.storage.getTasks());
+            if (violations.length > 0) {
+                window.app.showToast(`Dependência violada: ${violations.join('; ')}`, 'warning', 8000);
+            }
+        } catch (error) {
+            console.error('Failed to move task dates:', error);
+            window.app.showToast('Erro ao mover datas da tarefa', 'error');
+        }
+    }
+
+    /**
+     * Describe the links of a task where the blocked task starts before its blocker finishes
+     */
+    findViolations(task, tasks) {
+        const { start, end } = this.getTaskRange(task);
+        const violations = [];
+
+        tasks.forEach(other => {
+            if (other.id === task.id) return;
+            const range = this.getTaskRange(other);
+            if (range.start === null) return;
+
+            if ((task.bloqueadaPor || []).includes(other.id) && start <= range.end) {
+                violations.push(`${task.id} começa antes de ${other.id} terminar`);
+            }
+            if ((other.bloqueadaPor || []).includes(task.id) && range.start <= end) {
+                violations.push(`${other.id} começa antes de ${task.id} terminar`);
+            }
+        });
+
+        return violations;
+    }
+
+    /**
+     * Create arrow markers for dependency links
+     */
+    createArrowMarkers() {
+        const defs = this.createSvgElement('defs');
+
+        [['timelineArrow', 'timeline-arrowhead'], ['timelineArrowConflict', 'timeline-arrowhead conflict']].forEach(([id, className]) => {
+            const marker = this.createSvgElement('marker', {
+                id,
+                viewBox: '0 0 10 10',
+                refX: 9,
+                refY: 5,
+                markerWidth: 6,
+                markerHeight: 6,
+                orient: 'auto'
+            });
+            marker.appendChild(this.createSvgElement('path', { d: 'M 0 0 L 10 5 L 0 10 z', class: className }));
+            defs.appendChild(marker);
+        });
+
+        return defs;
+    }
+
+    /**
+     * Convert a YYYY-MM-DD date to a day count, or null when it is not a date
+     */
+    toDayNumber(dateKey) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(dateKey || '');
+        if (!match) return null;
+        return Math.round(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) / this.dayMs);
+    }
+
+    toDateKey(day) {
+        return new Date(day * this.dayMs).toISOString().split('T')[0];
+    }
+
+    formatDay(day) {
+        const [, month, date] = this.toDateKey(day).split('-');
+        return `${date}/${month}`;
+    }
+
+    /**
+     * Create an SVG element with attributes
+     */
+    createSvgElement(tagName, attributes = {}) {
+        const element = document.createElementNS(this.svgNS, tagName);
+        Object.entries(attributes).forEach(([name, value]) => {
+            element.setAttribute(name, value);
+        });
+        return element;
+    }
+}
+
+// Create global timeline controller instance
+window.timelineController = new TimelineController();